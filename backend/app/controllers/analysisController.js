@@ -53,7 +53,61 @@ const analyze = async (req, res) => {
   }
 };
 
+/**
+ * 季节分解
+ * GET /api/analysis/decompose?filename=&area=&indicator=&startTime=&endTime=&period=
+ */
+const decompose = async (req, res) => {
+  try {
+    const { filename, area, indicator, startTime, endTime, period, robust } = req.query;
+
+    if (!filename) {
+      return res.status(400).json({
+        success: false,
+        message: '数据文件名不能为空'
+      });
+    }
+
+    if (!indicator) {
+      return res.status(400).json({
+        success: false,
+        message: '指标不能为空'
+      });
+    }
+
+    const parsedPeriod = period ? parseInt(period) : null;
+    if (period && (!Number.isInteger(parsedPeriod) || parsedPeriod < 2)) {
+      return res.status(400).json({
+        success: false,
+        message: '周期 period 必须是大于1的整数'
+      });
+    }
+
+    const result = await analysisService.decompose({
+      filename,
+      area: area || null,
+      indicator,
+      startTime: startTime || null,
+      endTime: endTime || null,
+      period: parsedPeriod,
+      robust: robust !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('季节分解失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || '季节分解失败'
+    });
+  }
+};
+
 module.exports = {
-  analyze
+  analyze,
+  decompose
 };
 
@@ -4,13 +4,83 @@
 const jwt = require('jsonwebtoken');
 const config = require('../../config/config');
 const userService = require('../services/userService');
+const settingsService = require('../services/settingsService');
+const sessionService = require('../services/sessionService');
+const systemLogService = require('../services/systemLogService');
+const loginGuardService = require('../services/loginGuardService');
+const captchaService = require('../services/captchaService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const permissionService = require('../services/permissionService');
+const { getClientIp } = require('../middleware/auditLog');
+
+/**
+ * 签发访问令牌（短期有效，过期后使用刷新令牌续期）
+ * @returns {Object} {token, expiresIn: 有效期（秒）}
+ */
+const signAccessToken = (user, sessionId) => {
+  const expiresIn = settingsService.get('accessTokenTtl') * 60;
+  const token = jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      sid: sessionId
+    },
+    config.jwt.secret,
+    { expiresIn }
+  );
+  return { token, expiresIn };
+};
+
+/**
+ * 密码状态字段（前端据此引导用户修改初始密码或过期密码）
+ */
+const getPasswordFields = (user) => {
+  const status = passwordPolicyService.getPasswordStatus(user);
+  return {
+    passwordChangeRequired: status.required,
+    passwordChangeReason: status.reason,
+    passwordExpiresAt: status.expiresAt
+  };
+};
+
+/**
+ * 将等待秒数格式化为提示文字
+ */
+const formatWait = (seconds) => {
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)} 分钟` : `${seconds} 秒`;
+};
+
+/**
+ * 登录失败响应：记录失败次数，接近上限时提示剩余次数
+ * 用户不存在与密码错误返回相同的信息
+ */
+const respondLoginFailure = async (req, res, ip) => {
+  const state = await loginGuardService.recordFailure(req.body.username, ip);
+
+  let message = '用户名或密码错误';
+  if (state.locked) {
+    message = `${message}，失败次数过多，${state.lockScope === 'ip' ? '当前IP' : '账户'}已被锁定 ${formatWait(state.retryAfter)}`;
+  } else if (state.remainingAttempts <= 2) {
+    message = `${message}，还可尝试 ${state.remainingAttempts} 次`;
+  }
+
+  return res.status(401).json({
+    success: false,
+    message,
+    data: {
+      captchaRequired: state.captchaRequired
+    }
+  });
+};
 
 /**
  * 登录
+ * 按用户名和IP限制连续失败：渐进延迟、临时锁定，失败次数达到阈值后需提交验证码（captchaId、captchaCode）
  */
 const login = async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, captchaId, captchaCode } = req.body;
 
     // 验证输入
     if (!username || !password) {
@@ -20,34 +90,55 @@ const login = async (req, res) => {
       });
     }
 
+    const ip = getClientIp(req);
+    const guard = await loginGuardService.getLoginState(username, ip);
+    if (guard.locked || guard.retryAfter > 0) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: guard.locked
+          ? `登录失败次数过多，${guard.lockScope === 'ip' ? '当前IP' : '账户'}已被临时锁定，请 ${formatWait(guard.retryAfter)}后再试`
+          : `登录尝试过于频繁，请 ${formatWait(guard.retryAfter)}后再试`,
+        data: {
+          retryAfter: guard.retryAfter,
+          captchaRequired: guard.captchaRequired
+        }
+      });
+    }
+
+    if (guard.captchaRequired && !captchaService.verifyCaptcha(captchaId, captchaCode)) {
+      return res.status(400).json({
+        success: false,
+        message: captchaCode ? '验证码错误或已过期' : '请输入验证码',
+        data: {
+          captchaRequired: true
+        }
+      });
+    }
+
     // 查找用户
     const user = await userService.findByUsername(username);
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: '用户名或密码错误'
-      });
+      return respondLoginFailure(req, res, ip);
     }
 
     // 验证密码
     const isPasswordValid = await userService.verifyPassword(password, user.password);
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: '用户名或密码错误'
-      });
+      return respondLoginFailure(req, res, ip);
     }
 
+    await loginGuardService.recordSuccess(username);
+
+    // 创建登录会话（刷新令牌有效期使用系统设置中的会话超时时间），访问令牌中携带会话ID，用于登出和强制下线
+    const { sessionId, refreshToken } = await sessionService.createSession(user.id, {
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      expiresIn: settingsService.get('sessionTimeout') * 60
+    });
+
     // 生成 JWT Token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        role: user.role 
-      },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
+    const { token, expiresIn } = signAccessToken(user, sessionId);
 
     // 返回用户信息（不包含密码）
     const userInfo = {
@@ -58,7 +149,9 @@ const login = async (req, res) => {
       real_name: user.real_name,
       role: user.role,
       avatar: user.avatar,
-      created_at: user.created_at
+      created_at: user.created_at,
+      permissions: permissionService.getRolePermissions(user.role),
+      ...getPasswordFields(user)
     };
 
     res.json({
@@ -66,6 +159,8 @@ const login = async (req, res) => {
       message: '登录成功',
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: userInfo
       }
     });
@@ -80,17 +175,163 @@ const login = async (req, res) => {
 };
 
 /**
- * 登出
+ * 获取登录验证码
+ * GET /api/auth/captcha
  */
-const logout = async (req, res) => {
-  // JWT 是无状态的，登出主要是客户端删除 token
-  // 这里可以记录登出日志等
+const getCaptcha = (req, res) => {
+  res.set('Cache-Control', 'no-store');
   res.json({
     success: true,
-    message: '登出成功'
+    data: captchaService.createCaptcha()
   });
 };
 
+/**
+ * 刷新访问令牌
+ * POST /api/auth/refresh
+ * 每次刷新都会轮换刷新令牌，旧令牌随即失效
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: '刷新令牌不能为空'
+      });
+    }
+
+    const session = await sessionService.rotateRefreshToken(refreshToken, {
+      userAgent: req.headers['user-agent'],
+      expiresIn: settingsService.get('sessionTimeout') * 60
+    });
+    const { token, expiresIn } = signAccessToken(session.user, session.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken: session.refreshToken,
+        expiresIn
+      }
+    });
+  } catch (error) {
+    // 令牌被重复使用或设备不匹配时会话已被撤销，记录安全日志
+    if (error.revoked) {
+      systemLogService.writeLog({
+        userId: error.userId,
+        username: error.username,
+        type: 'login',
+        action: '刷新令牌',
+        description: `会话已撤销；失败原因: ${error.message}`,
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent'],
+        status: 'failure'
+      }).catch(logError => {
+        console.error('记录审计日志失败:', logError.message);
+      });
+    }
+    if (!error.status) {
+      console.error('刷新令牌失败:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '刷新令牌失败'
+    });
+  }
+};
+
+/**
+ * 登出
+ */
+const logout = async (req, res) => {
+  // 撤销当前会话，令牌随即失效；登出日志由路由上的 auditLog 中间件记录
+  try {
+    await sessionService.revokeSession(req.user.sid, 'logout');
+
+    res.json({
+      success: true,
+      message: '登出成功'
+    });
+  } catch (error) {
+    console.error('登出失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '登出失败'
+    });
+  }
+};
+
+/**
+ * 退出所有设备
+ * POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const count = await sessionService.revokeUserSessions(req.user.id, 'logoutAll');
+
+    res.json({
+      success: true,
+      message: `已退出所有设备（${count} 个会话）`
+    });
+  } catch (error) {
+    console.error('退出所有设备失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '退出所有设备失败'
+    });
+  }
+};
+
+/**
+ * 获取当前用户的登录设备
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user.id, req.user.sid);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('获取登录设备失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取登录设备失败'
+    });
+  }
+};
+
+/**
+ * 下线指定设备
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.id, 'revoked', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在或已失效'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '设备已下线'
+    });
+  } catch (error) {
+    console.error('下线设备失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '下线设备失败'
+    });
+  }
+};
+
 /**
  * 获取当前用户信息
  */
@@ -108,7 +349,11 @@ const getCurrentUser = async (req, res) => {
 
     res.json({
       success: true,
-      data: user
+      data: {
+        ...user,
+        permissions: permissionService.getRolePermissions(user.role),
+        ...getPasswordFields(user)
+      }
     });
   } catch (error) {
     console.error('获取用户信息错误:', error);
@@ -165,7 +410,12 @@ const getUserRoleStats = async (req, res) => {
 
 module.exports = {
   login,
+  getCaptcha,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   getCurrentUser,
   getUserStats,
   getUserRoleStats
@@ -2,6 +2,11 @@
  * 数据控制器
  */
 const dataService = require('../services/dataService');
+const permissionService = require('../services/permissionService');
+const datasetUploadService = require('../services/datasetUploadService');
+const quarantineService = require('../services/quarantineService');
+const dataVersionService = require('../services/dataVersionService');
+const dataRecordService = require('../services/dataRecordService');
 
 /**
  * 获取数据列表
@@ -178,8 +183,8 @@ const createData = async (req, res) => {
     const userId = req.user.id;
     const userRole = req.user.role;
     
-    // 只有管理员可以创建数据
-    if (userRole !== 'admin') {
+    // 只有拥有数据管理权限的用户可以创建数据
+    if (!permissionService.hasPermission(userRole, 'data:manage')) {
       return res.status(403).json({
         success: false,
         message: '无权限创建数据'
@@ -205,6 +210,215 @@ const createData = async (req, res) => {
   }
 };
 
+/**
+ * 上传数据文件（CSV / XLSX / JSON），返回预览和建议的列映射
+ * POST /api/data/upload（multipart/form-data，文件字段 file）
+ */
+const uploadDataFile = async (req, res) => {
+  try {
+    const result = await datasetUploadService.stageUpload(req.file, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: '文件上传成功，请确认列映射',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '上传文件失败'
+    });
+  }
+};
+
+/**
+ * 按列映射预检上传的文件
+ * POST /api/data/upload/:uploadId/preview
+ * body: {mapping: {record_date, value, text_value, city, region, unit, indicator, extra: []}, unit}
+ */
+const previewDataFile = async (req, res) => {
+  try {
+    const result = await datasetUploadService.previewImport(req.params.uploadId, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '预检数据失败'
+    });
+  }
+};
+
+/**
+ * 导入上传的文件，创建待审核的数据
+ * POST /api/data/upload/:uploadId/import
+ * body: {mapping, unit, invalidRows: reject | skip | quarantine, title, category, description, source, data_type}
+ */
+const importDataFile = async (req, res) => {
+  try {
+    const result = await datasetUploadService.importUpload(req.params.uploadId, req.user.id, req.body);
+    const data = await dataService.getDataById(result.dataId);
+
+    res.status(201).json({
+      success: true,
+      message: `导入成功，共 ${result.imported} 条记录${result.quarantined > 0 ? `，隔离 ${result.quarantined} 行` : (result.skipped > 0 ? `，跳过 ${result.skipped} 行` : '')}，等待审核`,
+      data: {
+        ...result,
+        data
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '导入数据失败',
+      ...(error.data && { data: error.data })
+    });
+  }
+};
+
+/**
+ * 获取导入时隔离的无效行
+ * GET /api/data/:id/quarantine?source=&page=&pageSize=
+ */
+const getQuarantinedRows = async (req, res) => {
+  try {
+    const data = await dataService.getDataById(req.params.id);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: '数据不存在'
+      });
+    }
+
+    const result = await quarantineService.getQuarantinedRows(data.id, req.query);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '获取隔离数据失败'
+    });
+  }
+};
+
+/**
+ * 检查数据是否存在（已删除的数据视为不存在）
+ */
+const ensureDataExists = async (req, res) => {
+  const data = await dataService.getDataById(req.params.id);
+  if (!data) {
+    res.status(404).json({
+      success: false,
+      message: '数据不存在'
+    });
+    return null;
+  }
+  return data;
+};
+
+/**
+ * 获取数据的版本列表
+ * GET /api/data/:id/versions
+ */
+const getDataVersions = async (req, res) => {
+  try {
+    const data = await ensureDataExists(req, res);
+    if (!data) return;
+
+    const result = await dataVersionService.getVersions(data.id);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '获取版本列表失败'
+    });
+  }
+};
+
+/**
+ * 获取某个版本的数据信息和记录
+ * GET /api/data/:id/versions/:version?page=&pageSize=
+ */
+const getDataVersion = async (req, res) => {
+  try {
+    const data = await ensureDataExists(req, res);
+    if (!data) return;
+
+    const result = await dataVersionService.getVersion(data.id, req.params.version, req.query);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '获取版本失败'
+    });
+  }
+};
+
+/**
+ * 比较两个版本
+ * GET /api/data/:id/versions/diff?from=&to=（to 为空时与最新版本比较）
+ */
+const diffDataVersions = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: '请指定要比较的版本 from'
+      });
+    }
+
+    const data = await ensureDataExists(req, res);
+    if (!data) return;
+
+    const result = await dataVersionService.diffVersions(data.id, from, to);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '比较版本失败'
+    });
+  }
+};
+
+/**
+ * 回滚到指定版本
+ * POST /api/data/:id/versions/:version/rollback
+ * body: {change_note}
+ */
+const rollbackDataVersion = async (req, res) => {
+  try {
+    const data = await ensureDataExists(req, res);
+    if (!data) return;
+
+    const result = await dataVersionService.rollbackToVersion(data.id, req.params.version, req.user.id, req.body.change_note);
+    res.json({
+      success: true,
+      message: `已回滚到版本 ${result.rolledBackTo}，当前版本为 ${result.version}`,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '回滚版本失败'
+    });
+  }
+};
+
 /**
  * 更新数据（需要认证）
  */
@@ -280,7 +494,7 @@ const deleteData = async (req, res) => {
 };
 
 /**
- * 审核数据（管理员）
+ * 审核数据（需要审核权限）
  */
 const approveData = async (req, res) => {
   try {
@@ -288,7 +502,7 @@ const approveData = async (req, res) => {
     const { action } = req.body; // 'approve' 或 'reject'
     const reviewerId = req.user.id;
     
-    if (req.user.role !== 'admin') {
+    if (!permissionService.hasPermission(req.user.role, 'data:approve')) {
       return res.status(403).json({
         success: false,
         message: '无权限审核数据'
@@ -405,7 +619,9 @@ const batchOperation = async (req, res) => {
     const userId = req.user.id;
     const userRole = req.user.role;
     
-    if (userRole !== 'admin') {
+    // 批量审核需要审核权限，批量删除需要数据管理权限
+    const permission = operation === 'approve' ? 'data:approve' : 'data:manage';
+    if (!permissionService.hasPermission(userRole, permission)) {
       return res.status(403).json({
         success: false,
         message: '无权限执行批量操作'
@@ -501,6 +717,97 @@ const getDataRecordsByMonth = async (req, res) => {
   }
 };
 
+/**
+ * 修改记录后的提示（非管理员修改后数据回到待审核）
+ */
+const recordChangeMessage = (message, result) => (
+  `${message}，当前版本为 ${result.version}${result.status === 'pending' ? '，数据等待审核' : ''}`
+);
+
+/**
+ * 返回修改记录的错误
+ */
+const sendRecordError = (res, error, message) => {
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : message,
+    ...(error.data && { data: error.data })
+  });
+};
+
+/**
+ * 新增数据记录（拥有数据管理权限的用户或上传者）
+ * POST /api/data/:id/records
+ * body: {record_date, value, text_value, metadata, change_note}
+ */
+const createDataRecord = async (req, res) => {
+  try {
+    const { change_note, ...record } = req.body;
+    const result = await dataRecordService.createRecord(req.params.id, record, req.user, change_note);
+    res.status(201).json({
+      success: true,
+      message: recordChangeMessage('记录已新增', result),
+      data: result
+    });
+  } catch (error) {
+    sendRecordError(res, error, '新增记录失败');
+  }
+};
+
+/**
+ * 修改数据记录（只修改请求中出现的字段）
+ * PUT /api/data/:id/records/:recordId
+ * body: {record_date, value, text_value, metadata, change_note}
+ */
+const updateDataRecord = async (req, res) => {
+  try {
+    const { change_note, ...record } = req.body;
+    const result = await dataRecordService.updateRecord(req.params.id, req.params.recordId, record, req.user, change_note);
+    res.json({
+      success: true,
+      message: recordChangeMessage('记录已修改', result),
+      data: result
+    });
+  } catch (error) {
+    sendRecordError(res, error, '修改记录失败');
+  }
+};
+
+/**
+ * 删除数据记录
+ * DELETE /api/data/:id/records/:recordId
+ */
+const deleteDataRecord = async (req, res) => {
+  try {
+    const result = await dataRecordService.deleteRecord(req.params.id, req.params.recordId, req.user, req.body && req.body.change_note);
+    res.json({
+      success: true,
+      message: recordChangeMessage('记录已删除', result),
+      data: result
+    });
+  } catch (error) {
+    sendRecordError(res, error, '删除记录失败');
+  }
+};
+
+/**
+ * 批量修改数据记录（全部成功或全部不生效）
+ * PATCH /api/data/:id/records
+ * body: {changes: [{op: create | update | delete, id, record_date, value, text_value, metadata}], change_note}
+ */
+const patchDataRecords = async (req, res) => {
+  try {
+    const result = await dataRecordService.applyChanges(req.params.id, req.body.changes, req.user, req.body.change_note);
+    res.json({
+      success: true,
+      message: recordChangeMessage(`已新增 ${result.created.length} 条、修改 ${result.updated.length} 条、删除 ${result.deleted.length} 条记录`, result),
+      data: result
+    });
+  } catch (error) {
+    sendRecordError(res, error, '批量修改记录失败');
+  }
+};
+
 /**
  * 导出数据（CSV格式）
  */
@@ -531,6 +838,14 @@ module.exports = {
   getDataById,
   getDataByTitle,
   createData,
+  uploadDataFile,
+  previewDataFile,
+  importDataFile,
+  getQuarantinedRows,
+  getDataVersions,
+  getDataVersion,
+  diffDataVersions,
+  rollbackDataVersion,
   updateData,
   deleteData,
   approveData,
@@ -542,6 +857,10 @@ module.exports = {
   batchOperation,
   getDataRecords,
   getDataRecordsByMonth,
+  createDataRecord,
+  updateDataRecord,
+  deleteDataRecord,
+  patchDataRecords,
   exportData
 };
 
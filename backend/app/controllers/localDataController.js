@@ -2,6 +2,7 @@
  * 本地数据控制器
  */
 const localDataService = require('../services/localDataService');
+const localDataImportService = require('../services/localDataImportService');
 
 /**
  * 获取可用的数据文件列表
@@ -9,9 +10,11 @@ const localDataService = require('../services/localDataService');
 const getAvailableFiles = async (req, res) => {
   try {
     const files = await localDataService.getAvailableDataFiles();
+    // 附带已同步到数据库的数据ID（数据库不可用时不影响文件列表）
+    const dataIds = await localDataImportService.getImportedDataIds().catch(() => ({}));
     res.json({
       success: true,
-      data: files
+      data: files.map(file => ({ ...file, dataId: dataIds[file.filename] || null }))
     });
   } catch (error) {
     console.error('获取数据文件列表失败:', error);
@@ -155,10 +158,135 @@ const getTimeSeries = async (req, res) => {
   }
 };
 
+/**
+ * 检测异常值
+ * GET /api/local-data/:filename/anomalies?indicator=&area=&startTime=&endTime=&threshold=
+ */
+const getAnomalies = async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const {
+      area = null,
+      indicator = null,
+      startTime = null,
+      endTime = null,
+      threshold = null
+    } = req.query;
+    
+    if (!filename) {
+      return res.status(400).json({
+        success: false,
+        message: '文件名不能为空'
+      });
+    }
+    
+    const parsedThreshold = threshold ? parseFloat(threshold) : null;
+    if (threshold && !(parsedThreshold > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: '阈值 threshold 必须是正数'
+      });
+    }
+    
+    const result = await localDataService.getAnomalies(filename, {
+      area,
+      indicator,
+      startTime: startTime ? parseInt(startTime) : null,
+      endTime: endTime ? parseInt(endTime) : null,
+      threshold: parsedThreshold
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('检测异常值失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '检测异常值失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 获取数据质量报告
+ */
+const getQualityReport = async (req, res) => {
+  try {
+    const report = await localDataService.getQualityReport(req.params.filename);
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '获取数据质量报告失败'
+    });
+  }
+};
+
+/**
+ * 获取数据文件的同步状态
+ */
+const getSyncStatus = async (req, res) => {
+  try {
+    const status = await localDataImportService.getSyncStatus();
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '获取同步状态失败'
+    });
+  }
+};
+
+/**
+ * 同步数据文件到数据库
+ */
+const syncFiles = async (req, res) => {
+  try {
+    const { files, force, invalidRows } = req.body || {};
+    if (files !== undefined && (!Array.isArray(files) || files.some(file => typeof file !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'files 必须是文件名数组'
+      });
+    }
+
+    const result = await localDataImportService.syncFiles({
+      files,
+      force: force === true,
+      invalidRows,
+      userId: req.user.id
+    });
+    const { summary } = result;
+    res.json({
+      success: true,
+      data: result,
+      message: `同步完成：创建 ${summary.created}，更新 ${summary.updated}，无变化 ${summary.unchanged}，跳过 ${summary.skipped}，失败 ${summary.failed}`
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '同步本地数据失败'
+    });
+  }
+};
+
 module.exports = {
   getAvailableFiles,
+  getSyncStatus,
+  syncFiles,
   getStatistics,
+  getQualityReport,
   queryData,
-  getTimeSeries
+  getTimeSeries,
+  getAnomalies
 };
 
@@ -2,7 +2,129 @@
  * 预测控制器
  */
 const predictionService = require('../services/predictionService');
+const predictionHistoryService = require('../services/predictionHistoryService');
+const predictionJobQueue = require('../services/predictionJobQueue');
 const localDataService = require('../services/localDataService');
+const scenarioService = require('../services/scenarioService');
+const scenario = require('../services/scenario');
+const permissionService = require('../services/permissionService');
+
+/**
+ * 从请求体中提取预测参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 预测参数
+ */
+const getPredictParams = (body) => {
+    const {
+        filename,
+        area,
+        indicator,
+        startTime,
+        endTime,
+        period,
+        model = 'linear',  // 'auto' 表示自动选择最佳模型
+        modelParams = {},  // 模型特定参数
+        evaluate = false,  // 是否返回模型评估（回测和交叉验证）
+        evaluationOptions = {},
+        selectionOptions = {},  // 自动选择模型选项 {testSize, metric}
+        scenario = null  // 情景定义 {name, baseline, optimistic, pessimistic}
+    } = body;
+
+    return {
+        filename,
+        area,
+        indicator,
+        startTime,
+        endTime,
+        period,
+        model,
+        modelParams,
+        evaluate: !!evaluate,
+        evaluationOptions,
+        selectionOptions,
+        ...(scenario && { scenario })
+    };
+};
+
+/**
+ * 解析预测请求中的情景：scenarioId 引用已保存的情景，scenario 为临时定义
+ * 解析后的情景定义写入 params.scenario
+ * @returns {Promise<string|null>} 错误信息，校验通过返回null
+ */
+const resolveScenario = async (body, params, user) => {
+    if (body.scenarioId) {
+        let saved;
+        try {
+            saved = await scenarioService.getScenarioById(body.scenarioId, user.id, user.role);
+        } catch (error) {
+            if (error.message === '无权限访问此情景') {
+                error.status = 403;
+            }
+            throw error;
+        }
+        if (!saved) {
+            return '情景不存在';
+        }
+        params.scenario = { name: saved.name, ...saved.definition };
+        return null;
+    }
+
+    if (params.scenario) {
+        return scenario.validateScenario(params.scenario);
+    }
+
+    return null;
+};
+
+/**
+ * 校验预测参数
+ * @param {Object} params - 预测参数
+ * @returns {string|null} 错误信息，校验通过返回null
+ */
+const validatePredictParams = (params) => {
+    const { filename, area, indicator, startTime, endTime, period } = params;
+
+    if (!filename) {
+        return '缺少参数: filename';
+    }
+
+    if (!area) {
+        return '缺少参数: area';
+    }
+
+    if (!indicator) {
+        return '缺少参数: indicator';
+    }
+
+    if (!startTime || !endTime) {
+        return '缺少参数: startTime 或 endTime';
+    }
+
+    if (!period || period <= 0) {
+        return '预测周期数必须大于0';
+    }
+
+    return null;
+};
+
+/**
+ * 保存预测运行记录（保存失败不影响预测结果返回）
+ * @returns {Promise<number|null>} 预测记录ID
+ */
+const saveRun = async (userId, params, predictionResult, title) => {
+    try {
+        return await predictionHistoryService.savePrediction(userId, {
+            title: title || `${params.area}-${params.indicator}-${params.model}预测`,
+            model: params.model,
+            parameters: params,
+            result: predictionResult,
+            status: 'completed'
+        });
+    } catch (error) {
+        console.error('保存预测记录失败:', error);
+        return null;
+    }
+};
 
 /**
  * 执行预测
@@ -10,120 +132,458 @@ const localDataService = require('../services/localDataService');
  */
 const predict = async (req, res) => {
     try {
-        const {
-            filename,
-            area,
-            indicator,
-            startTime,
-            endTime,
-            period,
-            model = 'linear',
-            modelParams = {}  // 模型特定参数
-        } = req.body;
-        
+        const params = getPredictParams(req.body);
+        const { title } = req.body;
+
         // 参数验证
-        if (!filename) {
+        const validationError = validatePredictParams(params) || await resolveScenario(req.body, params, req.user);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: '缺少参数: filename'
+                message: validationError
             });
         }
-        
-        if (!area) {
+
+        const predictionResult = await predictionService.predictFromLocalData(params);
+
+        // 保存预测记录
+        const predictionId = await saveRun(req.user.id, params, predictionResult, title);
+
+        res.json({
+            success: true,
+            data: {
+                ...predictionResult,
+                predictionId
+            }
+        });
+
+    } catch (error) {
+        console.error('预测失败:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message || '预测失败'
+        });
+    }
+};
+
+/**
+ * 比较所有可用模型并返回排行榜和最佳模型的预测结果
+ * POST /api/prediction/compare
+ * body: 与 predict 相同（model 固定为 auto），scenario / scenarioId 与 predict 一样校验并应用到最佳模型的预测结果
+ */
+const compareModels = async (req, res) => {
+    try {
+        const params = {
+            ...getPredictParams(req.body),
+            model: 'auto'
+        };
+
+        const validationError = validatePredictParams(params) || await resolveScenario(req.body, params, req.user);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: '缺少参数: area'
+                message: validationError
             });
         }
-        
-        if (!indicator) {
-            return res.status(400).json({
+
+        const { modelSelection, ...forecast } = await predictionService.predictFromLocalData(params);
+
+        res.json({
+            success: true,
+            data: {
+                ...modelSelection,
+                forecast
+            }
+        });
+    } catch (error) {
+        console.error('模型比较失败:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message || '模型比较失败'
+        });
+    }
+};
+
+/**
+ * 批量预测：对同一指标的所有地区（或指定地区列表）执行预测
+ * POST /api/prediction/batch
+ * body: 与 predict 相同，但使用 areas（数组，可选）代替 area；
+ *   reconciliation: 层级调和方法 ('bottomUp', 'topDown', 'ols', 'wls')，totalArea: 总量地区（默认湖北省）
+ * query: format=csv 时以CSV文件形式返回预测矩阵（需要导出权限）
+ */
+const predictBatch = async (req, res) => {
+    try {
+        const { areas, reconciliation, totalArea } = req.body;
+        const params = {
+            ...getPredictParams(req.body),
+            areas: Array.isArray(areas) ? areas.filter(Boolean) : [],
+            reconciliation: reconciliation || null,
+            ...(totalArea && { totalArea })
+        };
+        delete params.area;
+
+        if (req.query.format === 'csv' && !permissionService.hasPermission(req.user.role, 'export:csv')) {
+            return res.status(403).json({
                 success: false,
-                message: '缺少参数: indicator'
+                message: '权限不足（需要: 导出数据）'
             });
         }
-        
-        if (!startTime || !endTime) {
+
+        // 复用单序列的参数校验（批量模式不需要 area）
+        const validationError = validatePredictParams({ ...params, area: '*' });
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: '缺少参数: startTime 或 endTime'
+                message: validationError
             });
         }
-        
-        if (!period || period <= 0) {
+
+        // 多个地区的预测（含自动选择模型）计算量大，在工作线程池中执行，不阻塞主线程
+        const batchResult = await predictionJobQueue.runBatch(req.user.id, params);
+
+        if (req.query.format === 'csv') {
+            const exportResult = predictionService.exportBatchToCSV(batchResult);
+            res.setHeader('Content-Type', exportResult.mimeType);
+            res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(exportResult.filename)}"`);
+            return res.send(exportResult.content);
+        }
+
+        res.json({
+            success: true,
+            data: batchResult
+        });
+    } catch (error) {
+        console.error('批量预测失败:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message || '批量预测失败'
+        });
+    }
+};
+
+/**
+ * 提交异步预测任务
+ * POST /api/prediction/jobs
+ */
+const createJob = async (req, res) => {
+    try {
+        const params = getPredictParams(req.body);
+        const { title } = req.body;
+
+        const validationError = validatePredictParams(params) || await resolveScenario(req.body, params, req.user);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: '预测周期数必须大于0'
+                message: validationError
             });
         }
-        
-        // 获取时间序列数据
-        const timeSeriesData = await localDataService.getTimeSeriesData(filename, {
-            area: area,
-            indicator: indicator,
-            startTime: startTime,
-            endTime: endTime
+
+        const jobId = await predictionJobQueue.enqueue(req.user.id, params, title);
+
+        res.status(202).json({
+            success: true,
+            message: '预测任务已提交',
+            data: {
+                jobId,
+                status: 'pending'
+            }
         });
-        
-        if (!timeSeriesData || timeSeriesData.length < 2) {
-            return res.status(400).json({
+    } catch (error) {
+        console.error('提交预测任务失败:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : '提交预测任务失败',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * 查询预测任务状态和进度
+ * GET /api/prediction/jobs/:id
+ */
+const getJob = async (req, res) => {
+    try {
+        const job = await predictionJobQueue.getJob(req.params.id, req.user.id, req.user.role);
+
+        if (!job) {
+            return res.status(404).json({
                 success: false,
-                message: '历史数据不足，至少需要2个数据点'
+                message: '预测任务不存在'
             });
         }
-        
-        // 检测时间格式
-        const firstTime = timeSeriesData[0].time;
-        const timeFormat = String(firstTime).length === 6 && parseInt(firstTime) >= 100000 && parseInt(firstTime) <= 999999
-            ? 'yearmonth'
-            : 'year';
-        
-        // 验证模型数据要求
-        if (!predictionService.validateModelDataRequirements(model, timeSeriesData.length)) {
-            const requirements = {
-                'linear': 2,
-                'exponential': 3,
-                'movingAverage': 2,
-                'polynomial': 3,
-                'arima': 20
-            };
-            const minRequired = requirements[model] || 2;
-            return res.status(400).json({
+
+        res.json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('查询预测任务失败:', error);
+
+        if (error.message === '无权限查看此预测记录') {
+            return res.status(403).json({
                 success: false,
-                message: `${model} 模型至少需要 ${minRequired} 个数据点，当前只有 ${timeSeriesData.length} 个`
+                message: error.message
             });
         }
-        
-        // 检测时间间隔
-        const timeInterval = predictionService.detectTimeInterval(timeSeriesData);
-        
-        // 生成预测
-        const predictionResult = predictionService.generatePrediction(
-            timeSeriesData,
-            period,
+
+        res.status(500).json({
+            success: false,
+            message: '查询预测任务失败',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * 获取预测历史列表
+ * GET /api/prediction/history
+ */
+const getHistory = async (req, res) => {
+    try {
+        const {
+            filename,
+            area,
+            indicator,
             model,
-            timeInterval,
-            timeFormat,
+            allUsers,
+            page = 1,
+            pageSize = 20
+        } = req.query;
+
+        const result = await predictionHistoryService.getHistoryList(
+            req.user.id,
+            req.user.role,
+            {
+                filename,
+                area,
+                indicator,
+                model,
+                allUsers: allUsers === 'true'
+            },
             {
-                modelParams: modelParams
+                page: parseInt(page),
+                pageSize: parseInt(pageSize)
             }
         );
-        
+
         res.json({
             success: true,
-            data: predictionResult
+            data: result.list,
+            pagination: {
+                page: result.page,
+                pageSize: result.pageSize,
+                total: result.total,
+                totalPages: result.totalPages
+            }
         });
-        
     } catch (error) {
-        console.error('预测失败:', error);
+        console.error('获取预测历史失败:', error);
         res.status(500).json({
             success: false,
-            message: error.message || '预测失败'
+            message: '获取预测历史失败',
+            error: error.message
         });
     }
 };
 
-module.exports = {
-    predict
+/**
+ * 获取预测记录详情
+ * GET /api/prediction/history/:id
+ */
+const getHistoryById = async (req, res) => {
+    try {
+        const record = await predictionHistoryService.getHistoryById(req.params.id, req.user.id, req.user.role);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: '预测记录不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record
+        });
+    } catch (error) {
+        console.error('获取预测记录失败:', error);
+
+        if (error.message === '无权限查看此预测记录') {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: '获取预测记录失败',
+            error: error.message
+        });
+    }
 };
 
+/**
+ * 删除预测记录
+ * DELETE /api/prediction/history/:id
+ */
+const deleteHistory = async (req, res) => {
+    try {
+        const deleted = await predictionHistoryService.deleteHistory(req.params.id, req.user.id, req.user.role);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: '预测记录不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '预测记录删除成功'
+        });
+    } catch (error) {
+        console.error('删除预测记录失败:', error);
+
+        if (error.message === '无权限删除此预测记录') {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: '删除预测记录失败',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * 对比原始预测与重新运行的结果
+ * @param {Object} original - 原始预测结果
+ * @param {Object} current - 重新运行的预测结果
+ * @param {Array} latestSeries - 当前数据文件中的最新时间序列
+ * @returns {Object} 对比结果
+ */
+const compareRuns = (original, current, latestSeries) => {
+    const currentPredictionMap = new Map(current.predictions.map(p => [p.time, p.value]));
+    const actualMap = new Map(latestSeries.map(item => [item.time, item.value]));
+
+    // 逐期对比：原预测值、新预测值、已公布的实际值
+    const points = original.predictions.map(p => {
+        const currentValue = currentPredictionMap.has(p.time) ? currentPredictionMap.get(p.time) : null;
+        const actualValue = actualMap.has(p.time) ? actualMap.get(p.time) : null;
+        return {
+            time: p.time,
+            originalValue: p.value,
+            currentValue: currentValue,
+            change: currentValue !== null ? currentValue - p.value : null,
+            actualValue: actualValue,
+            error: actualValue !== null ? p.value - actualValue : null
+        };
+    });
+
+    // 历史数据修订（同一时间点的值发生变化）
+    const revisedHistory = [];
+    (original.historicalData || []).forEach(item => {
+        if (actualMap.has(item.time) && actualMap.get(item.time) !== item.value) {
+            revisedHistory.push({
+                time: item.time,
+                originalValue: item.value,
+                currentValue: actualMap.get(item.time)
+            });
+        }
+    });
+
+    return {
+        points,
+        revisedHistory,
+        actualsAvailable: points.filter(p => p.actualValue !== null).length
+    };
+};
+
+/**
+ * 使用当前数据重新运行历史预测
+ * POST /api/prediction/history/:id/rerun
+ * body: {extendToLatest: boolean} 为true时使用截至最新的全部数据
+ */
+const rerunHistory = async (req, res) => {
+    try {
+        const record = await predictionHistoryService.getHistoryById(req.params.id, req.user.id, req.user.role);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: '预测记录不存在'
+            });
+        }
+
+        if (!record.parameters || !record.parameters.filename) {
+            return res.status(400).json({
+                success: false,
+                message: '预测记录缺少运行参数，无法重新运行'
+            });
+        }
+
+        const { extendToLatest = false } = req.body || {};
+
+        // 获取当前数据文件中该地区、指标的全部时间序列
+        const latestSeries = await localDataService.getTimeSeriesData(record.parameters.filename, {
+            area: record.parameters.area,
+            indicator: record.parameters.indicator,
+            startTime: record.parameters.startTime
+        });
+
+        const params = {
+            ...record.parameters,
+            ...(extendToLatest && latestSeries.length > 0 && {
+                endTime: latestSeries[latestSeries.length - 1].time
+            }),
+            rerunOf: record.id
+        };
+
+        const predictionResult = await predictionService.predictFromLocalData(params);
+        const predictionId = await saveRun(req.user.id, params, predictionResult, `${record.title}（重新运行）`);
+
+        res.json({
+            success: true,
+            data: {
+                original: record,
+                current: {
+                    ...predictionResult,
+                    predictionId
+                },
+                comparison: record.result && record.result.predictions ? compareRuns(record.result, predictionResult, latestSeries) : null
+            }
+        });
+    } catch (error) {
+        console.error('重新运行预测失败:', error);
+
+        if (error.message === '无权限查看此预测记录') {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message || '重新运行预测失败'
+        });
+    }
+};
+
+module.exports = {
+    predict,
+    compareModels,
+    predictBatch,
+    createJob,
+    getJob,
+    getHistory,
+    getHistoryById,
+    deleteHistory,
+    rerunHistory
+};
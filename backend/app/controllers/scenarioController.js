@@ -0,0 +1,200 @@
+/**
+ * 预测情景控制器
+ */
+const scenarioService = require('../services/scenarioService');
+const scenario = require('../services/scenario');
+
+/**
+ * 根据错误信息返回对应的状态码
+ */
+const getErrorStatus = (error) => {
+    if (error.message === '无权限访问此情景') {
+        return 403;
+    }
+    if (error.message === '情景名称已存在') {
+        return 400;
+    }
+    return 500;
+};
+
+/**
+ * 获取当前用户的情景列表
+ * GET /api/prediction/scenarios
+ */
+const getScenarios = async (req, res) => {
+    try {
+        const list = await scenarioService.getScenarios(req.user.id);
+
+        res.json({
+            success: true,
+            data: list
+        });
+    } catch (error) {
+        console.error('获取情景列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取情景列表失败',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * 获取情景详情
+ * GET /api/prediction/scenarios/:id
+ */
+const getScenarioById = async (req, res) => {
+    try {
+        const item = await scenarioService.getScenarioById(req.params.id, req.user.id, req.user.role);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: '情景不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: item
+        });
+    } catch (error) {
+        console.error('获取情景失败:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || '获取情景失败'
+        });
+    }
+};
+
+/**
+ * 创建情景
+ * POST /api/prediction/scenarios
+ * body: {name, description, definition: {baseline, optimistic, pessimistic}}
+ */
+const createScenario = async (req, res) => {
+    try {
+        const { name, description, definition } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: '情景名称不能为空'
+            });
+        }
+
+        const validationError = scenario.validateScenario(definition);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const item = await scenarioService.createScenario(req.user.id, {
+            name: name.trim(),
+            description,
+            definition
+        });
+
+        res.status(201).json({
+            success: true,
+            message: '情景保存成功',
+            data: item
+        });
+    } catch (error) {
+        console.error('创建情景失败:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || '创建情景失败'
+        });
+    }
+};
+
+/**
+ * 更新情景
+ * PUT /api/prediction/scenarios/:id
+ */
+const updateScenario = async (req, res) => {
+    try {
+        const { name, description, definition } = req.body;
+
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: '情景名称不能为空'
+            });
+        }
+
+        if (definition !== undefined) {
+            const validationError = scenario.validateScenario(definition);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+        }
+
+        const item = await scenarioService.updateScenario(req.params.id, req.user.id, req.user.role, {
+            name: name !== undefined ? String(name).trim() : undefined,
+            description,
+            definition
+        });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: '情景不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '情景更新成功',
+            data: item
+        });
+    } catch (error) {
+        console.error('更新情景失败:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || '更新情景失败'
+        });
+    }
+};
+
+/**
+ * 删除情景
+ * DELETE /api/prediction/scenarios/:id
+ */
+const deleteScenario = async (req, res) => {
+    try {
+        const deleted = await scenarioService.deleteScenario(req.params.id, req.user.id, req.user.role);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: '情景不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '情景删除成功'
+        });
+    } catch (error) {
+        console.error('删除情景失败:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || '删除情景失败'
+        });
+    }
+};
+
+module.exports = {
+    getScenarios,
+    getScenarioById,
+    createScenario,
+    updateScenario,
+    deleteScenario
+};
@@ -0,0 +1,347 @@
+/**
+ * 系统管理控制器
+ */
+const systemService = require('../services/systemService');
+const systemLogService = require('../services/systemLogService');
+const settingsService = require('../services/settingsService');
+const permissionService = require('../services/permissionService');
+const { buildXlsx } = require('../services/xlsxExport');
+
+// 日期格式 YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 解析并校验日志筛选条件
+ * date 为单日查询，等同于 startDate = endDate = date
+ * @returns {Object} {filters, error}
+ */
+const parseLogFilters = (queryParams) => {
+  const { type, userId, username, date, keyword, status } = queryParams;
+  const startDate = queryParams.startDate || date;
+  const endDate = queryParams.endDate || date;
+
+  if (type && !systemLogService.LOG_TYPES.includes(type)) {
+    return { error: `不支持的日志类型: ${type}，可选值: ${systemLogService.LOG_TYPES.join(', ')}` };
+  }
+
+  if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+    return { error: '日期格式应为 YYYY-MM-DD' };
+  }
+
+  if (userId && !/^\d+$/.test(String(userId))) {
+    return { error: '用户ID必须是数字' };
+  }
+
+  if (status && !['success', 'failure'].includes(status)) {
+    return { error: '状态可选值: success, failure' };
+  }
+
+  return {
+    filters: { type, userId, username, startDate, endDate, keyword, status }
+  };
+};
+
+/**
+ * 获取系统状态
+ * GET /api/system/status
+ */
+const getStatus = async (req, res) => {
+  try {
+    const status = await systemService.getSystemStatus();
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('获取系统状态失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取系统状态失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 查询系统日志
+ * GET /api/system/logs?type=&userId=&username=&startDate=&endDate=&date=&keyword=&status=&page=&pageSize=
+ */
+const getLogs = async (req, res) => {
+  try {
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 20, 1), 100);
+
+    const result = await systemLogService.getLogs(filters, { page, pageSize });
+
+    res.json({
+      success: true,
+      data: result.list,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages
+      }
+    });
+  } catch (error) {
+    console.error('获取系统日志失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取系统日志失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 导出系统日志
+ * GET /api/system/logs/export?format=csv|xlsx&（筛选条件同查询接口）
+ */
+const exportLogs = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: '导出格式可选值: csv, xlsx'
+      });
+    }
+
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { columns, rows, truncated } = await systemLogService.exportLogs(filters);
+    const filename = `系统日志_${new Date().toISOString().split('T')[0]}.${format}`;
+
+    // 超出导出上限时通过响应头提示
+    if (truncated) {
+      res.setHeader('X-Export-Truncated', String(systemLogService.MAX_EXPORT_ROWS));
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(buildXlsx([columns, ...rows], '系统日志'));
+    }
+
+    const escapeCSV = (value) => {
+      const str = String(value === null || value === undefined ? '' : value);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const content = [columns, ...rows].map(row => row.map(escapeCSV).join(',')).join('\n');
+
+    res.setHeader('Content-Type', 'text/csv;charset=utf-8');
+    // 添加BOM，确保Excel正确识别中文
+    res.send('\uFEFF' + content + '\n');
+  } catch (error) {
+    console.error('导出系统日志失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '导出系统日志失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 获取系统设置
+ * GET /api/system/config
+ */
+const getConfig = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: settingsService.getAll()
+    });
+  } catch (error) {
+    console.error('获取系统设置失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取系统设置失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 更新系统设置
+ * POST /api/system/config
+ * body: {key: value, ...}，任一值校验失败时全部不保存
+ */
+const updateConfig = async (req, res) => {
+  try {
+    const changes = await settingsService.updateSettings(req.body, req.user.id);
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? `已更新 ${changes.length} 项设置` : '设置未变化',
+      data: {
+        changes,
+        settings: settingsService.getAll()
+      }
+    });
+  } catch (error) {
+    console.error('更新系统设置失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || '更新系统设置失败'
+    });
+  }
+};
+
+/**
+ * 恢复设置默认值
+ * DELETE /api/system/config/:key
+ */
+const resetConfig = async (req, res) => {
+  try {
+    const change = await settingsService.resetSetting(req.params.key, req.user.id);
+
+    res.json({
+      success: true,
+      message: change ? '已恢复默认值' : '当前已是默认值',
+      data: {
+        change,
+        settings: settingsService.getAll()
+      }
+    });
+  } catch (error) {
+    console.error('恢复默认设置失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || '恢复默认设置失败'
+    });
+  }
+};
+
+/**
+ * 获取设置修改历史
+ * GET /api/system/config/history?key=&page=&pageSize=
+ */
+const getConfigHistory = async (req, res) => {
+  try {
+    const { key } = req.query;
+    if (key && !settingsService.DEFINITIONS[key]) {
+      return res.status(400).json({
+        success: false,
+        message: `未知的设置项: ${key}`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 20, 1), 100);
+
+    const result = await settingsService.getHistory({ key }, { page, pageSize });
+
+    res.json({
+      success: true,
+      data: result.list,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages
+      }
+    });
+  } catch (error) {
+    console.error('获取设置历史失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取设置历史失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 获取权限点和角色权限配置
+ * GET /api/system/permissions
+ */
+const getPermissions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: permissionService.getPermissionConfig()
+    });
+  } catch (error) {
+    console.error('获取角色权限失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取角色权限失败'
+    });
+  }
+};
+
+/**
+ * 修改角色权限（立即生效）
+ * PUT /api/system/permissions/:role
+ * body: {permissions: ['data:view', ...]}
+ */
+const updatePermissions = async (req, res) => {
+  try {
+    const change = await permissionService.updateRolePermissions(req.params.role, req.body.permissions, req.user.id);
+
+    res.json({
+      success: true,
+      message: '角色权限已保存',
+      data: {
+        change,
+        ...permissionService.getPermissionConfig()
+      }
+    });
+  } catch (error) {
+    console.error('修改角色权限失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '修改角色权限失败'
+    });
+  }
+};
+
+/**
+ * 恢复角色的默认权限
+ * DELETE /api/system/permissions/:role
+ */
+const resetPermissions = async (req, res) => {
+  try {
+    await permissionService.resetRolePermissions(req.params.role);
+
+    res.json({
+      success: true,
+      message: '已恢复默认权限',
+      data: permissionService.getPermissionConfig()
+    });
+  } catch (error) {
+    console.error('恢复默认权限失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '恢复默认权限失败'
+    });
+  }
+};
+
+module.exports = {
+  getStatus,
+  getLogs,
+  exportLogs,
+  getConfig,
+  updateConfig,
+  resetConfig,
+  getConfigHistory,
+  getPermissions,
+  updatePermissions,
+  resetPermissions
+};
@@ -0,0 +1,536 @@
+/**
+ * 用户管理控制器（需要用户管理权限）
+ */
+const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const loginGuardService = require('../services/loginGuardService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const settingsService = require('../services/settingsService');
+
+// 用户名：字母、数字、下划线，3-50位
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,50}$/;
+
+// 注册时间筛选（天）
+const ALLOWED_DAYS = [7, 30, 90];
+
+/**
+ * 管理员操作的自我保护规则
+ * - 非管理员角色（被授予用户管理权限）不能管理管理员账户，也不能授予管理员角色
+ * - 不能修改自己的角色、禁用或删除自己
+ * 不能降级、禁用或删除最后一个正常状态的管理员：由 userService 在修改的事务中检查
+ * @param {Object} operator - 当前操作人 req.user
+ * @param {Object} target - 目标用户
+ * @param {Object} changes - {role, status, remove}
+ * @returns {Promise<string|null>} 错误信息
+ */
+const checkProtection = async (operator, target, changes) => {
+  const isSelf = target.id === operator.id;
+
+  if (operator.role !== 'admin' && (target.role === 'admin' || changes.role === 'admin')) {
+    return '只有管理员可以管理管理员账户或授予管理员角色';
+  }
+  if (isSelf && changes.remove) {
+    return '不能删除自己的账户';
+  }
+  if (isSelf && changes.role !== undefined && changes.role !== target.role) {
+    return '不能修改自己的角色';
+  }
+  if (isSelf && changes.status !== undefined && changes.status !== 'active') {
+    return '不能禁用自己的账户';
+  }
+
+  return null;
+};
+
+/**
+ * 获取用户列表
+ * GET /api/user/list?role=&status=&days=&keyword=&page=&pageSize=
+ */
+const getUserList = async (req, res) => {
+  try {
+    const { role, status, keyword } = req.query;
+    const days = req.query.days ? parseInt(req.query.days) : null;
+
+    if (role && !userService.USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `角色可选值: ${userService.USER_ROLES.join(', ')}`
+      });
+    }
+    if (status && !userService.USER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `状态可选值: ${userService.USER_STATUSES.join(', ')}`
+      });
+    }
+    if (days && !ALLOWED_DAYS.includes(days)) {
+      return res.status(400).json({
+        success: false,
+        message: `注册时间可选值: ${ALLOWED_DAYS.join(', ')}`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 20, 1), 100);
+
+    const [result, stats] = await Promise.all([
+      userService.getUsers({ role, status, days, keyword }, { page, pageSize }),
+      userService.getUserStats()
+    ]);
+
+    res.json({
+      success: true,
+      data: result.list,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages
+      },
+      stats: {
+        total: Number(stats.total) || 0,
+        admin: Number(stats.admin_count) || 0,
+        decision: Number(stats.decision_user_count) || 0,
+        normal: Number(stats.normal_user_count) || 0,
+        active: Number(stats.active_count) || 0
+      }
+    });
+  } catch (error) {
+    console.error('获取用户列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取用户列表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 获取用户详情
+ * GET /api/user/:id
+ */
+const getUserById = async (req, res) => {
+  try {
+    const user = await userService.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('获取用户详情失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取用户详情失败'
+    });
+  }
+};
+
+/**
+ * 创建用户
+ * POST /api/user
+ * body: {username, password, email, phone, real_name, role, status}，未提供密码时生成临时密码并在响应中返回
+ * 管理员设置的初始密码在用户首次登录时必须修改
+ */
+const createUser = async (req, res) => {
+  try {
+    const { username, email, phone, real_name, role = 'normal_user', status = 'active' } = req.body;
+
+    if (!username || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        success: false,
+        message: '用户名只能包含字母、数字和下划线，长度3-50位'
+      });
+    }
+    if (!userService.USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `角色可选值: ${userService.USER_ROLES.join(', ')}`
+      });
+    }
+    if (role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: '只有管理员可以创建管理员账户'
+      });
+    }
+    if (!userService.USER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `状态可选值: ${userService.USER_STATUSES.join(', ')}`
+      });
+    }
+
+    const generated = !req.body.password;
+    const password = generated ? passwordPolicyService.generatePassword(username) : req.body.password;
+    const passwordError = passwordPolicyService.validatePassword(password, { username });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    if (await userService.usernameExists(username)) {
+      return res.status(400).json({
+        success: false,
+        message: '用户名已存在'
+      });
+    }
+
+    const userId = await userService.createUser({
+      username, password, email, phone, real_name, role, status,
+      mustChangePassword: true,
+      maxUsers: settingsService.get('maxUsers')
+    });
+    const user = await userService.findById(userId);
+
+    res.status(201).json({
+      success: true,
+      message: '用户创建成功',
+      data: {
+        ...user,
+        ...(generated && { password })
+      }
+    });
+  } catch (error) {
+    console.error('创建用户失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '创建用户失败'
+    });
+  }
+};
+
+/**
+ * 修改用户信息、角色和状态
+ * PUT /api/user/:id
+ * body: {email, phone, real_name, role, status}
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { email, phone, real_name, role, status } = req.body;
+
+    if (role !== undefined && !userService.USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `角色可选值: ${userService.USER_ROLES.join(', ')}`
+      });
+    }
+    if (status !== undefined && !userService.USER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `状态可选值: ${userService.USER_STATUSES.join(', ')}`
+      });
+    }
+
+    const target = await userService.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    const protectionError = await checkProtection(req.user, target, { role, status });
+    if (protectionError) {
+      return res.status(400).json({
+        success: false,
+        message: protectionError
+      });
+    }
+
+    await userService.updateRoleAndStatus(target.id, { role, status });
+    const user = await userService.updateUser(target.id, { email, phone, real_name }) || await userService.findById(target.id);
+
+    // 角色或状态变更后强制该用户重新登录
+    if (role !== undefined && role !== target.role) {
+      await sessionService.revokeUserSessions(target.id, 'roleChanged');
+    } else if (status !== undefined && status !== target.status) {
+      await sessionService.revokeUserSessions(target.id, 'statusChanged');
+    }
+
+    res.json({
+      success: true,
+      message: '用户更新成功',
+      data: user
+    });
+  } catch (error) {
+    console.error('更新用户失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '更新用户失败'
+    });
+  }
+};
+
+/**
+ * 重置用户密码
+ * POST /api/user/:id/reset-password
+ * body: {password}，未提供时生成临时密码并在响应中返回；用户下次登录时必须修改密码
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const target = await userService.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    if (target.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: '请通过修改密码功能修改自己的密码'
+      });
+    }
+
+    const protectionError = await checkProtection(req.user, target, {});
+    if (protectionError) {
+      return res.status(400).json({
+        success: false,
+        message: protectionError
+      });
+    }
+
+    const generated = !req.body.password;
+    const password = generated ? passwordPolicyService.generatePassword(target.username) : req.body.password;
+    const passwordError = passwordPolicyService.validatePassword(password, { username: target.username });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    await userService.updateUser(target.id, { password, mustChangePassword: true });
+    await sessionService.revokeUserSessions(target.id, 'passwordReset');
+
+    res.json({
+      success: true,
+      message: '密码重置成功',
+      data: generated ? { password } : null
+    });
+  } catch (error) {
+    console.error('重置密码失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '重置密码失败'
+    });
+  }
+};
+
+/**
+ * 强制用户下线（撤销该用户的所有登录会话）
+ * POST /api/user/:id/logout
+ */
+const forceLogout = async (req, res) => {
+  try {
+    const target = await userService.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    if (target.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: '请通过退出所有设备功能下线自己的会话'
+      });
+    }
+
+    const protectionError = await checkProtection(req.user, target, {});
+    if (protectionError) {
+      return res.status(400).json({
+        success: false,
+        message: protectionError
+      });
+    }
+
+    const count = await sessionService.revokeUserSessions(target.id, 'forced');
+
+    res.json({
+      success: true,
+      message: `已强制下线（${count} 个会话）`
+    });
+  } catch (error) {
+    console.error('强制下线失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '强制下线失败'
+    });
+  }
+};
+
+/**
+ * 解除登录锁定（清除该用户名的连续失败计数）
+ * POST /api/user/:id/unlock
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const target = await userService.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    const protectionError = await checkProtection(req.user, target, {});
+    if (protectionError) {
+      return res.status(400).json({
+        success: false,
+        message: protectionError
+      });
+    }
+
+    const wasLocked = await loginGuardService.unlockUser(target.username);
+
+    res.json({
+      success: true,
+      message: wasLocked ? '已解除登录锁定' : '该用户未被锁定，已清除登录失败记录'
+    });
+  } catch (error) {
+    console.error('解除登录锁定失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '解除登录锁定失败'
+    });
+  }
+};
+
+/**
+ * 删除用户
+ * DELETE /api/user/:id
+ */
+const deleteUser = async (req, res) => {
+  try {
+    const target = await userService.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    const protectionError = await checkProtection(req.user, target, { remove: true });
+    if (protectionError) {
+      return res.status(400).json({
+        success: false,
+        message: protectionError
+      });
+    }
+
+    await userService.deleteUser(target.id);
+
+    res.json({
+      success: true,
+      message: '用户删除成功'
+    });
+  } catch (error) {
+    console.error('删除用户失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '删除用户失败'
+    });
+  }
+};
+
+/**
+ * 批量操作用户
+ * POST /api/user/batch
+ * body: {ids: [], operation: 'enable' | 'disable' | 'ban' | 'delete'}
+ * 逐个执行，违反保护规则或不存在的用户跳过并在 failed 中返回原因
+ */
+const batchOperation = async (req, res) => {
+  try {
+    const { ids, operation } = req.body;
+    const statusMap = { enable: 'active', disable: 'inactive', ban: 'banned' };
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '请选择要操作的用户'
+      });
+    }
+    if (!statusMap[operation] && operation !== 'delete') {
+      return res.status(400).json({
+        success: false,
+        message: '操作可选值: enable, disable, ban, delete'
+      });
+    }
+
+    const succeeded = [];
+    const failed = [];
+
+    for (const id of ids) {
+      const target = await userService.findById(id);
+      if (!target) {
+        failed.push({ id, message: '用户不存在' });
+        continue;
+      }
+
+      const changes = operation === 'delete' ? { remove: true } : { status: statusMap[operation] };
+      const protectionError = await checkProtection(req.user, target, changes);
+      if (protectionError) {
+        failed.push({ id: target.id, username: target.username, message: protectionError });
+        continue;
+      }
+
+      try {
+        if (operation === 'delete') {
+          await userService.deleteUser(target.id);
+        } else {
+          await userService.updateRoleAndStatus(target.id, changes);
+          if (changes.status !== target.status) {
+            await sessionService.revokeUserSessions(target.id, 'statusChanged');
+          }
+        }
+      } catch (error) {
+        // 最后一个管理员等保护规则在修改的事务中检查
+        if (!error.status) {
+          throw error;
+        }
+        failed.push({ id: target.id, username: target.username, message: error.message });
+        continue;
+      }
+      succeeded.push(target.id);
+    }
+
+    res.json({
+      success: true,
+      message: failed.length > 0
+        ? `成功 ${succeeded.length} 个，失败 ${failed.length} 个`
+        : `批量操作成功（${succeeded.length} 个用户）`,
+      data: { succeeded, failed }
+    });
+  } catch (error) {
+    console.error('批量操作用户失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '批量操作用户失败'
+    });
+  }
+};
+
+module.exports = {
+  getUserList,
+  getUserById,
+  createUser,
+  updateUser,
+  resetPassword,
+  forceLogout,
+  unlockUser,
+  deleteUser,
+  batchOperation
+};
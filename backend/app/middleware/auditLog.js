@@ -0,0 +1,90 @@
+/**
+ * 审计日志中间件
+ * 在响应结束后异步写入 system_logs，不影响请求本身的响应时间；写入失败只打印错误
+ */
+const { getPool } = require('../../config/database');
+const systemLogService = require('../services/systemLogService');
+
+/**
+ * 获取客户端IP
+ * 使用 req.ip：只有配置了可信代理（config.trustProxy）时才会采用代理转发的 X-Forwarded-For，客户端无法伪造
+ */
+const getClientIp = (req) => {
+  const ip = req.ip || (req.socket && req.socket.remoteAddress);
+  return ip ? ip.replace(/^::ffff:/, '') : null;
+};
+
+/**
+ * 默认描述：请求方法和路径，附带资源ID
+ */
+const defaultDescribe = (req) => {
+  const id = req.params && req.params.id;
+  return `${req.method} ${req.baseUrl}${req.path}${id ? `（ID: ${id}）` : ''}`;
+};
+
+/**
+ * 记录审计日志
+ * 用法：router.post('/path', authenticate, auditLog('操作名称'), controller)
+ * 结果判定：状态码 < 400 且响应体 success 不为 false 记为 success，否则记为 failure；5xx 记为 error 类型
+ * @param {string} action - 操作名称
+ * @param {Object} options - {type: 日志类型（默认 operation）, describe: (req, body) => 描述}
+ * @returns {Function} Express 中间件
+ */
+const auditLog = (action, options = {}) => {
+  const { type = 'operation', describe = defaultDescribe } = options;
+
+  return (req, res, next) => {
+    // 记录响应体，用于判断结果和获取登录用户
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      const isSuccess = res.statusCode < 400 && !(responseBody && responseBody.success === false);
+      const loginUser = responseBody && responseBody.data && responseBody.data.user;
+
+      let description;
+      try {
+        description = describe(req, responseBody);
+      } catch (error) {
+        description = defaultDescribe(req);
+      }
+      if (!isSuccess && responseBody && responseBody.message) {
+        description = `${description}；失败原因: ${responseBody.message}`;
+      }
+
+      const entry = {
+        userId: req.user ? req.user.id : (loginUser ? loginUser.id : null),
+        username: req.user ? req.user.username : (req.body && req.body.username),
+        type: res.statusCode >= 500 ? 'error' : type,
+        action,
+        description,
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent'],
+        status: isSuccess ? 'success' : 'failure'
+      };
+
+      setImmediate(() => {
+        // 数据库未连接时（前端开发模式）不记录
+        try {
+          getPool();
+        } catch (error) {
+          return;
+        }
+        systemLogService.writeLog(entry).catch(error => {
+          console.error('记录审计日志失败:', error.message);
+        });
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditLog,
+  getClientIp
+};
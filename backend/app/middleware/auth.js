@@ -3,11 +3,23 @@
  */
 const jwt = require('jsonwebtoken');
 const config = require('../../config/config');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+
+// 必须修改密码时仍允许访问的接口（认证相关、个人信息和修改密码）
+const PASSWORD_CHANGE_ALLOWED = ['/api/auth/', '/api/user/profile', '/api/user/password'];
+
+const PASSWORD_CHANGE_MESSAGES = {
+  initial: '首次登录请先修改初始密码',
+  expired: '密码已过期，请先修改密码'
+};
 
 /**
  * JWT 认证中间件
+ * 除校验签名和有效期外，还校验令牌对应的登录会话（未撤销、未过期、用户状态正常、角色未变更）
+ * 用户必须修改密码（初始密码或密码过期）时，只允许访问 PASSWORD_CHANGE_ALLOWED 中的接口
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     // 从请求头获取 token
     const authHeader = req.headers.authorization;
@@ -23,6 +35,36 @@ const authenticate = (req, res, next) => {
 
     // 验证 token
     const decoded = jwt.verify(token, config.jwt.secret);
+
+    // 没有会话ID的令牌（旧版本签发）不再接受
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: '会话已失效，请重新登录'
+      });
+    }
+
+    const invalidReason = await sessionService.validateSession(decoded.sid, decoded);
+    if (invalidReason) {
+      return res.status(401).json({
+        success: false,
+        message: invalidReason
+      });
+    }
+    sessionService.touchSession(decoded.sid);
+
+    const passwordChange = sessionService.getPasswordChangeReason(decoded.sid);
+    const requestPath = req.originalUrl.split('?')[0];
+    if (passwordChange && !PASSWORD_CHANGE_ALLOWED.some(prefix => requestPath.startsWith(prefix))) {
+      return res.status(403).json({
+        success: false,
+        message: PASSWORD_CHANGE_MESSAGES[passwordChange],
+        data: {
+          passwordChangeRequired: true,
+          reason: passwordChange
+        }
+      });
+    }
     
     // 将用户信息添加到请求对象
     req.user = decoded;
@@ -72,8 +114,33 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * 权限中间件：需要拥有全部所列权限（权限点见 permissionService.PERMISSIONS）
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: '未认证'
+      });
+    }
+
+    const missing = permissions.filter(permission => !permissionService.hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `权限不足（需要: ${missing.map(key => permissionService.PERMISSIONS[key].label).join('、')}）`
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authenticate,
-  authorize
+  authorize,
+  requirePermission
 };
 
@@ -0,0 +1,96 @@
+/**
+ * 请求统计中间件
+ * 在内存中统计当天的请求数、错误数和在线用户，供系统状态接口使用（服务重启后重新计数）
+ */
+
+// 在线用户判定窗口：最近15分钟内有请求的用户
+const ONLINE_WINDOW = 15 * 60 * 1000;
+
+// 当天统计
+let stats = null;
+
+// 用户最近一次请求时间 userId -> timestamp
+const lastSeen = new Map();
+
+/**
+ * 获取本地日期（YYYY-MM-DD）
+ */
+const getToday = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * 获取当天统计，跨天时重置
+ */
+const getTodayStats = () => {
+  const today = getToday();
+  if (!stats || stats.date !== today) {
+    stats = {
+      date: today,
+      requests: 0,
+      serverErrors: 0,
+      clientErrors: 0,
+      users: new Set()
+    };
+  }
+  return stats;
+};
+
+/**
+ * 请求统计中间件
+ * 在响应结束时记录，此时认证中间件已设置 req.user
+ */
+const requestTracker = (req, res, next) => {
+  res.on('finish', () => {
+    const current = getTodayStats();
+    current.requests++;
+
+    if (res.statusCode >= 500) {
+      current.serverErrors++;
+    } else if (res.statusCode >= 400) {
+      current.clientErrors++;
+    }
+
+    if (req.user && req.user.id) {
+      current.users.add(req.user.id);
+      lastSeen.set(req.user.id, Date.now());
+    }
+  });
+
+  next();
+};
+
+/**
+ * 获取请求统计
+ * @returns {Object} {date, requests, serverErrors, clientErrors, errorRate, activeUsers, onlineUsers}
+ */
+const getRequestStats = () => {
+  const current = getTodayStats();
+  const now = Date.now();
+
+  // 清理超出在线窗口的用户
+  lastSeen.forEach((time, userId) => {
+    if (now - time > ONLINE_WINDOW) {
+      lastSeen.delete(userId);
+    }
+  });
+
+  return {
+    date: current.date,
+    requests: current.requests,
+    serverErrors: current.serverErrors,
+    clientErrors: current.clientErrors,
+    // 错误率：服务端错误（5xx）占当天请求的百分比
+    errorRate: current.requests > 0 ? (current.serverErrors / current.requests) * 100 : 0,
+    activeUsers: current.users.size,
+    onlineUsers: lastSeen.size
+  };
+};
+
+module.exports = {
+  requestTracker,
+  getRequestStats
+};
@@ -0,0 +1,150 @@
+/**
+ * 文件上传中间件
+ * 解析 multipart/form-data 请求（单个文件），无需第三方依赖
+ * 文件大小上限来自系统设置 uploadMaxSize，修改后立即生效
+ */
+const settingsService = require('../services/settingsService');
+
+// 表单字段和分隔行等额外开销
+const FORM_OVERHEAD = 64 * 1024;
+
+/**
+ * 格式化文件大小
+ */
+const formatSize = (bytes) => {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+};
+
+/**
+ * 解析 multipart/form-data 请求体
+ * @param {Buffer} buffer - 请求体
+ * @param {string} boundary - 分隔符
+ * @returns {Array<Object>} [{name, filename, contentType, data}]
+ */
+const parseMultipart = (buffer, boundary) => {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    // 结束分隔符 --boundary--
+    if (buffer[start] === 0x2d && buffer[start + 1] === 0x2d) {
+      break;
+    }
+    start += 2; // CRLF
+
+    const end = buffer.indexOf(delimiter, start);
+    if (end === -1) {
+      break;
+    }
+
+    // 分隔符前的 CRLF 不属于内容
+    const part = buffer.subarray(start, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const name = /[;\s]name="([^"]*)"/i.exec(headers);
+      const filename = /filename="([^"]*)"/i.exec(headers);
+      const contentType = /content-type:\s*([^\r\n]+)/i.exec(headers);
+      parts.push({
+        name: name ? name[1] : '',
+        filename: filename ? filename[1] : null,
+        contentType: contentType ? contentType[1].trim() : null,
+        data: part.subarray(headerEnd + 4)
+      });
+    }
+    start = end;
+  }
+
+  return parts;
+};
+
+/**
+ * 单文件上传中间件
+ * 解析后 req.file = {originalname, mimetype, size, buffer}，其他表单字段放入 req.body
+ * @param {string} fieldName - 文件字段名
+ */
+const uploadFile = (fieldName = 'file') => {
+  return (req, res, next) => {
+    const match = /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+    if (!match) {
+      return res.status(400).json({
+        success: false,
+        message: '请使用 multipart/form-data 上传文件'
+      });
+    }
+
+    const maxSize = settingsService.get('uploadMaxSize');
+    const tooLarge = () => res.status(413).json({
+      success: false,
+      message: `文件大小不能超过 ${formatSize(maxSize)}`
+    });
+
+    if (parseInt(req.headers['content-length']) > maxSize + FORM_OVERHEAD) {
+      // 不读取请求体，直接关闭连接
+      res.set('Connection', 'close');
+      return tooLarge();
+    }
+
+    const chunks = [];
+    let received = 0;
+    let aborted = false;
+
+    req.on('data', (chunk) => {
+      if (aborted) {
+        return;
+      }
+      received += chunk.length;
+      if (received > maxSize + FORM_OVERHEAD) {
+        aborted = true;
+        res.set('Connection', 'close');
+        tooLarge();
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('error', (error) => {
+      if (!aborted) {
+        aborted = true;
+        next(error);
+      }
+    });
+
+    req.on('end', () => {
+      if (aborted) {
+        return;
+      }
+
+      const parts = parseMultipart(Buffer.concat(chunks), match[1] || match[2].trim());
+      const filePart = parts.find(part => part.name === fieldName && part.filename !== null);
+      if (!filePart || !filePart.filename) {
+        return res.status(400).json({
+          success: false,
+          message: '请选择要上传的文件'
+        });
+      }
+      if (filePart.data.length > maxSize) {
+        return tooLarge();
+      }
+
+      req.body = {};
+      parts.filter(part => part.filename === null).forEach(part => {
+        req.body[part.name] = part.data.toString('utf8');
+      });
+      req.file = {
+        originalname: filePart.filename,
+        mimetype: filePart.contentType,
+        size: filePart.data.length,
+        buffer: filePart.data
+      };
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadFile
+};
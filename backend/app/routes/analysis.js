@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const analysisController = require('../controllers/analysisController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
 
-// 所有分析路由都需要认证
-router.use(authenticate);
+// 所有分析路由都需要认证和AI分析权限
+router.use(authenticate, requirePermission('analysis:run'));
 
 // 执行数据分析
-router.post('/analyze', analysisController.analyze);
+router.post('/analyze', auditLog('AI分析', {
+  describe: (req) => `文件: ${req.body.filename || ''}，指标: ${req.body.indicator || '全部'}，问题: ${String(req.body.question || '').substring(0, 200)}`
+}), analysisController.analyze);
+
+// 季节分解
+router.get('/decompose', analysisController.decompose);
 
 module.exports = router;
 
@@ -2,12 +2,38 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
 
 // 登录（不需要认证）
-router.post('/login', authController.login);
+router.post('/login', auditLog('用户登录', {
+  type: 'login',
+  describe: (req) => `用户名: ${req.body.username || ''}`
+}), authController.login);
+
+// 登录验证码（登录失败次数过多后需要）
+router.get('/captcha', authController.getCaptcha);
+
+// 刷新访问令牌（使用刷新令牌，不需要访问令牌）
+router.post('/refresh', authController.refresh);
 
 // 登出（需要认证）
-router.post('/logout', authenticate, authController.logout);
+router.post('/logout', authenticate, auditLog('用户登出', {
+  type: 'login',
+  describe: (req) => `用户名: ${req.user.username}`
+}), authController.logout);
+
+// 退出所有设备（需要认证）
+router.post('/logout-all', authenticate, auditLog('退出所有设备', {
+  type: 'login',
+  describe: (req) => `用户名: ${req.user.username}`
+}), authController.logoutAll);
+
+// 登录设备列表与下线指定设备（需要认证）
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:id', authenticate, auditLog('下线登录设备', {
+  type: 'login',
+  describe: (req) => `会话ID: ${req.params.id}`
+}), authController.revokeSession);
 
 // 获取当前用户信息（需要认证）
 router.get('/me', authenticate, authController.getCurrentUser);
@@ -1,58 +1,114 @@
 const express = require('express');
 const router = express.Router();
 const dataController = require('../controllers/dataController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const { uploadFile } = require('../middleware/upload');
 
-// 获取数据列表（管理员）
-router.get('/list', authenticate, authorize('admin'), dataController.getDataList);
+// 获取数据列表（数据管理）
+router.get('/list', authenticate, requirePermission('data:manage'), dataController.getDataList);
 
-// 查询数据（所有已登录用户）
-router.post('/query', authenticate, dataController.queryData);
+// 查询数据
+router.post('/query', authenticate, requirePermission('data:view'), dataController.queryData);
 
 // 获取筛选选项（必须在 /:id 之前，避免被当作 id 处理）
-router.get('/filter-options', authenticate, dataController.getFilterOptions);
+router.get('/filter-options', authenticate, requirePermission('data:view'), dataController.getFilterOptions);
 
 // 根据标题获取数据详情（必须在 /:id 之前）
-router.get('/by-title/:title', authenticate, dataController.getDataByTitle);
+router.get('/by-title/:title', authenticate, requirePermission('data:view'), dataController.getDataByTitle);
 
 // 获取数据记录（必须在 /:id 之前）
-router.get('/:id/records', authenticate, dataController.getDataRecords);
+router.get('/:id/records', authenticate, requirePermission('data:view'), dataController.getDataRecords);
 
 // 获取数据记录统计（按月）
-router.get('/:id/records/months', authenticate, dataController.getDataRecordsByMonth);
+router.get('/:id/records/months', authenticate, requirePermission('data:view'), dataController.getDataRecordsByMonth);
+
+// 新增、修改、删除数据记录（拥有数据管理权限的用户或上传者）
+router.post('/:id/records', authenticate, auditLog('新增数据记录', {
+  describe: (req, body) => `数据ID: ${req.params.id}${body && body.data && body.data.record ? `，记录ID: ${body.data.record.id}` : ''}`
+}), dataController.createDataRecord);
+router.put('/:id/records/:recordId', authenticate, auditLog('修改数据记录', {
+  describe: (req) => `数据ID: ${req.params.id}，记录ID: ${req.params.recordId}`
+}), dataController.updateDataRecord);
+router.delete('/:id/records/:recordId', authenticate, auditLog('删除数据记录', {
+  describe: (req) => `数据ID: ${req.params.id}，记录ID: ${req.params.recordId}`
+}), dataController.deleteDataRecord);
+
+// 批量修改数据记录
+router.patch('/:id/records', authenticate, auditLog('批量修改数据记录', {
+  describe: (req, body) => `数据ID: ${req.params.id}${body && body.data ? `，新增 ${body.data.created.length} 条，修改 ${body.data.updated.length} 条，删除 ${body.data.deleted.length} 条` : `，共 ${Array.isArray(req.body.changes) ? req.body.changes.length : 0} 处修改`}`
+}), dataController.patchDataRecords);
 
 // 导出数据（必须在 /:id 之前）
-router.get('/:id/export', authenticate, dataController.exportData);
+router.get('/:id/export', authenticate, requirePermission('data:view', 'export:csv'), auditLog('导出数据', {
+  describe: (req) => `数据ID: ${req.params.id}，格式: ${req.query.format || 'csv'}`
+}), dataController.exportData);
 
 // 获取数据详情
-router.get('/:id', authenticate, dataController.getDataById);
+router.get('/:id', authenticate, requirePermission('data:view'), dataController.getDataById);
 
-// 创建数据（管理员）
-router.post('/', authenticate, authorize('admin'), dataController.createData);
+// 创建数据（数据管理）
+router.post('/', authenticate, requirePermission('data:manage'), auditLog('创建数据', {
+  describe: (req, body) => `标题: ${req.body.title || ''}${body && body.data && body.data.id ? `（ID: ${body.data.id}）` : ''}`
+}), dataController.createData);
 
-// 更新数据（管理员或上传者）
-router.put('/:id', authenticate, dataController.updateData);
+// 上传数据文件（CSV / XLSX / JSON），返回预览和建议的列映射
+router.post('/upload', authenticate, requirePermission('data:manage'), uploadFile('file'), auditLog('上传数据文件', {
+  describe: (req) => `文件: ${req.file ? req.file.originalname : ''}`
+}), dataController.uploadDataFile);
 
-// 删除数据（管理员或上传者）
-router.delete('/:id', authenticate, dataController.deleteData);
+// 按列映射预检上传的文件
+router.post('/upload/:uploadId/preview', authenticate, requirePermission('data:manage'), dataController.previewDataFile);
 
-// 审核数据（管理员）
-router.post('/:id/approve', authenticate, authorize('admin'), dataController.approveData);
+// 导入上传的文件，创建待审核的数据
+router.post('/upload/:uploadId/import', authenticate, requirePermission('data:manage'), auditLog('导入数据文件', {
+  describe: (req, body) => `标题: ${req.body.title || ''}${body && body.data ? `（数据ID: ${body.data.dataId}，${body.data.imported} 条记录）` : ''}`
+}), dataController.importDataFile);
+
+// 获取导入时隔离的无效行
+router.get('/:id/quarantine', authenticate, requirePermission('data:manage'), dataController.getQuarantinedRows);
+
+// 获取数据的版本列表
+router.get('/:id/versions', authenticate, requirePermission('data:view'), dataController.getDataVersions);
+
+// 比较两个版本（需在 /:id/versions/:version 之前注册）
+router.get('/:id/versions/diff', authenticate, requirePermission('data:view'), dataController.diffDataVersions);
+
+// 获取某个版本的数据信息和记录
+router.get('/:id/versions/:version', authenticate, requirePermission('data:view'), dataController.getDataVersion);
+
+// 回滚到指定版本
+router.post('/:id/versions/:version/rollback', authenticate, requirePermission('data:manage'), auditLog('回滚数据版本', {
+  describe: (req, body) => `数据ID: ${req.params.id}，回滚到版本 ${req.params.version}${body && body.data ? `（新版本 ${body.data.version}）` : ''}`
+}), dataController.rollbackDataVersion);
+
+// 更新数据（拥有数据管理权限的用户或上传者）
+router.put('/:id', authenticate, auditLog('更新数据'), dataController.updateData);
+
+// 删除数据（拥有数据管理权限的用户或上传者）
+router.delete('/:id', authenticate, auditLog('删除数据'), dataController.deleteData);
+
+// 审核数据
+router.post('/:id/approve', authenticate, requirePermission('data:approve'), auditLog('审核数据', {
+  describe: (req) => `数据ID: ${req.params.id}，结果: ${req.body.action === 'reject' ? '拒绝' : '通过'}`
+}), dataController.approveData);
 
 // 获取类别统计
-router.get('/stats/categories', authenticate, dataController.getCategoryStats);
+router.get('/stats/categories', authenticate, requirePermission('data:view'), dataController.getCategoryStats);
 
 // 获取数据趋势统计
-router.get('/stats/trend', authenticate, dataController.getTrendStats);
+router.get('/stats/trend', authenticate, requirePermission('data:view'), dataController.getTrendStats);
 
 // 获取数据来源统计
-router.get('/stats/sources', authenticate, dataController.getSourceStats);
+router.get('/stats/sources', authenticate, requirePermission('data:view'), dataController.getSourceStats);
 
-// 获取数据统计（管理员）
-router.get('/stats/summary', authenticate, authorize('admin'), dataController.getDataStats);
+// 获取数据统计（数据管理）
+router.get('/stats/summary', authenticate, requirePermission('data:manage'), dataController.getDataStats);
 
-// 批量操作（管理员）
-router.post('/batch', authenticate, authorize('admin'), dataController.batchOperation);
+// 批量操作（批量审核需要审核权限，批量删除需要数据管理权限，在控制器中校验）
+router.post('/batch', authenticate, auditLog('批量操作', {
+  describe: (req) => `操作: ${req.body.operation}，数据ID: ${Array.isArray(req.body.ids) ? req.body.ids.join(', ') : ''}`
+}), dataController.batchOperation);
 
 module.exports = router;
 
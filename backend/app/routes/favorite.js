@@ -5,15 +5,20 @@ const express = require('express');
 const router = express.Router();
 const favoriteController = require('../controllers/favoriteController');
 const { authenticate } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
 
 // 所有路由都需要认证
 router.use(authenticate);
 
 // 添加收藏
-router.post('/', favoriteController.addFavorite);
+router.post('/', auditLog('添加收藏', {
+  describe: (req) => `数据ID: ${req.body.dataId}`
+}), favoriteController.addFavorite);
 
 // 取消收藏
-router.delete('/:dataId', favoriteController.removeFavorite);
+router.delete('/:dataId', auditLog('取消收藏', {
+  describe: (req) => `数据ID: ${req.params.dataId}`
+}), favoriteController.removeFavorite);
 
 // 检查收藏状态
 router.get('/check/:dataId', favoriteController.checkFavorite);
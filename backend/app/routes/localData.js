@@ -1,20 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const localDataController = require('../controllers/localDataController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
 
-// 所有本地数据路由都需要认证
-router.use(authenticate);
+// 所有本地数据路由都需要认证和数据查看权限
+router.use(authenticate, requirePermission('data:view'));
 
 // 获取可用的数据文件列表
 router.get('/files', localDataController.getAvailableFiles);
 
+// 获取数据文件同步到数据库的状态
+router.get('/sync', requirePermission('data:manage'), localDataController.getSyncStatus);
+
+// 将数据文件同步到数据库（body.files 为空时同步全部文件）
+router.post('/sync', requirePermission('data:manage'), auditLog('同步本地数据', {
+  describe: (req, body) => {
+    const files = req.body.files && req.body.files.length > 0 ? req.body.files.join('、') : '全部文件';
+    const summary = body && body.data && body.data.summary;
+    return `文件: ${files}${summary ? `（创建 ${summary.created}，更新 ${summary.updated}，失败 ${summary.failed}）` : ''}`;
+  }
+}), localDataController.syncFiles);
+
 // 获取数据统计信息
 router.get('/:filename/statistics', localDataController.getStatistics);
 
+// 获取数据质量报告（缺失值、重复、超出范围、单位不一致等）
+router.get('/:filename/quality', localDataController.getQualityReport);
+
 // 获取时间序列数据（用于预测）
 router.get('/:filename/timeseries', localDataController.getTimeSeries);
 
+// 检测异常值
+router.get('/:filename/anomalies', localDataController.getAnomalies);
+
 // 查询数据（支持筛选和分页）
 router.get('/:filename/query', localDataController.queryData);
 
@@ -1,10 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const predictionController = require('../controllers/predictionController');
-const { authenticate } = require('../middleware/auth');
+const scenarioController = require('../controllers/scenarioController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
 
-// 执行预测（需要认证）
-router.post('/predict', authenticate, predictionController.predict);
+// 预测类操作的日志描述
+const describePrediction = (req) => {
+    const { filename, indicator, area, areas, model } = req.body;
+    const target = area || (Array.isArray(areas) && areas.length > 0 ? areas.join('、') : '全部地区');
+    return `文件: ${filename || ''}，指标: ${indicator || ''}，地区: ${target}，模型: ${model || 'linear'}`;
+};
 
-module.exports = router;
+// 所有预测路由都需要认证和预测权限
+router.use(authenticate, requirePermission('prediction:run'));
+
+// 执行预测
+router.post('/predict', auditLog('执行预测', { describe: describePrediction }), predictionController.predict);
+
+// 比较所有可用模型，返回排行榜和最佳模型的预测结果
+router.post('/compare', auditLog('模型比较', { describe: describePrediction }), predictionController.compareModels);
+
+// 批量预测（同一指标的所有地区或指定地区）
+router.post('/batch', auditLog('批量预测', {
+    describe: (req) => `${describePrediction(req)}${req.query.format === 'csv' ? '（导出CSV）' : ''}`
+}), predictionController.predictBatch);
+
+// 提交异步预测任务
+router.post('/jobs', auditLog('提交预测任务', { describe: describePrediction }), predictionController.createJob);
+
+// 查询预测任务状态和进度
+router.get('/jobs/:id', predictionController.getJob);
 
+// 获取预测历史列表
+router.get('/history', predictionController.getHistory);
+
+// 获取预测记录详情
+router.get('/history/:id', predictionController.getHistoryById);
+
+// 使用当前数据重新运行预测
+router.post('/history/:id/rerun', auditLog('重新运行预测'), predictionController.rerunHistory);
+
+// 删除预测记录
+router.delete('/history/:id', auditLog('删除预测记录'), predictionController.deleteHistory);
+
+// 情景管理（用户自定义的命名情景）
+router.get('/scenarios', scenarioController.getScenarios);
+router.get('/scenarios/:id', scenarioController.getScenarioById);
+router.post('/scenarios', auditLog('创建情景'), scenarioController.createScenario);
+router.put('/scenarios/:id', auditLog('更新情景'), scenarioController.updateScenario);
+router.delete('/scenarios/:id', auditLog('删除情景'), scenarioController.deleteScenario);
+
+module.exports = router;
@@ -1,14 +1,38 @@
 const express = require('express');
 const router = express.Router();
+const systemController = require('../controllers/systemController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
 
-// TODO: 实现系统控制器
-router.get('/status', (req, res) => {
-  res.json({
-    success: true,
-    message: '系统状态接口待实现',
-    data: {}
-  });
-});
+// 系统管理接口都需要认证
+router.use(authenticate);
 
-module.exports = router;
+// 获取系统状态
+router.get('/status', requirePermission('system:manage'), systemController.getStatus);
+
+// 系统日志查询与导出
+router.get('/logs', requirePermission('system:logs'), systemController.getLogs);
+router.get('/logs/export', requirePermission('system:logs'), auditLog('导出系统日志', {
+  describe: (req) => `格式: ${req.query.format || 'csv'}`
+}), systemController.exportLogs);
+
+// 系统设置（修改立即生效）
+router.get('/config', requirePermission('system:manage'), systemController.getConfig);
+router.get('/config/history', requirePermission('system:manage'), systemController.getConfigHistory);
+router.post('/config', requirePermission('system:manage'), auditLog('修改系统设置', {
+  describe: (req) => `设置项: ${Object.keys(req.body || {}).join(', ')}`
+}), systemController.updateConfig);
+router.delete('/config/:key', requirePermission('system:manage'), auditLog('恢复默认设置', {
+  describe: (req) => `设置项: ${req.params.key}`
+}), systemController.resetConfig);
 
+// 角色权限配置（修改立即生效）
+router.get('/permissions', requirePermission('system:manage'), systemController.getPermissions);
+router.put('/permissions/:role', requirePermission('system:manage'), auditLog('修改角色权限', {
+  describe: (req) => `角色: ${req.params.role}，权限: ${Array.isArray(req.body.permissions) ? req.body.permissions.join(', ') : ''}`
+}), systemController.updatePermissions);
+router.delete('/permissions/:role', requirePermission('system:manage'), auditLog('恢复默认权限', {
+  describe: (req) => `角色: ${req.params.role}`
+}), systemController.resetPermissions);
+
+module.exports = router;
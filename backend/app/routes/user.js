@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
 const userService = require('../services/userService');
+const userController = require('../controllers/userController');
+const sessionService = require('../services/sessionService');
+const passwordPolicyService = require('../services/passwordPolicyService');
 const { query } = require('../../config/database');
 const bcrypt = require('bcryptjs');
 const config = require('../../config/config');
@@ -37,7 +41,9 @@ router.get('/profile', authenticate, async (req, res) => {
 /**
  * 更新用户信息
  */
-router.put('/update', authenticate, async (req, res) => {
+router.put('/update', authenticate, auditLog('更新个人信息', {
+  describe: (req) => `修改字段: ${Object.keys(req.body).join(', ')}`
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { username, email, phone, real_name, organization } = req.body;
@@ -72,10 +78,23 @@ router.put('/update', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * 获取密码策略（用于修改密码时的提示）
+ */
+router.get('/password-policy', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: passwordPolicyService.getPolicy()
+  });
+});
+
 /**
  * 修改密码
+ * 新密码需符合密码策略且不能与最近使用过的密码相同；修改后清除“必须修改密码”标记
  */
-router.post('/password', authenticate, async (req, res) => {
+router.post('/password', authenticate, auditLog('修改密码', {
+  describe: () => '修改登录密码'
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { currentPassword, newPassword } = req.body;
@@ -87,11 +106,12 @@ router.post('/password', authenticate, async (req, res) => {
       });
     }
     
-    // 验证新密码格式
-    if (newPassword.length < 8 || newPassword.length > 20) {
+    // 验证新密码是否符合密码策略
+    const passwordError = passwordPolicyService.validatePassword(newPassword, { username: req.user.username });
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        message: '密码长度必须在8-20位之间'
+        message: passwordError
       });
     }
     
@@ -113,8 +133,16 @@ router.post('/password', authenticate, async (req, res) => {
       });
     }
     
-    // 更新密码
-    await userService.updateUser(userId, { password: newPassword });
+    if (await passwordPolicyService.isPasswordReused(userId, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `新密码不能与最近${passwordPolicyService.getPolicy().historyCount}次使用过的密码相同`
+      });
+    }
+    
+    // 更新密码，并让其他设备上的登录失效（保留当前会话）
+    await userService.updateUser(userId, { password: newPassword, mustChangePassword: false });
+    await sessionService.revokeUserSessions(userId, 'passwordChanged', req.user.sid);
     
     res.json({
       success: true,
@@ -144,6 +172,7 @@ router.get('/logs', authenticate, async (req, res) => {
         action,
         description,
         ip_address,
+        status,
         created_at
       FROM system_logs
       WHERE user_id = ?
@@ -159,7 +188,8 @@ router.get('/logs', authenticate, async (req, res) => {
       details: log.description || `${log.log_type || '系统'}操作`,
       createdAt: log.created_at,
       logType: log.log_type,
-      ipAddress: log.ip_address
+      ipAddress: log.ip_address,
+      status: log.status
     }));
     
     res.json({
@@ -175,5 +205,40 @@ router.get('/logs', authenticate, async (req, res) => {
   }
 });
 
+// ===== 用户管理（需要用户管理权限） =====
+
+// 用户列表（分页、筛选、统计）
+router.get('/list', authenticate, requirePermission('user:manage'), userController.getUserList);
+
+// 创建用户
+router.post('/', authenticate, requirePermission('user:manage'), auditLog('创建用户', {
+  describe: (req, body) => `用户名: ${req.body.username || ''}，角色: ${req.body.role || 'normal_user'}${body && body.data ? `（ID: ${body.data.id}）` : ''}`
+}), userController.createUser);
+
+// 批量启用/禁用/封禁/删除
+router.post('/batch', authenticate, requirePermission('user:manage'), auditLog('批量操作用户', {
+  describe: (req) => `操作: ${req.body.operation}，用户ID: ${Array.isArray(req.body.ids) ? req.body.ids.join(', ') : ''}`
+}), userController.batchOperation);
+
+// 用户详情
+router.get('/:id(\\d+)', authenticate, requirePermission('user:manage'), userController.getUserById);
+
+// 修改用户信息、角色和状态
+router.put('/:id(\\d+)', authenticate, requirePermission('user:manage'), auditLog('修改用户', {
+  describe: (req) => `用户ID: ${req.params.id}，修改字段: ${Object.keys(req.body).join(', ')}`
+}), userController.updateUser);
+
+// 重置密码
+router.post('/:id(\\d+)/reset-password', authenticate, requirePermission('user:manage'), auditLog('重置用户密码'), userController.resetPassword);
+
+// 强制下线
+router.post('/:id(\\d+)/logout', authenticate, requirePermission('user:manage'), auditLog('强制用户下线'), userController.forceLogout);
+
+// 解除登录锁定
+router.post('/:id(\\d+)/unlock', authenticate, requirePermission('user:manage'), auditLog('解除登录锁定'), userController.unlockUser);
+
+// 删除用户
+router.delete('/:id(\\d+)', authenticate, requirePermission('user:manage'), auditLog('删除用户'), userController.deleteUser);
+
 module.exports = router;
 
@@ -4,6 +4,7 @@
  */
 const localDataService = require('./localDataService');
 const llmService = require('./llmService');
+const seasonalDecomposition = require('./seasonalDecomposition');
 
 /**
  * 生成模拟分析结果（用于测试或API不可用时）
@@ -564,6 +565,60 @@ const generateTitle = (question, presetType) => {
   }
 };
 
+/**
+ * 季节分解
+ * 将年月格式的指标序列分解为趋势、季节和残差分量
+ * @param {Object} params - {filename, area, indicator, startTime, endTime, period, robust}
+ * @returns {Promise<Object>} 分解结果
+ */
+const decompose = async (params) => {
+  try {
+    const { filename, area, indicator, startTime, endTime, period, robust } = params;
+
+    const series = await localDataService.getTimeSeriesData(filename, {
+      area,
+      indicator,
+      startTime,
+      endTime
+    });
+
+    if (series.length === 0) {
+      const error = new Error('未找到符合条件的数据');
+      error.status = 404;
+      throw error;
+    }
+
+    // 同一时间点存在多条记录时（未指定地区）无法分解
+    if (new Set(series.map(item => item.time)).size !== series.length) {
+      const error = new Error('同一时间点存在多条数据，请指定地区');
+      error.status = 400;
+      throw error;
+    }
+
+    let result;
+    try {
+      result = seasonalDecomposition.decompose(
+        series.map(item => ({ time: item.time, value: item.value })),
+        { period, robust }
+      );
+    } catch (decomposeError) {
+      decomposeError.status = 400;
+      throw decomposeError;
+    }
+
+    return {
+      filename,
+      area: area || series[0].area,
+      indicator: indicator || series[0].indicator,
+      ...result
+    };
+  } catch (error) {
+    console.error('季节分解失败:', error);
+    throw error;
+  }
+};
+
 module.exports = {
-  analyze
+  analyze,
+  decompose
 };
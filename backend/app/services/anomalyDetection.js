@@ -0,0 +1,219 @@
+/**
+ * 异常值检测
+ * 基于稳健统计量（中位数、MAD）和季节分解残差识别时间序列中的可疑数据点
+ */
+const seasonalDecomposition = require('./seasonalDecomposition');
+
+// 修正Z分数阈值（Iglewicz-Hoaglin 建议值）
+const DEFAULT_THRESHOLD = 3.5;
+
+// 相邻两期变化超过该倍数视为跳变
+const JUMP_RATIO = 10;
+
+// Hampel 滤波窗口半宽
+const HAMPEL_WINDOW = 3;
+
+// 季节强度达到该值时使用季节分解残差，否则使用 Hampel 滤波残差
+const MIN_SEASONAL_STRENGTH = 0.3;
+
+// 异常类型说明
+const ANOMALY_TYPES = {
+    invalid: '数值无法解析',
+    status: '数据状态异常',
+    duplicate: '同一时间点存在数值不同的重复数据',
+    zero: '数值突然为0',
+    jump: '相邻两期变化超过10倍',
+    outlier: '偏离正常范围'
+};
+
+/**
+ * 中位数
+ */
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+/**
+ * 计算修正Z分数：0.6745 * (x - 中位数) / MAD
+ * MAD 为0时（超过一半残差相同）改用平均绝对偏差
+ * @param {Array} residuals - 残差数组
+ * @returns {Array} 各点的修正Z分数（绝对值）
+ */
+const robustScores = (residuals) => {
+    if (residuals.length === 0) {
+        return [];
+    }
+    const center = median(residuals);
+    const deviations = residuals.map(r => Math.abs(r - center));
+    const mad = median(deviations);
+
+    if (mad > 0) {
+        return deviations.map(d => 0.6745 * d / mad);
+    }
+
+    const meanDeviation = deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+    if (meanDeviation === 0) {
+        return deviations.map(() => 0);
+    }
+    return deviations.map(d => d / (1.2533 * meanDeviation));
+};
+
+/**
+ * Hampel 滤波：以滑动窗口中位数作为期望值
+ * @param {Array} values - 数值序列
+ * @returns {Array} 各点的期望值
+ */
+const hampelExpected = (values) => {
+    return values.map((_, i) => {
+        const window = values.slice(Math.max(0, i - HAMPEL_WINDOW), i + HAMPEL_WINDOW + 1);
+        return median(window);
+    });
+};
+
+/**
+ * 使用季节分解计算期望值（趋势 + 季节）
+ * 非年月数据、数据不足或季节性不明显时返回null
+ * @param {Array} series - 时间序列 [{time, value}, ...]
+ * @returns {Object|null} {expected: Map(time -> 期望值), seasonalStrength, period}
+ */
+const seasonalExpected = (series) => {
+    try {
+        const result = seasonalDecomposition.decompose(series);
+        if (!result.periodDetected || result.seasonalStrength < MIN_SEASONAL_STRENGTH) {
+            return null;
+        }
+        const expected = new Map();
+        result.components
+            .filter(item => !item.interpolated)
+            .forEach(item => expected.set(item.time, item.trend + item.seasonal));
+        return { expected, seasonalStrength: result.seasonalStrength, period: result.period };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * 检测单条时间序列中的异常点
+ * 规则：
+ * - duplicate: 同一时间点数值不同的重复记录（统计时只使用第一条，数值相同的重复记录忽略）
+ * - invalid: 原始值无法解析为数字
+ * - status: 数据状态（data_up_status）不是 I
+ * - zero: 前一正常值非0时数值突然为0
+ * - jump: 与前一正常值相比变化超过10倍（百分比类指标不检查）
+ * - outlier: 季节分解残差或 Hampel 滤波残差的修正Z分数超过阈值
+ * @param {Array} input - 时间序列 [{time, value, status, rawValue}, ...]（按时间排序）
+ * @param {Object} options - 选项 {threshold, indicator}
+ * @returns {Object} {method, threshold, seasonalStrength, total, anomalies: [{time, value, expected, score, types, reasons, severity}]}
+ */
+const detectAnomalies = (input, options = {}) => {
+    const threshold = options.threshold || DEFAULT_THRESHOLD;
+    const isPercent = options.indicator ? /[％%]/.test(options.indicator) : false;
+
+    if (!input || input.length === 0) {
+        return { method: null, threshold, seasonalStrength: null, period: null, total: 0, anomalies: [] };
+    }
+
+    // 同一时间点只保留第一条记录，数值不同的其余记录记为重复
+    const seen = new Map();
+    const series = [];
+    const duplicates = [];
+    input.forEach(item => {
+        if (!seen.has(item.time)) {
+            seen.set(item.time, item.value);
+            series.push(item);
+        } else if (seen.get(item.time) !== item.value) {
+            duplicates.push(item);
+        }
+    });
+
+    const values = series.map(item => item.value);
+
+    // 期望值：优先使用季节分解，未覆盖的点使用 Hampel 滤波
+    const seasonal = series.length >= 8 ? seasonalExpected(series) : null;
+    const hampel = hampelExpected(values);
+    const expected = series.map((item, i) => (
+        seasonal && seasonal.expected.has(item.time) ? seasonal.expected.get(item.time) : hampel[i]
+    ));
+    const scores = robustScores(values.map((v, i) => v - expected[i]));
+
+    const anomalies = [];
+    // 最近一个未被判定为跳变/归零的值，作为比较基准
+    let reference = null;
+
+    series.forEach((item, i) => {
+        const types = [];
+
+        if (item.rawValue !== undefined && item.rawValue !== null && item.rawValue !== '' &&
+            !isFinite(parseFloat(item.rawValue))) {
+            types.push('invalid');
+        }
+
+        if (item.status !== undefined && item.status !== null && item.status !== 'I') {
+            types.push('status');
+        }
+
+        if (item.value === 0 && reference !== null && reference !== 0) {
+            types.push('zero');
+        } else if (!isPercent && reference && item.value !== 0) {
+            const ratio = Math.abs(item.value / reference);
+            if (ratio >= JUMP_RATIO || ratio <= 1 / JUMP_RATIO) {
+                types.push('jump');
+            }
+        }
+
+        if (series.length >= 5 && scores[i] > threshold) {
+            types.push('outlier');
+        }
+
+        if (!types.includes('zero') && !types.includes('jump') && !types.includes('invalid')) {
+            reference = item.value;
+        }
+
+        if (types.length > 0) {
+            const isSevere = types.some(type => type !== 'outlier') || scores[i] >= threshold * 2;
+            anomalies.push({
+                time: item.time,
+                value: item.value,
+                expected: expected[i],
+                score: scores[i],
+                method: seasonal && seasonal.expected.has(item.time) ? 'seasonal' : 'hampel',
+                types,
+                reasons: types.map(type => (
+                    type === 'status' ? `${ANOMALY_TYPES.status}（${item.status}）` : ANOMALY_TYPES[type]
+                )),
+                severity: isSevere ? 'high' : 'medium'
+            });
+        }
+    });
+
+    duplicates.forEach(item => {
+        anomalies.push({
+            time: item.time,
+            value: item.value,
+            expected: null,
+            score: null,
+            method: null,
+            types: ['duplicate'],
+            reasons: [ANOMALY_TYPES.duplicate],
+            severity: 'medium'
+        });
+    });
+    anomalies.sort((a, b) => a.time - b.time);
+
+    return {
+        method: seasonal ? 'seasonal' : 'hampel',
+        threshold,
+        seasonalStrength: seasonal ? seasonal.seasonalStrength : null,
+        period: seasonal ? seasonal.period : null,
+        total: input.length,
+        anomalies
+    };
+};
+
+module.exports = {
+    ANOMALY_TYPES,
+    DEFAULT_THRESHOLD,
+    detectAnomalies
+};
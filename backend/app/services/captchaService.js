@@ -0,0 +1,94 @@
+/**
+ * 图形验证码服务
+ * 验证码保存在内存中，5 分钟内有效且只能校验一次；图片为 SVG，不依赖图形库
+ */
+const crypto = require('crypto');
+
+// 有效期（毫秒）
+const CAPTCHA_TTL = 5 * 60 * 1000;
+
+// 内存中最多保留的验证码数量，超出时先清理过期项，再丢弃最早生成的
+const MAX_CAPTCHAS = 10000;
+
+// 去掉了容易混淆的字符（0/O、1/I/L）
+const CHARSET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const LENGTH = 4;
+
+// captchaId -> {code, expiresAt}
+const store = new Map();
+
+const randomInt = (min, max) => crypto.randomInt(min, max + 1);
+
+const randomColor = () => `rgb(${randomInt(40, 160)},${randomInt(40, 160)},${randomInt(40, 160)})`;
+
+/**
+ * 生成 SVG 图片：字符随机旋转、偏移，并叠加干扰线
+ */
+const renderSvg = (code) => {
+  const width = 120;
+  const height = 40;
+  const chars = code.split('').map((char, index) => {
+    const x = 15 + index * 26 + randomInt(-3, 3);
+    const y = 28 + randomInt(-4, 4);
+    return `<text x="${x}" y="${y}" font-size="${randomInt(22, 28)}" font-family="Arial, sans-serif" font-weight="bold" fill="${randomColor()}" transform="rotate(${randomInt(-25, 25)} ${x} ${y})">${char}</text>`;
+  });
+  const lines = Array.from({ length: 4 }, () =>
+    `<line x1="${randomInt(0, width)}" y1="${randomInt(0, height)}" x2="${randomInt(0, width)}" y2="${randomInt(0, height)}" stroke="${randomColor()}" stroke-width="1"/>`
+  );
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><rect width="100%" height="100%" fill="#f3f4f6"/>${lines.join('')}${chars.join('')}</svg>`;
+};
+
+/**
+ * 清理过期的验证码
+ */
+const prune = () => {
+  const now = Date.now();
+  for (const [id, entry] of store) {
+    if (entry.expiresAt <= now) {
+      store.delete(id);
+    }
+  }
+  while (store.size >= MAX_CAPTCHAS) {
+    store.delete(store.keys().next().value);
+  }
+};
+
+/**
+ * 生成验证码
+ * @returns {Object} {captchaId, image: SVG data URL, expiresIn: 有效期（秒）}
+ */
+const createCaptcha = () => {
+  if (store.size >= MAX_CAPTCHAS) {
+    prune();
+  }
+
+  const code = Array.from({ length: LENGTH }, () => CHARSET[randomInt(0, CHARSET.length - 1)]).join('');
+  const captchaId = crypto.randomUUID();
+  store.set(captchaId, { code, expiresAt: Date.now() + CAPTCHA_TTL });
+
+  return {
+    captchaId,
+    image: `data:image/svg+xml;base64,${Buffer.from(renderSvg(code)).toString('base64')}`,
+    expiresIn: CAPTCHA_TTL / 1000
+  };
+};
+
+/**
+ * 校验验证码（不区分大小写），无论结果如何验证码都会失效
+ * @param {string} captchaId - 验证码ID
+ * @param {string} code - 用户输入
+ * @returns {boolean} 是否正确
+ */
+const verifyCaptcha = (captchaId, code) => {
+  if (!captchaId || !code) {
+    return false;
+  }
+  const entry = store.get(captchaId);
+  store.delete(captchaId);
+  return !!entry && entry.expiresAt > Date.now() && entry.code === String(code).trim().toUpperCase();
+};
+
+module.exports = {
+  createCaptcha,
+  verifyCaptcha
+};
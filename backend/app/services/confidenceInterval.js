@@ -3,6 +3,37 @@
  * 为预测值计算置信区间（不确定性范围）
  */
 
+// 常用置信水平对应的标准正态分位数（双侧）
+const Z_VALUES = {
+    0.8: 1.2816,
+    0.9: 1.6449,
+    0.95: 1.96,
+    0.99: 2.5758
+};
+
+/**
+ * 获取置信水平对应的z值
+ * @param {number} confidenceLevel - 置信水平（0-1）
+ * @returns {number} z值
+ */
+const getZValue = (confidenceLevel = 0.95) => {
+    return Z_VALUES[confidenceLevel] || Z_VALUES[0.95];
+};
+
+/**
+ * 获取置信水平对应的t值（基于z值的小样本近似修正）
+ * @param {number} confidenceLevel - 置信水平（0-1）
+ * @param {number} df - 自由度
+ * @returns {number} t值
+ */
+const getTValue = (confidenceLevel = 0.95, df = 30) => {
+    const z = getZValue(confidenceLevel);
+    if (df <= 0) {
+        return z;
+    }
+    return z + (Math.pow(z, 3) + z) / (4 * df);
+};
+
 /**
  * 计算线性回归的置信区间
  * @param {Array} historicalData - 历史数据 [{time, value}, ...]
@@ -46,8 +77,8 @@ const calculateLinearRegressionCI = (historicalData, predictions, confidenceLeve
     // 计算Sxx（x的离差平方和）
     const sxx = sumX2 - n * meanX * meanX;
     
-    // t值（使用近似值，对于大样本使用1.96，对于小样本需要查表）
-    const tValue = n > 30 ? 1.96 : 2.0; // 简化处理
+    // t值（自由度 n-2）
+    const tValue = getTValue(confidenceLevel, n - 2);
     
     // 计算每个预测点的置信区间
     const intervals = [];
@@ -57,7 +88,7 @@ const calculateLinearRegressionCI = (historicalData, predictions, confidenceLeve
         const margin = tValue * se;
         
         intervals.push({
-            lower: Math.max(0, predictions[i] - margin),
+            lower: predictions[i] - margin,
             upper: predictions[i] + margin
         });
     }
@@ -81,15 +112,14 @@ const calculateSimpleCI = (historicalData, predictions, confidenceLevel = 0.95)
     const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / n;
     const stdDev = Math.sqrt(variance);
     
-    // z值（95%置信水平对应1.96）
-    const zValue = confidenceLevel === 0.95 ? 1.96 : 2.576; // 99%对应2.576
+    const zValue = getZValue(confidenceLevel);
     
     // 计算置信区间
     const intervals = [];
     for (let i = 0; i < predictions.length; i++) {
         const margin = zValue * stdDev;
         intervals.push({
-            lower: Math.max(0, predictions[i] - margin),
+            lower: predictions[i] - margin,
             upper: predictions[i] + margin
         });
     }
@@ -97,15 +127,101 @@ const calculateSimpleCI = (historicalData, predictions, confidenceLevel = 0.95)
     return intervals;
 };
 
+/**
+ * 计算各预测步长的预测误差标准差（基于滚动原点的样本外预测残差）
+ * 以历史数据中的多个时间点为预测原点重新拟合模型，统计第h步预测的误差；
+ * 某一步长的误差样本不足时，按 sigma_h = sigma_k * sqrt(h / k) 由已知步长外推
+ * @param {Array} historicalData - 历史数据 [{time, value}, ...]
+ * @param {number} periods - 预测周期数
+ * @param {Function} modelFunction - 模型函数 (data, periods) => predictions
+ * @param {Object} options - 选项 {minTrainSize: 最小训练集长度, maxOrigins: 最多使用的预测原点数}
+ * @returns {Array} 各步长的误差标准差 [sigma_1, sigma_2, ...]
+ */
+const calculateForecastErrorStd = (historicalData, periods, modelFunction, options = {}) => {
+    const n = historicalData.length;
+    const minTrainSize = Math.max(2, options.minTrainSize || Math.floor(n * 0.5));
+    const maxOrigins = options.maxOrigins || 15;
+    const minSamples = 3;
+    
+    const errors = Array.from({ length: periods }, () => []);
+    
+    const firstOrigin = Math.max(minTrainSize, n - maxOrigins);
+    for (let origin = firstOrigin; origin < n; origin++) {
+        const trainData = historicalData.slice(0, origin);
+        const horizon = Math.min(periods, n - origin);
+        
+        let predicted;
+        try {
+            predicted = modelFunction(trainData, horizon);
+        } catch (error) {
+            // 训练集过短等原因导致拟合失败时跳过该原点
+            continue;
+        }
+        
+        for (let h = 0; h < horizon; h++) {
+            const value = predicted[h];
+            if (value !== null && value !== undefined && !isNaN(value)) {
+                errors[h].push(historicalData[origin + h].value - value);
+            }
+        }
+    }
+    
+    // 各步长误差的均方根
+    const sigmas = errors.map(list => list.length >= minSamples
+        ? Math.sqrt(list.reduce((sum, e) => sum + e * e, 0) / list.length)
+        : null);
+    
+    // 一步误差样本也不足时，使用历史数据一阶差分的标准差
+    if (sigmas[0] === null) {
+        const values = historicalData.map(d => d.value);
+        const diffs = values.slice(1).map((v, i) => v - values[i]);
+        const meanDiff = diffs.reduce((sum, d) => sum + d, 0) / diffs.length;
+        sigmas[0] = Math.sqrt(diffs.reduce((sum, d) => sum + Math.pow(d - meanDiff, 2), 0) / diffs.length);
+    }
+    
+    // 误差样本不足的步长由最近的已知步长外推，并保证随步长单调不减
+    let lastKnown = 0;
+    for (let h = 1; h < periods; h++) {
+        if (sigmas[h] === null) {
+            sigmas[h] = sigmas[lastKnown] * Math.sqrt((h + 1) / (lastKnown + 1));
+        } else {
+            lastKnown = h;
+        }
+        sigmas[h] = Math.max(sigmas[h], sigmas[h - 1]);
+    }
+    
+    return sigmas;
+};
+
+/**
+ * 基于预测误差计算置信区间（适用于指数平滑、移动平均、多项式回归、ARIMA等模型）
+ * @param {Array} historicalData - 历史数据
+ * @param {Array} predictions - 预测值数组
+ * @param {Function} modelFunction - 模型函数 (data, periods) => predictions
+ * @param {number} confidenceLevel - 置信水平
+ * @param {Object} options - 选项 {minTrainSize, maxOrigins, sigmas: 预先计算的误差标准差}
+ * @returns {Array} 置信区间数组
+ */
+const calculateForecastErrorCI = (historicalData, predictions, modelFunction, confidenceLevel = 0.95, options = {}) => {
+    const sigmas = options.sigmas || calculateForecastErrorStd(historicalData, predictions.length, modelFunction, options);
+    const zValue = getZValue(confidenceLevel);
+    
+    return predictions.map((value, i) => ({
+        lower: value - zValue * sigmas[i],
+        upper: value + zValue * sigmas[i]
+    }));
+};
+
 /**
  * 计算预测值的置信区间
  * @param {Array} historicalData - 历史数据 [{time, value}, ...]
  * @param {Array} predictions - 预测值数组
  * @param {string} model - 预测模型类型
  * @param {number} confidenceLevel - 置信水平（0-1），默认0.95
+ * @param {Object} options - 选项 {modelFunction: 模型函数，提供时非线性模型使用预测误差方法, minTrainSize, maxOrigins, sigmas}
  * @returns {Array} 置信区间数组 [{lower, upper}, ...]
  */
-const calculateConfidenceInterval = (historicalData, predictions, model = 'linear', confidenceLevel = 0.95) => {
+const calculateConfidenceInterval = (historicalData, predictions, model = 'linear', confidenceLevel = 0.95, options = {}) => {
     if (!historicalData || historicalData.length < 2) {
         throw new Error('计算置信区间至少需要2个历史数据点');
     }
@@ -119,13 +235,14 @@ const calculateConfidenceInterval = (historicalData, predictions, model = 'linea
         case 'linear':
             return calculateLinearRegressionCI(historicalData, predictions, confidenceLevel);
         case 'polynomial':
-            // 多项式回归使用简化的置信区间
-            return calculateSimpleCI(historicalData, predictions, confidenceLevel);
         case 'exponential':
         case 'movingAverage':
         case 'arima':
         default:
-            // 其他模型使用基于标准差的简单方法
+            // 其他模型使用样本外预测误差；未提供模型函数时退回基于标准差的简单方法
+            if (options.modelFunction || options.sigmas) {
+                return calculateForecastErrorCI(historicalData, predictions, options.modelFunction, confidenceLevel, options);
+            }
             return calculateSimpleCI(historicalData, predictions, confidenceLevel);
     }
 };
@@ -133,6 +250,8 @@ const calculateConfidenceInterval = (historicalData, predictions, model = 'linea
 module.exports = {
     calculateConfidenceInterval,
     calculateLinearRegressionCI,
-    calculateSimpleCI
+    calculateSimpleCI,
+    calculateForecastErrorStd,
+    calculateForecastErrorCI
 };
 
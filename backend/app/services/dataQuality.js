@@ -0,0 +1,317 @@
+/**
+ * 本地数据文件校验与数据质量报告
+ * 每个数据文件在 DATASET_SCHEMAS 中声明时间格式、地区和各单位的取值范围，未声明的文件使用默认规则
+ * 缺失、格式错误、超出范围、未知地区和重复的条目视为无效条目，由调用方拒绝或隔离；
+ * 未登记的单位和同一指标的单位不一致只作为提醒出现在质量报告中
+ */
+
+// 湖北省及各市州
+const HUBEI_AREAS = [
+  '湖北省', '武汉市', '黄石市', '十堰市', '宜昌市', '襄阳市', '鄂州市', '荆门市', '孝感市',
+  '荆州市', '黄冈市', '咸宁市', '随州市', '恩施州', '仙桃市', '潜江市', '天门市', '神农架林区'
+];
+
+// 条目字段
+const ENTRY_FIELDS = {
+  data_up_uuid: { label: '条目ID', required: true },
+  repp: { label: '时间', required: true },
+  data2: { label: '数值', required: true },
+  data_name: { label: '指标', required: true },
+  area: { label: '地区', required: true },
+  data_type: { label: '数据类型' },
+  data_up_status: { label: '条目状态' }
+};
+
+// 常用单位的取值范围
+const UNIT_RANGES = {
+  '亿元': { min: 0 },
+  '万元': { min: 0 },
+  '％': { min: -100, max: 1000 },
+  '%': { min: -100, max: 1000 }
+};
+
+/**
+ * 默认规则
+ * timeFormat: year（YYYY）| yearmonth（YYYYMM）| null（两者均可）
+ * periodMonths: 按数据类型限制月份（季度数据只能是季末月份）
+ */
+const DEFAULT_SCHEMA = {
+  timeFormat: null,
+  minYear: 1949,
+  areas: HUBEI_AREAS,
+  dataTypes: ['月度', '季度', '年度'],
+  statuses: ['I', 'U', 'D'],
+  periodMonths: { '季度': [3, 6, 9, 12] },
+  units: UNIT_RANGES
+};
+
+/**
+ * 各数据文件声明的规则（覆盖默认规则）
+ */
+const DATASET_SCHEMAS = {
+  '农林牧渔业总产值当年价格信息.json': {
+    timeFormat: 'year',
+    areas: ['湖北省'],
+    units: { '亿元': UNIT_RANGES['亿元'] }
+  },
+  '地区生产总值及各产业增加值信息.json': {
+    timeFormat: 'yearmonth',
+    areas: ['湖北省'],
+    units: { '亿元': UNIT_RANGES['亿元'], '％': UNIT_RANGES['％'] }
+  },
+  '工业产销率信息.json': {
+    timeFormat: 'yearmonth',
+    areas: ['湖北省'],
+    units: { '％': UNIT_RANGES['％'] }
+  },
+  '市州农林牧渔业增加值信息.json': {
+    timeFormat: 'year',
+    units: { '亿元': UNIT_RANGES['亿元'] }
+  },
+  '市州地区生产总值信息.json': {
+    timeFormat: 'yearmonth',
+    units: { '亿元': UNIT_RANGES['亿元'], '％': UNIT_RANGES['％'] }
+  }
+};
+
+// 质量报告中返回的问题明细条数上限
+const MAX_ISSUES = 100;
+
+/**
+ * 获取数据文件的校验规则
+ * @param {string} filename - 文件名
+ * @returns {Object} 规则（declared 表示是否为该文件声明了规则）
+ */
+const getSchema = (filename) => {
+  const declared = DATASET_SCHEMAS[filename];
+  return {
+    ...DEFAULT_SCHEMA,
+    ...(declared || {}),
+    maxYear: new Date().getFullYear() + 1,
+    declared: !!declared
+  };
+};
+
+/**
+ * 从指标名称中取单位（如 "林业总产值.本年实际.亿元" -> "亿元"）
+ */
+const getUnit = (dataName) => {
+  const parts = String(dataName).split('.');
+  return parts.length > 1 ? parts[parts.length - 1] : null;
+};
+
+/**
+ * 指标名称去掉单位后的部分，用于检查同一指标的单位是否一致
+ */
+const getIndicatorBase = (dataName) => {
+  const parts = String(dataName).split('.');
+  return parts.length > 1 ? parts.slice(0, -1).join('.') : parts[0];
+};
+
+/**
+ * 判断字段是否缺失（空字符串视为缺失）
+ */
+const isMissing = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * 解析时间（YYYY 或 YYYYMM），返回 {year, month} 或错误信息
+ */
+const parsePeriod = (value, schema, dataType) => {
+  const text = String(value).trim();
+  let year;
+  let month = null;
+  if (/^\d{4}$/.test(text)) {
+    year = parseInt(text);
+  } else if (/^\d{6}$/.test(text)) {
+    year = parseInt(text.slice(0, 4));
+    month = parseInt(text.slice(4));
+  } else {
+    return { error: `时间格式无效: ${value}`, type: 'invalid' };
+  }
+
+  if (schema.timeFormat === 'year' && month !== null) {
+    return { error: `时间应为年份（YYYY）: ${value}`, type: 'invalid' };
+  }
+  if (schema.timeFormat === 'yearmonth' && month === null) {
+    return { error: `时间应为年月（YYYYMM）: ${value}`, type: 'invalid' };
+  }
+  if (month !== null && (month < 1 || month > 12)) {
+    return { error: `月份无效: ${value}`, type: 'invalid' };
+  }
+  if (year < schema.minYear || year > schema.maxYear) {
+    return { error: `年份超出范围（${schema.minYear}-${schema.maxYear}）: ${value}`, type: 'out_of_range' };
+  }
+  const months = month !== null && dataType && schema.periodMonths[dataType];
+  if (months && !months.includes(month)) {
+    return { error: `${dataType}数据的月份应为 ${months.join('、')}: ${value}`, type: 'out_of_range' };
+  }
+  return { year, month };
+};
+
+/**
+ * 校验条目
+ * 同一地区、指标和时间只保留第一条，之后的视为重复
+ * @param {Array<Object>} entries - 数据文件中的条目
+ * @param {Object} schema - getSchema() 返回的规则
+ * @returns {Object} {valid: 有效条目, invalid: [{line, entry, issues}], warnings: [{line, field, type, unit, message}], unitInconsistencies: [{indicator, units}]}
+ */
+const validateEntries = (entries, schema) => {
+  const valid = [];
+  const invalid = [];
+  const warnings = [];
+  const seenKeys = new Map();
+  const seenUuids = new Map();
+  const unitsByIndicator = new Map();
+
+  entries.forEach((entry, index) => {
+    const line = index + 1;
+    const issues = [];
+    const addIssue = (field, type, message) => issues.push({ field, type, message });
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      invalid.push({ line, entry, issues: [{ field: null, type: 'invalid', message: '条目不是对象' }] });
+      return;
+    }
+
+    Object.entries(ENTRY_FIELDS).forEach(([field, { label, required }]) => {
+      if (required && isMissing(entry[field])) {
+        addIssue(field, 'missing', `缺少${label}（${field}）`);
+      }
+    });
+
+    if (!isMissing(entry.repp)) {
+      const period = parsePeriod(entry.repp, schema, entry.data_type);
+      if (period.error) {
+        addIssue('repp', period.type, period.error);
+      }
+    }
+
+    if (!isMissing(entry.data2)) {
+      const value = typeof entry.data2 === 'number' ? entry.data2 : (/^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(String(entry.data2)) ? parseFloat(entry.data2) : NaN);
+      if (!Number.isFinite(value)) {
+        addIssue('data2', 'invalid', `数值无效: ${entry.data2}`);
+      } else if (!isMissing(entry.data_name)) {
+        const unit = getUnit(entry.data_name);
+        const range = unit && schema.units[unit];
+        if (range && ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max))) {
+          addIssue('data2', 'out_of_range', `数值超出${unit}的取值范围（${range.min !== undefined ? range.min : '-∞'} ~ ${range.max !== undefined ? range.max : '+∞'}）: ${entry.data2}`);
+        }
+      }
+    }
+
+    if (!isMissing(entry.area) && !schema.areas.includes(entry.area)) {
+      addIssue('area', 'unknown_area', `未知的地区: ${entry.area}`);
+    }
+    if (!isMissing(entry.data_type) && !schema.dataTypes.includes(entry.data_type)) {
+      addIssue('data_type', 'invalid', `数据类型无效: ${entry.data_type}`);
+    }
+    if (!isMissing(entry.data_up_status) && !schema.statuses.includes(entry.data_up_status)) {
+      addIssue('data_up_status', 'invalid', `条目状态无效: ${entry.data_up_status}`);
+    }
+
+    if (!isMissing(entry.data_up_uuid)) {
+      const uuid = String(entry.data_up_uuid);
+      if (seenUuids.has(uuid)) {
+        addIssue('data_up_uuid', 'duplicate', `条目ID与第 ${seenUuids.get(uuid)} 条重复: ${uuid}`);
+      } else {
+        seenUuids.set(uuid, line);
+      }
+    }
+
+    // 已删除的条目（data_up_status 为 D）不参与重复检查
+    if (issues.length === 0 && entry.data_up_status !== 'D') {
+      const key = `${entry.area}||${entry.data_name}||${String(entry.repp).trim()}`;
+      if (seenKeys.has(key)) {
+        addIssue(null, 'duplicate', `与第 ${seenKeys.get(key)} 条的地区、指标和时间相同`);
+      } else {
+        seenKeys.set(key, line);
+      }
+    }
+
+    if (issues.length > 0) {
+      invalid.push({ line, entry, issues });
+      return;
+    }
+
+    const unit = getUnit(entry.data_name);
+    if (unit && !schema.units[unit]) {
+      warnings.push({ line, field: 'data_name', type: 'unknown_unit', unit, message: `未登记的单位: ${unit}` });
+    }
+    const base = getIndicatorBase(entry.data_name);
+    if (!unitsByIndicator.has(base)) {
+      unitsByIndicator.set(base, new Set());
+    }
+    unitsByIndicator.get(base).add(unit);
+
+    valid.push(entry);
+  });
+
+  const unitInconsistencies = [...unitsByIndicator.entries()]
+    .filter(([, units]) => units.size > 1)
+    .map(([indicator, units]) => ({ indicator, units: [...units].map(unit => unit || '无单位') }));
+
+  return { valid, invalid, warnings, unitInconsistencies };
+};
+
+/**
+ * 生成数据质量报告
+ * @param {Array<Object>} entries - 数据文件中的条目
+ * @param {Object} schema - getSchema() 返回的规则
+ * @returns {Object} {schema, total, validCount, invalidCount, score, missing, duplicates, outOfRange, invalidValues, unknownAreas, unknownUnits, unitInconsistencies, issues}
+ */
+const buildQualityReport = (entries, schema) => {
+  const { valid, invalid, warnings, unitInconsistencies } = validateEntries(entries, schema);
+
+  const missing = {};
+  const unknownAreas = {};
+  const unknownUnits = {};
+  const counts = { duplicate: 0, out_of_range: 0, invalid: 0 };
+  const issues = [];
+
+  invalid.forEach(({ line, entry, issues: entryIssues }) => {
+    entryIssues.forEach(issue => {
+      if (issue.type === 'missing') {
+        missing[issue.field] = (missing[issue.field] || 0) + 1;
+      } else if (issue.type === 'unknown_area') {
+        unknownAreas[entry.area] = (unknownAreas[entry.area] || 0) + 1;
+      } else {
+        counts[issue.type]++;
+      }
+      issues.push({ line, ...issue });
+    });
+  });
+  warnings.forEach(({ unit }) => {
+    unknownUnits[unit] = (unknownUnits[unit] || 0) + 1;
+  });
+
+  return {
+    schema: {
+      declared: schema.declared,
+      timeFormat: schema.timeFormat,
+      areas: schema.areas,
+      units: schema.units
+    },
+    total: entries.length,
+    validCount: valid.length,
+    invalidCount: invalid.length,
+    // 有效条目占比（百分比）
+    score: entries.length > 0 ? Math.round(valid.length / entries.length * 10000) / 100 : 100,
+    missing,
+    duplicates: counts.duplicate,
+    outOfRange: counts.out_of_range,
+    invalidValues: counts.invalid,
+    unknownAreas: Object.entries(unknownAreas).map(([area, count]) => ({ area, count })),
+    unknownUnits: Object.entries(unknownUnits).map(([unit, count]) => ({ unit, count })),
+    unitInconsistencies,
+    issues: [...issues, ...warnings.map(({ unit, ...warning }) => ({ ...warning, severity: 'warning' }))].slice(0, MAX_ISSUES)
+  };
+};
+
+module.exports = {
+  HUBEI_AREAS,
+  DATASET_SCHEMAS,
+  getSchema,
+  getUnit,
+  validateEntries,
+  buildQualityReport
+};
@@ -0,0 +1,308 @@
+/**
+ * 数据记录编辑服务
+ * 新增、修改、删除单条记录和批量修改记录，权限规则与修改数据信息相同（拥有数据管理权限的用户或上传者）
+ * 每次修改在一个事务中完成并保存为新版本；没有数据管理权限的用户修改后，数据回到待审核状态
+ */
+const { getPool } = require('../../config/database');
+const permissionService = require('./permissionService');
+const dataVersionService = require('./dataVersionService');
+const { parseRecordDate, parseValue } = require('./datasetUploadService');
+
+// 单次批量修改最多包含的操作数
+const MAX_CHANGES = 1000;
+
+// 批量修改支持的操作
+const CHANGE_OPS = ['create', 'update', 'delete'];
+
+// 操作名称（用于版本说明）
+const OP_LABELS = {
+  create: '新增',
+  update: '修改',
+  delete: '删除'
+};
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status, data) => {
+  const error = new Error(message);
+  error.status = status;
+  if (data) {
+    error.data = data;
+  }
+  return error;
+};
+
+/**
+ * 解析记录字段（只处理请求中出现的字段）
+ * @param {Object} input - {record_date, value, text_value, metadata}
+ * @returns {Object} {fields: 解析后的字段, errors: [{field, message}]}
+ */
+const parseRecordFields = (input) => {
+  const fields = {};
+  const errors = [];
+
+  if (input.record_date !== undefined) {
+    const date = parseRecordDate(input.record_date);
+    if (date) {
+      fields.record_date = date.date;
+    } else {
+      errors.push({ field: 'record_date', message: `日期无法识别: ${input.record_date}` });
+    }
+  }
+  if (input.value !== undefined) {
+    const value = parseValue(input.value);
+    if (value === undefined) {
+      errors.push({ field: 'value', message: `数值无效: ${input.value}` });
+    } else {
+      fields.value = value;
+    }
+  }
+  if (input.text_value !== undefined) {
+    fields.text_value = input.text_value === null || input.text_value === '' ? null : String(input.text_value).slice(0, 255);
+  }
+  if (input.metadata !== undefined) {
+    if (input.metadata === null || (typeof input.metadata === 'object' && !Array.isArray(input.metadata))) {
+      fields.metadata = input.metadata;
+    } else {
+      errors.push({ field: 'metadata', message: 'metadata 必须是对象' });
+    }
+  }
+
+  return { fields, errors };
+};
+
+/**
+ * 校验并整理修改列表
+ * @param {Array<Object>} changes - [{op, id, record_date, value, text_value, metadata}]
+ * @param {Map} existing - 记录ID -> 当前记录
+ * @returns {Array<Object>} [{op, id, record}]，record 为修改后的完整记录
+ */
+const prepareChanges = (changes, existing) => {
+  const prepared = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  changes.forEach((change, index) => {
+    const addError = (field, message) => errors.push({ index, field, message });
+
+    if (!change || !CHANGE_OPS.includes(change.op)) {
+      addError('op', `op 可选值: ${CHANGE_OPS.join(', ')}`);
+      return;
+    }
+
+    let current = null;
+    if (change.op !== 'create') {
+      const id = parseInt(change.id);
+      if (!existing.has(id)) {
+        addError('id', `记录 ${change.id} 不存在`);
+        return;
+      }
+      if (seenIds.has(id)) {
+        addError('id', `记录 ${id} 在本次修改中重复出现`);
+        return;
+      }
+      seenIds.add(id);
+      current = existing.get(id);
+    }
+
+    if (change.op === 'delete') {
+      prepared.push({ op: 'delete', id: current.id });
+      return;
+    }
+
+    const { fields, errors: fieldErrors } = parseRecordFields(change);
+    fieldErrors.forEach(error => addError(error.field, error.message));
+    if (fieldErrors.length > 0) {
+      return;
+    }
+
+    const record = {
+      record_date: null,
+      value: null,
+      text_value: null,
+      metadata: null,
+      ...(current || {}),
+      ...fields
+    };
+    if (!record.record_date) {
+      addError('record_date', '日期不能为空');
+      return;
+    }
+    if (record.value === null && record.text_value === null) {
+      addError('value', '数值和文本值不能同时为空');
+      return;
+    }
+    prepared.push({ op: change.op, id: current ? current.id : null, record });
+  });
+
+  if (errors.length > 0) {
+    // 单条修改直接返回具体错误
+    if (changes.length === 1) {
+      throw createError(errors[0].message, errors[0].field === 'id' ? 404 : 400, errors);
+    }
+    throw createError(`共 ${errors.length} 处修改无效`, 400, errors);
+  }
+  return prepared;
+};
+
+/**
+ * 应用记录修改
+ * 权限检查、修改、数据状态变更和保存版本在同一事务中完成，任意一条修改无效时全部不生效
+ * @param {number} dataId - 数据ID
+ * @param {Array<Object>} changes - [{op: create | update | delete, id, record_date, value, text_value, metadata}]
+ *   update 只修改请求中出现的字段，metadata 整体替换
+ * @param {Object} user - {id, role}
+ * @param {string} note - 修改说明（默认根据操作生成）
+ * @returns {Promise<Object>} {created: [记录], updated: [记录ID], deleted: [记录ID], version, status}
+ */
+const applyChanges = async (dataId, changes, user, note) => {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw createError('请提供要修改的记录', 400);
+  }
+  if (changes.length > MAX_CHANGES) {
+    throw createError(`单次最多修改 ${MAX_CHANGES} 条记录`, 400);
+  }
+
+  let connection;
+  try {
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+
+    const [dataRows] = await connection.query(
+      'SELECT id, uploader_id, status FROM data WHERE id = ? FOR UPDATE',
+      [dataId]
+    );
+    if (dataRows.length === 0 || dataRows[0].status === 'deleted') {
+      throw createError('数据不存在', 404);
+    }
+    const data = dataRows[0];
+    const canManage = permissionService.hasPermission(user.role, 'data:manage');
+    if (!canManage && data.uploader_id !== user.id) {
+      throw createError('无权限修改此数据', 403);
+    }
+
+    const ids = changes
+      .filter(change => change && change.op !== 'create')
+      .map(change => parseInt(change.id))
+      .filter(id => id > 0);
+    const existing = new Map();
+    if (ids.length > 0) {
+      const [rows] = await connection.query(
+        `SELECT id, DATE_FORMAT(record_date, '%Y-%m-%d') AS record_date, value, text_value, metadata
+         FROM data_records WHERE data_id = ? AND id IN (?) FOR UPDATE`,
+        [data.id, [...new Set(ids)]]
+      );
+      rows.forEach(row => {
+        existing.set(row.id, {
+          ...row,
+          value: row.value === null ? null : parseFloat(row.value),
+          metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata
+        });
+      });
+    }
+    const prepared = prepareChanges(changes, existing);
+
+    await dataVersionService.ensureBaselineVersion(connection, data.id);
+
+    const created = [];
+    const updated = [];
+    const deleted = [];
+    for (const change of prepared) {
+      const { record } = change;
+      const metadata = record && record.metadata ? JSON.stringify(record.metadata) : null;
+      if (change.op === 'create') {
+        const [result] = await connection.query(
+          'INSERT INTO data_records (data_id, record_date, value, text_value, metadata) VALUES (?, ?, ?, ?, ?)',
+          [data.id, record.record_date, record.value, record.text_value, metadata]
+        );
+        created.push({ id: result.insertId, data_id: data.id, ...record });
+      } else if (change.op === 'update') {
+        await connection.query(
+          'UPDATE data_records SET record_date = ?, value = ?, text_value = ?, metadata = ? WHERE id = ?',
+          [record.record_date, record.value, record.text_value, metadata, change.id]
+        );
+        updated.push(change.id);
+      } else {
+        await connection.query('DELETE FROM data_records WHERE id = ?', [change.id]);
+        deleted.push(change.id);
+      }
+    }
+
+    // 没有数据管理权限的用户修改后需要重新审核
+    let status = data.status;
+    if (!canManage && status !== 'pending') {
+      status = 'pending';
+      await connection.query(
+        "UPDATE data SET status = 'pending', reviewer_id = NULL, reviewed_at = NULL WHERE id = ?",
+        [data.id]
+      );
+    }
+
+    const summary = [['create', created], ['update', updated], ['delete', deleted]]
+      .filter(([, list]) => list.length > 0)
+      .map(([op, list]) => `${OP_LABELS[op]} ${list.length} 条`)
+      .join('，');
+    const version = await dataVersionService.createVersion(connection, data.id, {
+      userId: user.id,
+      note: note || `修改记录：${summary}`,
+      recordIds: [...updated, ...deleted]
+    });
+
+    await connection.commit();
+
+    return {
+      created,
+      updated,
+      deleted,
+      version: version.version,
+      status
+    };
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    console.error('修改数据记录错误:', error);
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * 新增记录
+ * @returns {Promise<Object>} {record, version, status}
+ */
+const createRecord = async (dataId, input, user, note) => {
+  const result = await applyChanges(dataId, [{ ...input, op: 'create' }], user, note);
+  return { record: result.created[0], version: result.version, status: result.status };
+};
+
+/**
+ * 修改记录（只修改请求中出现的字段）
+ * @returns {Promise<Object>} {id, version, status}
+ */
+const updateRecord = async (dataId, recordId, input, user, note) => {
+  const result = await applyChanges(dataId, [{ ...input, op: 'update', id: recordId }], user, note);
+  return { id: result.updated[0], version: result.version, status: result.status };
+};
+
+/**
+ * 删除记录
+ * @returns {Promise<Object>} {id, version, status}
+ */
+const deleteRecord = async (dataId, recordId, user, note) => {
+  const result = await applyChanges(dataId, [{ op: 'delete', id: recordId }], user, note);
+  return { id: result.deleted[0], version: result.version, status: result.status };
+};
+
+module.exports = {
+  MAX_CHANGES,
+  CHANGE_OPS,
+  applyChanges,
+  createRecord,
+  updateRecord,
+  deleteRecord
+};
@@ -2,6 +2,8 @@
  * 数据服务
  */
 const { getPool, query } = require('../../config/database');
+const permissionService = require('./permissionService');
+const dataVersionService = require('./dataVersionService');
 
 /**
  * 获取数据列表（支持分页和筛选）
@@ -243,9 +245,10 @@ const getDataByTitle = async (title) => {
 };
 
 /**
- * 创建数据
+ * 创建数据（同时保存为版本 1）
  */
 const createData = async (dataInfo, uploaderId) => {
+  let connection;
   try {
     const {
       title,
@@ -257,32 +260,46 @@ const createData = async (dataInfo, uploaderId) => {
       file_size
     } = dataInfo;
     
-    const result = await query(
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+    
+    const [result] = await connection.query(
       `INSERT INTO data 
        (title, category, description, source, data_type, file_path, file_size, uploader_id, status) 
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
       [title, category, description || null, source || null, data_type || null, file_path || null, file_size || 0, uploaderId]
     );
+    await dataVersionService.createVersion(connection, result.insertId, { userId: uploaderId, note: '创建数据' });
     
+    await connection.commit();
     return result.insertId;
   } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
     console.error('创建数据错误:', error);
     throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 };
 
 /**
  * 更新数据
+ * 数据信息有变化时保存为新版本，dataInfo.change_note 为修改说明
  */
 const updateData = async (id, dataInfo, userId, userRole) => {
+  let connection;
   try {
-    // 检查权限：只有管理员或上传者可以修改
+    // 检查权限：只有拥有数据管理权限的用户或上传者可以修改
     const data = await getDataById(id);
     if (!data) {
       throw new Error('数据不存在');
     }
     
-    if (userRole !== 'admin' && data.uploader_id !== userId) {
+    if (!permissionService.hasPermission(userRole, 'data:manage') && data.uploader_id !== userId) {
       throw new Error('无权限修改此数据');
     }
     
@@ -296,27 +313,18 @@ const updateData = async (id, dataInfo, userId, userRole) => {
     
     const fields = [];
     const params = [];
+    const changedFields = [];
     
-    if (title !== undefined) {
-      fields.push('title = ?');
-      params.push(title);
-    }
-    if (category !== undefined) {
-      fields.push('category = ?');
-      params.push(category);
-    }
-    if (description !== undefined) {
-      fields.push('description = ?');
-      params.push(description);
-    }
-    if (source !== undefined) {
-      fields.push('source = ?');
-      params.push(source);
-    }
-    if (data_type !== undefined) {
-      fields.push('data_type = ?');
-      params.push(data_type);
-    }
+    Object.entries({ title, category, description, source, data_type }).forEach(([field, value]) => {
+      if (value === undefined) {
+        return;
+      }
+      fields.push(`${field} = ?`);
+      params.push(value);
+      if (value !== data[field]) {
+        changedFields.push(field);
+      }
+    });
     
     if (fields.length === 0) {
       return null;
@@ -324,15 +332,36 @@ const updateData = async (id, dataInfo, userId, userRole) => {
     
     params.push(id);
     
-    await query(
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+    
+    if (changedFields.length > 0) {
+      await dataVersionService.ensureBaselineVersion(connection, id);
+    }
+    await connection.query(
       `UPDATE data SET ${fields.join(', ')} WHERE id = ?`,
       params
     );
+    if (changedFields.length > 0) {
+      await dataVersionService.createVersion(connection, id, {
+        userId,
+        note: dataInfo.change_note || `修改数据信息：${changedFields.join('、')}`
+      });
+    }
+    
+    await connection.commit();
     
     return await getDataById(id);
   } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
     console.error('更新数据错误:', error);
     throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 };
 
@@ -347,7 +376,7 @@ const deleteData = async (id, userId, userRole) => {
       throw new Error('数据不存在');
     }
     
-    if (userRole !== 'admin' && data.uploader_id !== userId) {
+    if (!permissionService.hasPermission(userRole, 'data:manage') && data.uploader_id !== userId) {
       throw new Error('无权限删除此数据');
     }
     
@@ -541,7 +570,7 @@ const batchOperation = async (ids, operation, userId, userRole) => {
     
     switch (operation) {
       case 'approve':
-        if (userRole !== 'admin') {
+        if (!permissionService.hasPermission(userRole, 'data:approve')) {
           throw new Error('无权限执行此操作');
         }
         await query(
@@ -553,7 +582,7 @@ const batchOperation = async (ids, operation, userId, userRole) => {
         break;
         
       case 'delete':
-        if (userRole !== 'admin') {
+        if (!permissionService.hasPermission(userRole, 'data:manage')) {
           throw new Error('无权限执行此操作');
         }
         await query(
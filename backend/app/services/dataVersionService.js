@@ -0,0 +1,483 @@
+/**
+ * 数据版本服务
+ * 数据信息或记录每次变化后保存一个不可修改的版本，用于查看历史、比较差异和回滚
+ * 每个版本保存数据信息和相对上一版本新增、修改、删除的记录（第一个版本保存全部记录），某个版本的记录由各版本的变更得到
+ * 版本在修改数据的事务中创建；启用版本之前已存在的数据，在第一次修改前先保存一个“初始版本”
+ */
+const { query, getPool } = require('../../config/database');
+
+// 版本中保存的数据信息字段
+const VERSION_FIELDS = ['title', 'category', 'description', 'source', 'data_type'];
+
+// 记录中参与比较的字段
+const RECORD_FIELDS = ['record_date', 'value', 'text_value', 'metadata'];
+
+// 差异中每类记录最多返回的条数
+const MAX_DIFF_ITEMS = 500;
+
+// 按记录ID批量查询和写入时每批的条数
+const BATCH_SIZE = 1000;
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 锁定数据行并返回当前数据信息（在事务中调用）
+ */
+const lockData = async (connection, dataId) => {
+  const [rows] = await connection.query(
+    `SELECT id, ${VERSION_FIELDS.join(', ')}, uploader_id, status, created_at, updated_at
+     FROM data WHERE id = ? FOR UPDATE`,
+    [dataId]
+  );
+  if (rows.length === 0 || rows[0].status === 'deleted') {
+    throw createError('数据不存在', 404);
+  }
+  return rows[0];
+};
+
+/**
+ * 包装事务连接的查询，返回结果行（与 query 的返回值一致）
+ */
+const connectionQuery = (connection) => async (sql, params) => {
+  const [rows] = await connection.query(sql, params);
+  return rows;
+};
+
+/**
+ * 按批拆分列表
+ */
+const toBatches = (list) => {
+  const batches = [];
+  for (let i = 0; i < list.length; i += BATCH_SIZE) {
+    batches.push(list.slice(i, i + BATCH_SIZE));
+  }
+  return batches;
+};
+
+/**
+ * 格式化版本中的记录
+ */
+const formatRecord = (row) => ({
+  recordId: row.record_id,
+  record_date: row.record_date,
+  value: row.value,
+  text_value: row.text_value,
+  metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata
+});
+
+/**
+ * 比较两条记录的内容是否相同
+ */
+const isSameRecord = (a, b) => RECORD_FIELDS.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+
+// 记录在某个版本时的状态：版本号不超过该版本的最后一次变更
+const STATE_SELECT = `SELECT r.record_id, r.change_type, DATE_FORMAT(r.record_date, '%Y-%m-%d') AS record_date,
+    r.value, r.text_value, r.metadata
+  FROM data_version_records r
+  WHERE r.data_id = ? AND r.version <= ?`;
+const LATEST_CHANGE = `NOT EXISTS (
+    SELECT 1 FROM data_version_records n
+    WHERE n.data_id = r.data_id AND n.record_id = r.record_id AND n.version > r.version AND n.version <= ?
+  )`;
+
+/**
+ * 读取指定记录在某个版本时的内容
+ * @param {Function} run - 查询函数（query 或 connectionQuery）
+ * @returns {Promise<Map>} 记录ID -> 记录；该版本中不存在的记录不在结果中
+ */
+const loadRecordStates = async (run, dataId, version, recordIds) => {
+  const states = new Map();
+  for (const batch of toBatches(recordIds)) {
+    const rows = await run(
+      `${STATE_SELECT} AND r.record_id IN (?) AND ${LATEST_CHANGE}`,
+      [dataId, version, batch, version]
+    );
+    rows
+      .filter(row => row.change_type !== 'removed')
+      .forEach(row => states.set(row.record_id, formatRecord(row)));
+  }
+  return states;
+};
+
+/**
+ * 读取两个版本之间有变更的记录ID（不含 low 版本本身的变更）
+ */
+const loadChangedRecordIds = async (run, dataId, low, high) => {
+  const rows = await run(
+    `SELECT DISTINCT record_id FROM data_version_records
+     WHERE data_id = ? AND version > ? AND version <= ?`,
+    [dataId, low, high]
+  );
+  return rows.map(row => row.record_id);
+};
+
+/**
+ * 保存记录相对上一版本的变更，返回记录数的变化
+ * 检查调用方提供的记录ID和上一版本之后新增的记录（记录ID自增，且修改记录时数据行已被锁定）
+ */
+const saveRecordChanges = async (connection, data, versionId, version, recordIds) => {
+  const run = connectionQuery(connection);
+  const [{ maxId }] = await run(
+    'SELECT COALESCE(MAX(record_id), 0) AS maxId FROM data_version_records WHERE data_id = ?',
+    [data.id]
+  );
+  const newRows = await run('SELECT id FROM data_records WHERE data_id = ? AND id > ?', [data.id, maxId]);
+  const ids = [...new Set([
+    ...recordIds.map(id => parseInt(id)).filter(id => id > 0),
+    ...newRows.map(row => row.id)
+  ])];
+
+  let delta = 0;
+  for (const batch of toBatches(ids)) {
+    const before = await loadRecordStates(run, data.id, version - 1, batch);
+    const currentRows = await run(
+      `SELECT id AS record_id, DATE_FORMAT(record_date, '%Y-%m-%d') AS record_date, value, text_value, metadata
+       FROM data_records WHERE data_id = ? AND id IN (?)`,
+      [data.id, batch]
+    );
+    const after = new Map(currentRows.map(row => [row.record_id, formatRecord(row)]));
+
+    const changes = [];
+    batch.forEach(recordId => {
+      const previous = before.get(recordId);
+      const current = after.get(recordId);
+      if (current && (!previous || !isSameRecord(previous, current))) {
+        changes.push([
+          versionId, data.id, version, recordId, previous ? 'changed' : 'added',
+          current.record_date, current.value, current.text_value,
+          current.metadata === null || current.metadata === undefined ? null : JSON.stringify(current.metadata)
+        ]);
+        delta += previous ? 0 : 1;
+      } else if (!current && previous) {
+        changes.push([versionId, data.id, version, recordId, 'removed', null, null, null, null]);
+        delta -= 1;
+      }
+    });
+    if (changes.length > 0) {
+      await connection.query(
+        `INSERT INTO data_version_records
+         (version_id, data_id, version, record_id, change_type, record_date, value, text_value, metadata)
+         VALUES ?`,
+        [changes]
+      );
+    }
+  }
+  return delta;
+};
+
+/**
+ * 保存当前数据信息为新版本，第一个版本保存全部记录，之后只保存相对上一版本的记录变更
+ */
+const insertVersion = async (connection, data, options) => {
+  const [previousRows] = await connection.query(
+    'SELECT version, record_count FROM data_versions WHERE data_id = ? ORDER BY version DESC LIMIT 1',
+    [data.id]
+  );
+  const previous = previousRows[0];
+  const version = previous ? previous.version + 1 : 1;
+
+  const [result] = await connection.query(
+    `INSERT INTO data_versions
+     (data_id, version, ${VERSION_FIELDS.join(', ')}, change_note, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      data.id,
+      version,
+      ...VERSION_FIELDS.map(field => data[field]),
+      options.note ? String(options.note).slice(0, 500) : null,
+      options.userId || null,
+      options.createdAt || new Date()
+    ]
+  );
+  const versionId = result.insertId;
+
+  let recordCount;
+  if (previous) {
+    recordCount = previous.record_count + await saveRecordChanges(connection, data, versionId, version, options.recordIds || []);
+  } else {
+    const [copied] = await connection.query(
+      `INSERT INTO data_version_records
+       (version_id, data_id, version, record_id, change_type, record_date, value, text_value, metadata)
+       SELECT ?, data_id, ?, id, 'added', record_date, value, text_value, metadata FROM data_records WHERE data_id = ?`,
+      [versionId, version, data.id]
+    );
+    recordCount = copied.affectedRows;
+  }
+  await connection.query('UPDATE data_versions SET record_count = ? WHERE id = ?', [recordCount, versionId]);
+
+  return { versionId, version, recordCount };
+};
+
+/**
+ * 没有任何版本时，把修改前的状态保存为初始版本（在修改数据之前、同一事务中调用）
+ * @param {Object} connection - 事务连接
+ * @param {number} dataId - 数据ID
+ * @returns {Promise<Object|null>} 新建的初始版本，已有版本时返回 null
+ */
+const ensureBaselineVersion = async (connection, dataId) => {
+  const data = await lockData(connection, dataId);
+  const [[{ count }]] = await connection.query('SELECT COUNT(*) AS count FROM data_versions WHERE data_id = ?', [dataId]);
+  if (count > 0) {
+    return null;
+  }
+  return insertVersion(connection, data, {
+    note: '初始版本',
+    userId: data.uploader_id,
+    createdAt: data.updated_at || data.created_at
+  });
+};
+
+/**
+ * 将数据的当前状态保存为新版本（在修改数据之后、同一事务中调用）
+ * @param {Object} connection - 事务连接
+ * @param {number} dataId - 数据ID
+ * @param {Object} options - {userId: 修改人, note: 修改说明, recordIds: 本次修改或删除的记录ID（新增的记录自动检查）}
+ * @returns {Promise<Object>} {versionId, version, recordCount}
+ */
+const createVersion = async (connection, dataId, options = {}) => {
+  const data = await lockData(connection, dataId);
+  return insertVersion(connection, data, options);
+};
+
+/**
+ * 获取数据的版本列表
+ * @param {number} dataId - 数据ID
+ * @returns {Promise<Object>} {current: 最新版本号, versions: [...]}
+ */
+const getVersions = async (dataId) => {
+  try {
+    const versions = await query(
+      `SELECT v.version, ${VERSION_FIELDS.map(field => `v.${field}`).join(', ')}, v.record_count, v.change_note,
+        v.created_by, u.username AS created_by_name, v.created_at
+       FROM data_versions v
+       LEFT JOIN users u ON v.created_by = u.id
+       WHERE v.data_id = ?
+       ORDER BY v.version DESC`,
+      [dataId]
+    );
+    return {
+      current: versions.length > 0 ? versions[0].version : null,
+      versions
+    };
+  } catch (error) {
+    console.error('获取数据版本列表错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取版本信息（不存在时抛出 404）
+ */
+const findVersion = async (dataId, version) => {
+  const versionNumber = parseInt(version);
+  if (!(versionNumber > 0)) {
+    throw createError('版本号无效', 400);
+  }
+  const rows = await query(
+    `SELECT v.*, u.username AS created_by_name
+     FROM data_versions v
+     LEFT JOIN users u ON v.created_by = u.id
+     WHERE v.data_id = ? AND v.version = ?`,
+    [dataId, versionNumber]
+  );
+  if (rows.length === 0) {
+    throw createError(`版本 ${versionNumber} 不存在`, 404);
+  }
+  return rows[0];
+};
+
+/**
+ * 获取某个版本的数据信息和记录（分页）
+ * @param {number} dataId - 数据ID
+ * @param {number} version - 版本号
+ * @param {Object} options - {page, pageSize}
+ * @returns {Promise<Object>} {version, ...数据信息, records: {list, total, page, pageSize, totalPages}}
+ */
+const getVersion = async (dataId, version, options = {}) => {
+  try {
+    const found = await findVersion(dataId, version);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize) || 20, 1), 100);
+
+    const rows = await query(
+      `${STATE_SELECT} AND r.change_type <> 'removed' AND ${LATEST_CHANGE}
+       ORDER BY r.record_date DESC, r.record_id DESC
+       LIMIT ? OFFSET ?`,
+      [dataId, found.version, found.version, pageSize, (page - 1) * pageSize]
+    );
+
+    const { id, data_id, ...info } = found;
+    return {
+      ...info,
+      records: {
+        list: rows.map(formatRecord),
+        total: found.record_count,
+        page,
+        pageSize,
+        totalPages: Math.ceil(found.record_count / pageSize)
+      }
+    };
+  } catch (error) {
+    console.error('获取数据版本错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 比较两个版本
+ * 记录按记录ID对应：只在新版本中的为新增，只在旧版本中的为删除，两边都有但内容不同的为修改
+ * 只读取两个版本之间有变更的记录
+ * @param {number} dataId - 数据ID
+ * @param {number} from - 旧版本号
+ * @param {number} to - 新版本号（为空时使用最新版本）
+ * @returns {Promise<Object>} {from, to, fieldChanges, summary: {added, removed, changed}, added, removed, changed, truncated}
+ */
+const diffVersions = async (dataId, from, to) => {
+  try {
+    const fromVersion = await findVersion(dataId, from);
+    let toVersion;
+    if (to === undefined || to === null || to === '') {
+      const { current } = await getVersions(dataId);
+      toVersion = await findVersion(dataId, current);
+    } else {
+      toVersion = await findVersion(dataId, to);
+    }
+
+    const fieldChanges = VERSION_FIELDS
+      .filter(field => fromVersion[field] !== toVersion[field])
+      .map(field => ({ field, from: fromVersion[field], to: toVersion[field] }));
+
+    const recordIds = await loadChangedRecordIds(
+      query,
+      dataId,
+      Math.min(fromVersion.version, toVersion.version),
+      Math.max(fromVersion.version, toVersion.version)
+    );
+    const fromRecords = await loadRecordStates(query, dataId, fromVersion.version, recordIds);
+    const toRecords = await loadRecordStates(query, dataId, toVersion.version, recordIds);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    recordIds.forEach(recordId => {
+      const before = fromRecords.get(recordId);
+      const after = toRecords.get(recordId);
+      if (after && !before) {
+        added.push(after);
+      } else if (before && !after) {
+        removed.push(before);
+      } else if (before && after) {
+        const fields = RECORD_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+        if (fields.length > 0) {
+          changed.push({ recordId, fields, before, after });
+        }
+      }
+    });
+
+    const byDate = (a, b) => (a.record_date || '').localeCompare(b.record_date || '') || a.recordId - b.recordId;
+    return {
+      from: fromVersion.version,
+      to: toVersion.version,
+      fieldChanges,
+      summary: { added: added.length, removed: removed.length, changed: changed.length },
+      added: added.sort(byDate).slice(0, MAX_DIFF_ITEMS),
+      removed: removed.sort(byDate).slice(0, MAX_DIFF_ITEMS),
+      changed: changed.sort((a, b) => byDate(a.after, b.after)).slice(0, MAX_DIFF_ITEMS),
+      truncated: Math.max(added.length, removed.length, changed.length) > MAX_DIFF_ITEMS
+    };
+  } catch (error) {
+    console.error('比较数据版本错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 回滚到指定版本
+ * 恢复该版本的数据信息和记录（保留原记录ID），并保存为新版本；不会删除任何历史版本
+ * 只恢复该版本之后有变更的记录
+ * @param {number} dataId - 数据ID
+ * @param {number} version - 目标版本号
+ * @param {number} userId - 操作人
+ * @param {string} note - 修改说明（默认“回滚到版本 N”）
+ * @returns {Promise<Object>} {version: 新版本号, rolledBackTo, recordCount}
+ */
+const rollbackToVersion = async (dataId, version, userId, note) => {
+  let connection;
+  try {
+    const target = await findVersion(dataId, version);
+
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+    await lockData(connection, dataId);
+
+    await connection.query(
+      `UPDATE data SET ${VERSION_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...VERSION_FIELDS.map(field => target[field]), dataId]
+    );
+    // 目标版本之后有变更的记录恢复为目标版本中的内容，目标版本中不存在的删除
+    const run = connectionQuery(connection);
+    const recordIds = await loadChangedRecordIds(run, dataId, target.version, Number.MAX_SAFE_INTEGER);
+    for (const batch of toBatches(recordIds)) {
+      const states = await loadRecordStates(run, dataId, target.version, batch);
+      const toRemove = batch.filter(recordId => !states.has(recordId));
+      if (toRemove.length > 0) {
+        await connection.query('DELETE FROM data_records WHERE data_id = ? AND id IN (?)', [dataId, toRemove]);
+      }
+      if (states.size > 0) {
+        await connection.query(
+          `INSERT INTO data_records (id, data_id, record_date, value, text_value, metadata) VALUES ?
+           ON DUPLICATE KEY UPDATE record_date = VALUES(record_date), value = VALUES(value),
+             text_value = VALUES(text_value), metadata = VALUES(metadata)`,
+          [[...states.values()].map(record => [
+            record.recordId,
+            dataId,
+            record.record_date,
+            record.value,
+            record.text_value,
+            record.metadata === null || record.metadata === undefined ? null : JSON.stringify(record.metadata)
+          ])]
+        );
+      }
+    }
+
+    const created = await createVersion(connection, dataId, {
+      userId,
+      note: note || `回滚到版本 ${target.version}`,
+      recordIds
+    });
+    await connection.commit();
+
+    return {
+      version: created.version,
+      rolledBackTo: target.version,
+      recordCount: created.recordCount
+    };
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    console.error('回滚数据版本错误:', error);
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+module.exports = {
+  VERSION_FIELDS,
+  ensureBaselineVersion,
+  createVersion,
+  getVersions,
+  getVersion,
+  diffVersions,
+  rollbackToVersion
+};
@@ -0,0 +1,475 @@
+/**
+ * 数据文件解析
+ * 将 CSV、XLSX、JSON 文件解析为表格（列名 + 行对象），无需第三方依赖
+ * 第一个非空行作为列名；XLSX 只读取第一个工作表
+ * 行数、列数和 XLSX 解压后的大小在解析过程中限制，超出时立即停止，避免恶意文件耗尽内存
+ */
+const path = require('path');
+const zlib = require('zlib');
+
+// 支持的文件格式（扩展名 -> 格式）
+const FORMATS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.json': 'json'
+};
+
+// 单个文件最多的数据行数（不含列名行）
+const MAX_ROWS = 100000;
+
+// 最多的列数
+const MAX_COLUMNS = 1000;
+
+// XLSX 解压后大小与文件大小的最大比例（XML 压缩率通常在 10 倍以内）
+const INFLATE_RATIO = 20;
+
+// XLSX 解压后大小的上限（与文件大小无关）
+const MAX_INFLATED_SIZE = 256 * 1024 * 1024;
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 根据文件名获取格式
+ * @returns {string|null} csv | xlsx | json
+ */
+const getFormat = (filename) => {
+  return FORMATS[path.extname(filename || '').toLowerCase()] || null;
+};
+
+/**
+ * 规范化列名：去除空白，空列名使用“列N”，重复列名添加序号
+ */
+const normalizeColumns = (headers) => {
+  const seen = {};
+  return headers.map((header, index) => {
+    let name = header === null || header === undefined ? '' : String(header).trim();
+    if (!name) {
+      name = `列${index + 1}`;
+    }
+    if (seen[name]) {
+      seen[name] += 1;
+      name = `${name}_${seen[name]}`;
+    } else {
+      seen[name] = 1;
+    }
+    return name;
+  });
+};
+
+/**
+ * 解析限制
+ * @param {Object} options - {maxRows: 最多数据行数, maxSize: 文件大小上限（用于限制 XLSX 解压后的大小）}
+ */
+const getLimits = (options = {}) => {
+  const maxRows = options.maxRows || MAX_ROWS;
+  return {
+    maxRows,
+    // 行号上限：数据行 + 列名行
+    maxLine: maxRows + 1,
+    maxInflated: options.maxSize ? Math.min(options.maxSize * INFLATE_RATIO, MAX_INFLATED_SIZE) : MAX_INFLATED_SIZE
+  };
+};
+
+const tooManyRows = (limits) => createError(`单个文件最多导入 ${limits.maxRows} 行`);
+
+const tooManyColumns = () => createError(`文件最多 ${MAX_COLUMNS} 列`);
+
+/**
+ * 是否为空行
+ */
+const isEmptyLine = (cells) => !cells.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== '');
+
+/**
+ * 由行列表构建表格：第一个非空行作为列名，跳过空行
+ * @param {Array<Object>} lines - [{line: 源文件中的行号, cells: 单元格数组}]，按行号排序
+ */
+const buildTable = (lines) => {
+  const headerIndex = lines.findIndex(({ cells }) => !isEmptyLine(cells));
+  if (headerIndex === -1) {
+    throw createError('文件内容为空');
+  }
+
+  const columns = normalizeColumns(Array.from(lines[headerIndex].cells, cell => cell));
+  const rows = [];
+  lines.forEach(({ line, cells }, index) => {
+    if (index <= headerIndex || isEmptyLine(cells)) {
+      return;
+    }
+    const row = { __line: line };
+    columns.forEach((column, columnIndex) => {
+      const cell = cells[columnIndex];
+      row[column] = cell === undefined || cell === '' ? null : cell;
+    });
+    rows.push(row);
+  });
+  return { columns, rows };
+};
+
+// ===== CSV =====
+
+/**
+ * 解码文本：优先 UTF-8，不是合法 UTF-8 时按 GB18030 解码（Excel 另存的中文 CSV 通常是 GBK 编码）
+ */
+const decodeText = (buffer) => {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    text = new TextDecoder('gb18030').decode(buffer);
+  }
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+};
+
+/**
+ * 根据第一行检测分隔符（逗号、制表符、分号）
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const candidates = [',', '\t', ';'];
+  const counts = candidates.map(char => firstLine.split(char).length - 1);
+  const max = Math.max(...counts);
+  return max > 0 ? candidates[counts.indexOf(max)] : ',';
+};
+
+/**
+ * 解析 CSV（支持引号、转义引号和字段内换行）
+ */
+const parseCsv = (buffer, limits) => {
+  const text = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  const lines = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+      if (row.length >= MAX_COLUMNS) {
+        throw tooManyColumns();
+      }
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      if (lines.length >= limits.maxLine) {
+        throw tooManyRows(limits);
+      }
+      lines.push({ line: lines.length + 1, cells: row });
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    if (lines.length >= limits.maxLine) {
+      throw tooManyRows(limits);
+    }
+    lines.push({ line: lines.length + 1, cells: row });
+  }
+
+  return buildTable(lines);
+};
+
+// ===== XLSX =====
+
+/**
+ * 读取 ZIP 文件的目录（不解压）
+ * @returns {Map<string, Object>} 文件名 -> {method, data: 压缩的内容}
+ */
+const readZip = (buffer) => {
+  // 从末尾查找中央目录结束记录
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw createError('不是有效的 XLSX 文件');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw createError('不是有效的 XLSX 文件');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (method === 0 || method === 8) {
+      entries.set(name, { method, data: buffer.subarray(dataStart, dataStart + compressedSize) });
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/**
+ * 创建 ZIP 条目读取函数，所有读取的条目解压后总大小不超过 maxSize
+ * @returns {Function} (name) => Buffer | undefined
+ */
+const createEntryReader = (entries, maxSize) => {
+  let remaining = maxSize;
+  return (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      return undefined;
+    }
+    let content = entry.data;
+    if (entry.method === 8) {
+      try {
+        content = zlib.inflateRawSync(entry.data, { maxOutputLength: Math.max(remaining, 1) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw createError('XLSX 文件解压后过大');
+        }
+        throw error;
+      }
+    }
+    remaining -= content.length;
+    if (remaining < 0) {
+      throw createError('XLSX 文件解压后过大');
+    }
+    return content;
+  };
+};
+
+/**
+ * 解码 XML 实体
+ */
+const decodeXml = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * 提取 <t> 元素的文本（富文本由多个 <t> 组成）
+ */
+const readText = (xml) => {
+  const texts = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    texts.push(decodeXml(match[1]));
+  }
+  return texts.join('');
+};
+
+/**
+ * 列字母转序号（A -> 0）
+ */
+const columnIndex = (letters) => {
+  let index = 0;
+  for (const char of letters) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+/**
+ * 获取第一个工作表的路径
+ */
+const getFirstSheetPath = (readEntry) => {
+  const workbook = readEntry('xl/workbook.xml');
+  const rels = readEntry('xl/_rels/workbook.xml.rels');
+  if (workbook && rels) {
+    const sheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook.toString('utf8'));
+    if (sheet) {
+      const relPattern = /<Relationship\b[^>]*>/g;
+      const relsXml = rels.toString('utf8');
+      let match;
+      while ((match = relPattern.exec(relsXml)) !== null) {
+        const id = /\bId="([^"]+)"/.exec(match[0]);
+        const target = /\bTarget="([^"]+)"/.exec(match[0]);
+        if (id && target && id[1] === sheet[1]) {
+          return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+        }
+      }
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+/**
+ * 解析 XLSX（第一个工作表）
+ * 单元格按显示值读取：共享字符串、内联字符串、数字（日期为 Excel 序列号）、布尔值
+ */
+const parseXlsx = (buffer, limits) => {
+  const readEntry = createEntryReader(readZip(buffer), limits.maxInflated);
+  const sheet = readEntry(getFirstSheetPath(readEntry));
+  if (!sheet) {
+    throw createError('XLSX 文件中没有工作表');
+  }
+
+  const sharedStrings = [];
+  const sharedXml = readEntry('xl/sharedStrings.xml');
+  if (sharedXml) {
+    const pattern = /<si>([\s\S]*?)<\/si>/g;
+    let match;
+    while ((match = pattern.exec(sharedXml.toString('utf8'))) !== null) {
+      sharedStrings.push(readText(match[1]));
+    }
+  }
+
+  const lines = [];
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let rowMatch;
+  const sheetXml = sheet.toString('utf8');
+  while ((rowMatch = rowPattern.exec(sheetXml)) !== null) {
+    // 行号来自文件内容，只用于记录，不作为数组下标
+    const rowNumber = /\br="(\d+)"/.exec(rowMatch[1]);
+    const previous = lines.length > 0 ? lines[lines.length - 1].line : 0;
+    const line = rowNumber ? parseInt(rowNumber[1]) : previous + 1;
+    if (line > limits.maxLine || lines.length >= limits.maxLine) {
+      throw tooManyRows(limits);
+    }
+    const cells = [];
+    let cellMatch;
+    let nextColumn = 0;
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+      const ref = /\br="([A-Z]+)\d+"/.exec(cellMatch[1]);
+      const type = /\bt="([^"]+)"/.exec(cellMatch[1]);
+      const body = cellMatch[2] || '';
+      const index = ref ? (ref[1].length > 3 ? MAX_COLUMNS : columnIndex(ref[1])) : nextColumn;
+      if (index >= MAX_COLUMNS) {
+        throw tooManyColumns();
+      }
+      nextColumn = index + 1;
+
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body);
+      let value = null;
+      switch (type ? type[1] : 'n') {
+        case 's':
+          value = raw ? sharedStrings[parseInt(raw[1])] : null;
+          break;
+        case 'inlineStr':
+          value = readText(body);
+          break;
+        case 'b':
+          value = raw ? raw[1] === '1' : null;
+          break;
+        default:
+          value = raw ? decodeXml(raw[1]) : null;
+      }
+      cells[index] = value;
+    }
+    lines.push({ line, cells });
+  }
+
+  // 工作表中的行通常已按行号排列
+  return buildTable(lines.sort((a, b) => a.line - b.line));
+};
+
+// ===== JSON =====
+
+/**
+ * 解析 JSON：对象数组，或包含 data / records / items 数组的对象
+ */
+const parseJson = (buffer, limits) => {
+  let content;
+  try {
+    content = JSON.parse(decodeText(buffer));
+  } catch (error) {
+    throw createError(`JSON 格式错误: ${error.message}`);
+  }
+
+  const items = Array.isArray(content)
+    ? content
+    : ['data', 'records', 'items'].map(key => content && content[key]).find(Array.isArray);
+  if (!items) {
+    throw createError('JSON 文件应为对象数组，或包含 data、records、items 数组');
+  }
+  if (items.length > limits.maxRows) {
+    throw tooManyRows(limits);
+  }
+
+  const objects = items.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+  const keys = new Set();
+  objects.forEach(item => {
+    Object.keys(item).forEach(key => keys.add(key));
+    if (keys.size > MAX_COLUMNS) {
+      throw tooManyColumns();
+    }
+  });
+  const columns = normalizeColumns([...keys]);
+  const rows = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return;
+    }
+    const row = { __line: index + 1 };
+    columns.forEach(column => {
+      const value = item[column];
+      row[column] = value === undefined || value === '' ? null
+        : (typeof value === 'object' && value !== null ? JSON.stringify(value) : value);
+    });
+    rows.push(row);
+  });
+  return { columns, rows };
+};
+
+/**
+ * 解析数据文件
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} format - csv | xlsx | json
+ * @param {Object} options - {maxRows: 最多数据行数（默认 MAX_ROWS）, maxSize: 文件大小上限}
+ * @returns {Object} {columns: 列名数组, rows: 行对象数组（__line 为源文件中的行号，JSON 为数组下标+1）}
+ */
+const parseDataset = (buffer, format, options = {}) => {
+  const parsers = { csv: parseCsv, xlsx: parseXlsx, json: parseJson };
+  if (!parsers[format]) {
+    throw createError(`不支持的文件格式，支持: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  try {
+    return parsers[format](buffer, getLimits(options));
+  } catch (error) {
+    // 文件损坏导致的读取越界等错误
+    throw error.status ? error : createError(`文件解析失败: ${error.message}`);
+  }
+};
+
+module.exports = {
+  FORMATS,
+  MAX_ROWS,
+  getFormat,
+  parseDataset
+};
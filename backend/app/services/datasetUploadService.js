@@ -0,0 +1,555 @@
+/**
+ * 数据文件上传导入服务
+ * 流程：上传文件（暂存并返回预览和建议的列映射）-> 按列映射预检 -> 导入（创建待审核数据和数据记录）
+ * 暂存文件保存在 uploads/staging，导入后移动到 uploads/datasets，未导入的暂存文件 24 小时后清理
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/config');
+const { getPool } = require('../../config/database');
+const datasetParser = require('./datasetParser');
+const quarantineService = require('./quarantineService');
+const settingsService = require('./settingsService');
+const dataVersionService = require('./dataVersionService');
+
+const UPLOAD_DIR = path.resolve(__dirname, '../..', config.upload.path);
+const STAGING_DIR = path.join(UPLOAD_DIR, 'staging');
+const DATASET_DIR = path.join(UPLOAD_DIR, 'datasets');
+
+// 暂存文件保留时间（毫秒）
+const STAGING_TTL = 24 * 60 * 60 * 1000;
+
+// 单个文件最多导入的行数
+const MAX_ROWS = datasetParser.MAX_ROWS;
+
+// 预览行数
+const PREVIEW_ROWS = 20;
+
+// 返回的错误明细条数上限
+const MAX_ERRORS = 50;
+
+// 每批插入的记录数
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * 可映射的字段
+ * record_date、value、text_value 对应 data_records 的列，其余写入 metadata
+ * pattern 用于根据列名给出建议映射
+ */
+const MAPPING_FIELDS = {
+  record_date: { label: '日期', required: true, pattern: /^(record_date|date|time|period|year|month|repp)$|日期|时间|年份|年月|月份|年度/i },
+  value: { label: '数值', pattern: /^(value|amount|data2?|num(ber)?)$|数值|数量|金额|^值$/i },
+  text_value: { label: '文本值', pattern: /^(text_value|text|label)$|说明|备注/i },
+  city: { label: '城市', pattern: /^city$|城市|市州|地市/i },
+  region: { label: '地区', pattern: /^(region|area)$|地区|区域/i },
+  unit: { label: '单位', pattern: /^unit$|单位/i },
+  indicator: { label: '指标', pattern: /^(indicator|data_name)$|指标/i }
+};
+
+// 写入 metadata 的映射字段
+const METADATA_FIELDS = ['city', 'region', 'unit', 'indicator'];
+
+// 暂存ID格式（UUID）
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status, data) => {
+  const error = new Error(message);
+  error.status = status;
+  if (data) {
+    error.data = data;
+  }
+  return error;
+};
+
+/**
+ * 根据列名给出建议的列映射
+ * @param {Array<string>} columns - 列名
+ * @returns {Object} 字段 -> 列名
+ */
+const suggestMapping = (columns) => {
+  const mapping = {};
+  const used = new Set();
+  Object.entries(MAPPING_FIELDS).forEach(([field, { pattern }]) => {
+    const column = columns.find(name => !used.has(name) && pattern.test(name));
+    if (column) {
+      mapping[field] = column;
+      used.add(column);
+    }
+  });
+  return mapping;
+};
+
+/**
+ * 校验日期各部分并格式化为 YYYY-MM-DD
+ */
+const formatDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (year < 1000 || year > 9999 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * 解析日期
+ * 支持：年份（2020）、年月（202001、2020-01、2020/1、2020年1月）、日期（20200115、2020-01-15、2020年1月15日）和 Excel 日期序列号
+ * @returns {Object|null} {date: YYYY-MM-DD, year, month, granularity: year | month | day}
+ */
+const parseRecordDate = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim();
+  let year;
+  let month = null;
+  let day = null;
+  let match;
+
+  if ((match = /^(\d{4})(?:\.0+)?$/.exec(text))) {
+    year = parseInt(match[1]);
+  } else if ((match = /^(\d{4})(\d{2})$/.exec(text))) {
+    [year, month] = [parseInt(match[1]), parseInt(match[2])];
+  } else if ((match = /^(\d{4})(\d{2})(\d{2})$/.exec(text))) {
+    [year, month, day] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+  } else if (/^\d{5}(\.\d+)?$/.test(text)) {
+    // Excel 日期序列号（以 1899-12-30 为 0）
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(parseFloat(text)) * 86400000);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else if ((match = /^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?(?:[ T][\d:.]*Z?)?$/.exec(text))) {
+    [year, month] = [parseInt(match[1]), parseInt(match[2])];
+    day = match[3] ? parseInt(match[3]) : null;
+  } else if ((match = /^(\d{4})年(?:(\d{1,2})月(?:(\d{1,2})日)?)?$/.exec(text))) {
+    year = parseInt(match[1]);
+    month = match[2] ? parseInt(match[2]) : null;
+    day = match[3] ? parseInt(match[3]) : null;
+  } else {
+    return null;
+  }
+
+  const date = formatDate(year, month || 1, day || 1);
+  if (!date) {
+    return null;
+  }
+  return {
+    date,
+    year,
+    month,
+    granularity: day ? 'day' : (month ? 'month' : 'year')
+  };
+};
+
+/**
+ * 解析数值（允许千分位逗号和空白），空值返回 null
+ * @returns {number|null|undefined} 无法解析时返回 undefined
+ */
+const parseValue = (value) => {
+  if (value === null || value === undefined || value === '' || value === '-') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+  const text = String(value).replace(/[,\s]/g, '');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) {
+    return undefined;
+  }
+  const number = parseFloat(text);
+  // data_records.value 为 decimal(20,4)
+  return Math.abs(number) < 1e16 ? number : undefined;
+};
+
+/**
+ * 校验列映射
+ * @param {Object} mapping - 字段 -> 列名，extra 为额外写入 metadata 的列名数组
+ * @param {Array<string>} columns - 文件中的列名
+ * @returns {string|null} 错误信息
+ */
+const validateMapping = (mapping, columns) => {
+  if (!mapping || typeof mapping !== 'object') {
+    return '请提供列映射';
+  }
+  const unknownField = Object.keys(mapping).find(field => field !== 'extra' && !MAPPING_FIELDS[field]);
+  if (unknownField) {
+    return `未知的映射字段: ${unknownField}`;
+  }
+  if (!mapping.record_date) {
+    return `请选择${MAPPING_FIELDS.record_date.label}列`;
+  }
+  if (!mapping.value && !mapping.text_value) {
+    return '请选择数值列或文本值列';
+  }
+  if (mapping.extra !== undefined && !Array.isArray(mapping.extra)) {
+    return 'extra 必须是列名数组';
+  }
+  const mapped = [...Object.keys(MAPPING_FIELDS).map(field => mapping[field]).filter(Boolean), ...(mapping.extra || [])];
+  const missing = mapped.find(column => !columns.includes(column));
+  if (missing) {
+    return `文件中不存在列: ${missing}`;
+  }
+  return null;
+};
+
+/**
+ * 按列映射将行转换为数据记录
+ * 日期和 metadata（城市、地区、指标等）都相同的行视为重复，只保留第一行
+ * @param {Array<Object>} rows - 解析后的行
+ * @param {Object} mapping - 列映射
+ * @param {Object} defaults - {unit}：未映射单位列时使用的单位
+ * @returns {Object} {records: [{line, record_date, value, text_value, metadata}], errors: [{line, field, message}]}
+ */
+const mapRecords = (rows, mapping, defaults = {}) => {
+  const records = [];
+  const errors = [];
+  const seenKeys = new Map();
+
+  rows.forEach(row => {
+    const date = parseRecordDate(row[mapping.record_date]);
+    if (!date) {
+      errors.push({ line: row.__line, field: 'record_date', message: `${MAPPING_FIELDS.record_date.label}无法识别: ${row[mapping.record_date] === null ? '空' : row[mapping.record_date]}` });
+      return;
+    }
+
+    const value = mapping.value ? parseValue(row[mapping.value]) : null;
+    if (value === undefined) {
+      errors.push({ line: row.__line, field: 'value', message: `数值无效: ${row[mapping.value]}` });
+      return;
+    }
+
+    let textValue = mapping.text_value && row[mapping.text_value] !== null ? String(row[mapping.text_value]) : null;
+    if (value === null && textValue === null) {
+      errors.push({ line: row.__line, field: 'value', message: '数值和文本值均为空' });
+      return;
+    }
+    if (textValue === null) {
+      textValue = {
+        year: `${date.year}年`,
+        month: `${date.year}年${date.month}月`,
+        day: `${date.year}年${date.month}月${parseInt(date.date.slice(8))}日`
+      }[date.granularity];
+    }
+
+    const metadata = { year: date.year };
+    if (date.granularity === 'month') {
+      metadata.month = date.month;
+    }
+    METADATA_FIELDS.forEach(field => {
+      if (mapping[field] && row[mapping[field]] !== null) {
+        metadata[field] = String(row[mapping[field]]);
+      }
+    });
+    if (!metadata.unit && defaults.unit) {
+      metadata.unit = defaults.unit;
+    }
+    (mapping.extra || []).forEach(column => {
+      if (row[column] !== null) {
+        metadata[column] = row[column];
+      }
+    });
+
+    const key = JSON.stringify([date.date, metadata]);
+    if (seenKeys.has(key)) {
+      errors.push({ line: row.__line, field: null, message: `与第 ${seenKeys.get(key)} 行重复（日期和各维度相同）` });
+      return;
+    }
+    seenKeys.set(key, row.__line);
+
+    records.push({
+      line: row.__line,
+      record_date: date.date,
+      value,
+      text_value: textValue,
+      metadata
+    });
+  });
+
+  return { records, errors };
+};
+
+/**
+ * 解析限制：行数上限，XLSX 解压后的大小按上传文件大小上限计算
+ */
+const getParseOptions = () => ({
+  maxRows: MAX_ROWS,
+  maxSize: settingsService.get('uploadMaxSize')
+});
+
+/**
+ * 暂存文件路径
+ */
+const getStagingPaths = (uploadId) => ({
+  file: path.join(STAGING_DIR, uploadId),
+  meta: path.join(STAGING_DIR, `${uploadId}.json`)
+});
+
+/**
+ * 暂存上传的文件并解析
+ * @param {Object} file - {originalname, size, buffer}
+ * @param {number} userId - 上传者ID
+ * @returns {Promise<Object>} {uploadId, filename, format, size, columns, totalRows, preview, fields, suggestedMapping}
+ */
+const stageUpload = async (file, userId) => {
+  try {
+    const format = datasetParser.getFormat(file.originalname);
+    if (!format) {
+      throw createError(`不支持的文件格式，支持: ${Object.keys(datasetParser.FORMATS).join(', ')}`, 400);
+    }
+
+    const { columns, rows } = datasetParser.parseDataset(file.buffer, format, getParseOptions());
+    if (rows.length === 0) {
+      throw createError('文件中没有数据行', 400);
+    }
+
+    const uploadId = crypto.randomUUID();
+    const paths = getStagingPaths(uploadId);
+    await fs.mkdir(STAGING_DIR, { recursive: true });
+    await fs.writeFile(paths.file, file.buffer);
+    await fs.writeFile(paths.meta, JSON.stringify({
+      filename: file.originalname,
+      format,
+      size: file.size,
+      userId,
+      createdAt: new Date().toISOString()
+    }));
+
+    return {
+      uploadId,
+      filename: file.originalname,
+      format,
+      size: file.size,
+      columns,
+      totalRows: rows.length,
+      preview: rows.slice(0, PREVIEW_ROWS).map(({ __line, ...row }) => row),
+      fields: Object.keys(MAPPING_FIELDS).map(field => ({
+        field,
+        label: MAPPING_FIELDS[field].label,
+        required: !!MAPPING_FIELDS[field].required
+      })),
+      suggestedMapping: suggestMapping(columns)
+    };
+  } catch (error) {
+    console.error('暂存上传文件错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 读取暂存的文件（只有上传者可以访问）
+ * @returns {Promise<Object>} {meta, buffer, columns, rows}
+ */
+const loadStagedUpload = async (uploadId, userId) => {
+  if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+    throw createError('上传记录不存在或已过期', 404);
+  }
+  const paths = getStagingPaths(uploadId);
+  let meta;
+  let buffer;
+  try {
+    meta = JSON.parse(await fs.readFile(paths.meta, 'utf8'));
+    buffer = await fs.readFile(paths.file);
+  } catch (error) {
+    throw createError('上传记录不存在或已过期', 404);
+  }
+  if (meta.userId !== userId) {
+    throw createError('上传记录不存在或已过期', 404);
+  }
+  return { meta, buffer, ...datasetParser.parseDataset(buffer, meta.format, getParseOptions()) };
+};
+
+/**
+ * 按列映射预检（不写入数据库）
+ * @param {string} uploadId - 暂存ID
+ * @param {number} userId - 当前用户ID
+ * @param {Object} options - {mapping, unit}
+ * @returns {Promise<Object>} {totalRows, validRows, errorCount, errors, preview}
+ */
+const previewImport = async (uploadId, userId, options = {}) => {
+  try {
+    const { columns, rows } = await loadStagedUpload(uploadId, userId);
+    const mappingError = validateMapping(options.mapping, columns);
+    if (mappingError) {
+      throw createError(mappingError, 400);
+    }
+
+    const { records, errors } = mapRecords(rows, options.mapping, { unit: options.unit });
+    return {
+      totalRows: rows.length,
+      validRows: records.length,
+      errorCount: errors.length,
+      errors: errors.slice(0, MAX_ERRORS),
+      preview: records.slice(0, PREVIEW_ROWS)
+    };
+  } catch (error) {
+    console.error('预检导入数据错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 导入暂存的文件：创建待审核的数据并写入数据记录
+ * 存在无法解析或重复的行时默认拒绝导入（invalidRows: reject）；skip 跳过这些行，quarantine 跳过并隔离保存
+ * 兼容旧参数 skipInvalid: true（等同于 skip）
+ * @param {string} uploadId - 暂存ID
+ * @param {number} userId - 当前用户ID
+ * @param {Object} options - {mapping, unit, invalidRows, skipInvalid, title, category, description, source, data_type}
+ * @returns {Promise<Object>} {dataId, imported, skipped, quarantined, errors}
+ */
+const importUpload = async (uploadId, userId, options = {}) => {
+  let connection;
+  let datasetFile;
+  let committed = false;
+  try {
+    const { title, category, description, source, data_type } = options;
+    const invalidRows = quarantineService.resolveInvalidRowMode(options.invalidRows, options.skipInvalid ? 'skip' : 'reject');
+    if (!title || !String(title).trim() || String(title).length > 200) {
+      throw createError('数据标题不能为空且不能超过200个字符', 400);
+    }
+    if (!category || !String(category).trim() || String(category).length > 50) {
+      throw createError('数据类别不能为空且不能超过50个字符', 400);
+    }
+
+    const { meta, buffer, columns, rows } = await loadStagedUpload(uploadId, userId);
+    const mappingError = validateMapping(options.mapping, columns);
+    if (mappingError) {
+      throw createError(mappingError, 400);
+    }
+
+    const { records, errors } = mapRecords(rows, options.mapping, { unit: options.unit });
+    if (records.length === 0) {
+      throw createError('没有可导入的数据行', 400, { errorCount: errors.length, errors: errors.slice(0, MAX_ERRORS) });
+    }
+    if (errors.length > 0 && invalidRows === 'reject') {
+      throw createError(`有 ${errors.length} 行数据无法解析或重复，请修正文件，或选择跳过或隔离这些行`, 400, {
+        errorCount: errors.length,
+        errors: errors.slice(0, MAX_ERRORS)
+      });
+    }
+
+    // 保存原始文件
+    const storedName = `${uploadId}${path.extname(meta.filename).toLowerCase()}`;
+    await fs.mkdir(DATASET_DIR, { recursive: true });
+    datasetFile = path.join(DATASET_DIR, storedName);
+    await fs.writeFile(datasetFile, buffer);
+
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(
+      `INSERT INTO data
+       (title, category, description, source, data_type, file_path, file_size, uploader_id, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+      [
+        String(title).trim(),
+        String(category).trim(),
+        description || `由文件 ${meta.filename} 导入`,
+        source || null,
+        data_type || '统计数据',
+        `datasets/${storedName}`,
+        meta.size,
+        userId
+      ]
+    );
+    const dataId = result.insertId;
+
+    for (let i = 0; i < records.length; i += INSERT_BATCH_SIZE) {
+      const batch = records.slice(i, i + INSERT_BATCH_SIZE);
+      await connection.query(
+        'INSERT INTO data_records (data_id, record_date, value, text_value, metadata) VALUES ?',
+        [batch.map(record => [dataId, record.record_date, record.value, record.text_value, JSON.stringify(record.metadata)])]
+      );
+    }
+
+    await dataVersionService.createVersion(connection, dataId, { userId, note: `由文件 ${meta.filename} 导入` });
+
+    let quarantined = 0;
+    if (invalidRows === 'quarantine' && errors.length > 0) {
+      const rowsByLine = new Map(rows.map(({ __line, ...row }) => [__line, row]));
+      quarantined = await quarantineService.saveQuarantinedRows(
+        connection,
+        dataId,
+        quarantineService.SOURCES.UPLOAD,
+        errors.map(error => ({
+          line: error.line,
+          raw: rowsByLine.get(error.line),
+          issues: [{ field: error.field, message: error.message }]
+        })),
+        userId
+      );
+    }
+
+    await connection.commit();
+    committed = true;
+
+    const paths = getStagingPaths(uploadId);
+    await Promise.all([fs.unlink(paths.file), fs.unlink(paths.meta)]).catch(() => {});
+
+    return {
+      dataId,
+      imported: records.length,
+      skipped: errors.length,
+      quarantined,
+      errors: errors.slice(0, MAX_ERRORS)
+    };
+  } catch (error) {
+    if (!committed) {
+      if (connection) {
+        await connection.rollback().catch(() => {});
+      }
+      if (datasetFile) {
+        await fs.unlink(datasetFile).catch(() => {});
+      }
+    }
+    console.error('导入数据文件错误:', error);
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * 清理过期的暂存文件
+ * @returns {Promise<number>} 删除的文件数
+ */
+const cleanupStagedUploads = async () => {
+  try {
+    let files;
+    try {
+      files = await fs.readdir(STAGING_DIR);
+    } catch (error) {
+      return 0;
+    }
+
+    let count = 0;
+    const now = Date.now();
+    for (const file of files) {
+      const filePath = path.join(STAGING_DIR, file);
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (stat && now - stat.mtimeMs > STAGING_TTL) {
+        await fs.unlink(filePath).catch(() => {});
+        count++;
+      }
+    }
+    return count;
+  } catch (error) {
+    console.error('清理暂存文件错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  MAPPING_FIELDS,
+  parseRecordDate,
+  parseValue,
+  suggestMapping,
+  validateMapping,
+  mapRecords,
+  stageUpload,
+  previewImport,
+  importUpload,
+  cleanupStagedUploads
+};
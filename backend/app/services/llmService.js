@@ -3,6 +3,7 @@
  * 统一管理不同提供商的大模型API调用
  */
 const llmConfig = require('../../config/llmConfig');
+const settingsService = require('./settingsService');
 
 /**
  * 调用大模型API
@@ -12,7 +13,13 @@ const llmConfig = require('../../config/llmConfig');
  */
 const callLLM = async (prompt, options = {}) => {
   try {
-    const config = llmConfig.getConfig();
+    // 温度、最大Token数和超时时间可在系统设置中修改，每次调用时读取
+    const config = {
+      ...llmConfig.getConfig(),
+      temperature: settingsService.get('llmTemperature'),
+      maxTokens: settingsService.get('llmMaxTokens'),
+      timeout: settingsService.get('llmTimeout')
+    };
     
     // 检查是否启用大模型API
     if (!config.enabled) {
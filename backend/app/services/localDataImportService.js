@@ -0,0 +1,436 @@
+/**
+ * 本地数据文件同步服务
+ * 将 data/entries 下的 JSON 数据文件同步到 data / data_records，使查询、详情、地图、收藏和预测使用同一份数据
+ * 每个文件对应一条数据（local_data_imports 记录文件与数据的对应关系），每个条目对应一条记录（按 data_up_uuid 识别）
+ * 重复同步是幂等的：文件未变化时跳过，变化时只新增、更新或删除有差异的记录
+ * 条目按数据集规则校验（见 dataQuality），无效条目默认隔离，也可以选择拒绝同步或直接跳过
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { query, getPool } = require('../../config/database');
+const localDataService = require('./localDataService');
+const datasetUploadService = require('./datasetUploadService');
+const dataQuality = require('./dataQuality');
+const quarantineService = require('./quarantineService');
+const dataVersionService = require('./dataVersionService');
+
+const DATA_DIR = path.join(__dirname, '../../data/entries');
+
+// 同步生成的数据的默认信息
+const DEFAULT_CATEGORY = '经济运行';
+const DEFAULT_SOURCE = '本地数据文件';
+
+// 条目字段到数据记录的映射（unit 由 data_name 的最后一段得到）
+const ENTRY_MAPPING = {
+  record_date: 'repp',
+  value: 'data2',
+  city: 'area',
+  indicator: 'data_name',
+  unit: 'unit',
+  extra: ['data_up_uuid', 'data_type']
+};
+
+// 表示条目已删除的 data_up_status
+const DELETED_STATUS = 'D';
+
+// 返回的错误明细条数上限
+const MAX_ERRORS = 50;
+
+// 每批写入的记录数
+const BATCH_SIZE = 1000;
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status, data) => {
+  const error = new Error(message);
+  error.status = status;
+  if (data) {
+    error.data = data;
+  }
+  return error;
+};
+
+/**
+ * 按键名排序序列化，用于比较 metadata（MySQL 的 JSON 列不保留键的顺序）
+ */
+const stableStringify = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * 判断数据库中的记录与文件中的条目是否一致
+ */
+const isSameRecord = (existing, record) => {
+  const existingValue = existing.value === null ? null : Number(existing.value);
+  const value = record.value === null ? null : Number(record.value.toFixed(4));
+  return existing.record_date === record.record_date &&
+    existingValue === value &&
+    existing.text_value === record.text_value &&
+    stableStringify(existing.metadata) === stableStringify(record.metadata);
+};
+
+/**
+ * 校验文件名（只能同步数据目录中已有的 JSON 文件）
+ */
+const resolveFilename = async (filename) => {
+  const files = await localDataService.getAvailableDataFiles();
+  if (!files.some(file => file.filename === filename)) {
+    throw createError(`数据文件不存在: ${filename}`, 404);
+  }
+  return path.join(DATA_DIR, filename);
+};
+
+/**
+ * 读取数据文件、校验并转换为数据记录
+ * data_up_status 为 D 的条目视为已删除
+ * @returns {Promise<Object>} {hash, size, records, invalid: [{line, raw, issues}], errors: [{line, message}], keepUuids}
+ */
+const readEntryFile = async (filename) => {
+  const filePath = await resolveFilename(filename);
+  const content = await fs.readFile(filePath);
+
+  let entries;
+  try {
+    entries = JSON.parse(content.toString('utf8'));
+  } catch (error) {
+    throw createError(`数据文件不是有效的 JSON: ${error.message}`, 400);
+  }
+  if (!Array.isArray(entries)) {
+    entries = [entries];
+  }
+
+  const { invalid } = dataQuality.validateEntries(entries, dataQuality.getSchema(filename));
+  const invalidLines = new Set(invalid.map(item => item.line));
+
+  const field = (entry, key) => (entry[key] === undefined || entry[key] === '' ? null : entry[key]);
+  const rows = [];
+  entries.forEach((entry, index) => {
+    if (invalidLines.has(index + 1) || entry.data_up_status === DELETED_STATUS) {
+      return;
+    }
+    rows.push({
+      __line: index + 1,
+      repp: field(entry, 'repp'),
+      data2: field(entry, 'data2'),
+      area: field(entry, 'area'),
+      data_name: field(entry, 'data_name'),
+      unit: dataQuality.getUnit(entry.data_name),
+      data_up_uuid: entry.data_up_uuid,
+      data_type: field(entry, 'data_type')
+    });
+  });
+
+  const { records, errors: mappingErrors } = datasetUploadService.mapRecords(rows, ENTRY_MAPPING);
+  const allInvalid = [
+    ...invalid.map(item => ({ line: item.line, raw: item.entry, issues: item.issues })),
+    ...mappingErrors.map(error => ({
+      line: error.line,
+      raw: entries[error.line - 1],
+      issues: [{ field: error.field, type: 'invalid', message: error.message }]
+    }))
+  ].sort((a, b) => a.line - b.line);
+
+  // 无效条目不会删除上次同步的记录（重复的条目除外）
+  const keepUuids = new Set();
+  allInvalid.forEach(item => {
+    const uuid = item.raw && typeof item.raw === 'object' ? item.raw.data_up_uuid : null;
+    if (uuid !== null && uuid !== undefined && !item.issues.some(issue => issue.type === 'duplicate')) {
+      keepUuids.add(String(uuid));
+    }
+  });
+
+  return {
+    hash: crypto.createHash('sha256').update(content).digest('hex'),
+    size: content.length,
+    records,
+    invalid: allInvalid,
+    errors: allInvalid.map(item => ({ line: item.line, message: item.issues.map(issue => issue.message).join('；') })),
+    keepUuids
+  };
+};
+
+/**
+ * 同步单个数据文件
+ * 首次同步时创建已审核的数据；之后按 data_up_uuid 新增、更新或删除记录
+ * 无效条目不会删除数据库中已有的记录；没有 data_up_uuid 的记录（手动添加的）保持不变
+ * 对应的数据已被删除时不再同步
+ * @param {string} filename - 文件名
+ * @param {Object} options - {userId: 执行同步的用户（命令行同步时为空）, force: 文件未变化时也重新比对, invalidRows: quarantine（默认）| skip | reject}
+ * @returns {Promise<Object>} {filename, dataId, status: created | updated | unchanged | skipped, version: 新版本号, inserted, updated, deleted, quarantined, errorCount, errors}
+ */
+const syncFile = async (filename, options = {}) => {
+  const userId = options.userId || null;
+  let connection;
+  try {
+    const invalidRows = quarantineService.resolveInvalidRowMode(options.invalidRows, 'quarantine');
+    const { hash, size, records, invalid, errors, keepUuids } = await readEntryFile(filename);
+    if (errors.length > 0 && invalidRows === 'reject') {
+      throw createError(`有 ${errors.length} 条无效条目，已拒绝同步`, 400, {
+        errorCount: errors.length,
+        errors: errors.slice(0, MAX_ERRORS)
+      });
+    }
+
+    const result = {
+      filename,
+      dataId: null,
+      status: 'unchanged',
+      inserted: 0,
+      updated: 0,
+      deleted: 0,
+      quarantined: 0,
+      errorCount: errors.length,
+      errors: errors.slice(0, MAX_ERRORS)
+    };
+
+    const [imported] = await query(
+      `SELECT i.data_id, i.file_hash, d.status
+       FROM local_data_imports i
+       LEFT JOIN data d ON i.data_id = d.id
+       WHERE i.filename = ?`,
+      [filename]
+    );
+    if (imported) {
+      result.dataId = imported.data_id;
+      if (imported.status === 'deleted') {
+        return { ...result, status: 'skipped', message: '对应的数据已被删除，不再同步' };
+      }
+      if (imported.file_hash === hash && !options.force) {
+        return result;
+      }
+    }
+
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+
+    let dataId = imported ? imported.data_id : null;
+    if (!dataId) {
+      const [insertResult] = await connection.query(
+        `INSERT INTO data
+         (title, category, description, source, data_type, file_path, file_size, uploader_id, status, reviewer_id, reviewed_at)
+         VALUES (?, ?, ?, ?, '统计数据', ?, ?, ?, 'approved', ?, NOW())`,
+        [
+          filename.replace(/\.json$/, ''),
+          DEFAULT_CATEGORY,
+          `由本地数据文件 ${filename} 同步`,
+          DEFAULT_SOURCE,
+          `entries/${filename}`,
+          size,
+          userId,
+          userId
+        ]
+      );
+      dataId = insertResult.insertId;
+      result.status = 'created';
+    } else {
+      await dataVersionService.ensureBaselineVersion(connection, dataId);
+      await connection.query('UPDATE data SET file_size = ? WHERE id = ?', [size, dataId]);
+      result.status = 'updated';
+    }
+    result.dataId = dataId;
+
+    // 数据库中已同步的记录，按 data_up_uuid 索引
+    const [existingRows] = await connection.query(
+      `SELECT id, DATE_FORMAT(record_date, '%Y-%m-%d') AS record_date, value, text_value, metadata
+       FROM data_records
+       WHERE data_id = ? AND JSON_EXTRACT(metadata, '$.data_up_uuid') IS NOT NULL
+       FOR UPDATE`,
+      [dataId]
+    );
+    const existingByUuid = new Map();
+    existingRows.forEach(row => {
+      const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata;
+      existingByUuid.set(String(metadata.data_up_uuid), { ...row, metadata });
+    });
+
+    const toInsert = [];
+    const updatedIds = [];
+    for (const record of records) {
+      const uuid = String(record.metadata.data_up_uuid);
+      const existing = existingByUuid.get(uuid);
+      existingByUuid.delete(uuid);
+      if (!existing) {
+        toInsert.push(record);
+      } else if (!isSameRecord(existing, record)) {
+        await connection.query(
+          'UPDATE data_records SET record_date = ?, value = ?, text_value = ?, metadata = ? WHERE id = ?',
+          [record.record_date, record.value, record.text_value, JSON.stringify(record.metadata), existing.id]
+        );
+        updatedIds.push(existing.id);
+      }
+    }
+
+    for (let i = 0; i < toInsert.length; i += BATCH_SIZE) {
+      const batch = toInsert.slice(i, i + BATCH_SIZE);
+      await connection.query(
+        'INSERT INTO data_records (data_id, record_date, value, text_value, metadata) VALUES ?',
+        [batch.map(record => [dataId, record.record_date, record.value, record.text_value, JSON.stringify(record.metadata)])]
+      );
+    }
+    result.inserted = toInsert.length;
+    result.updated = updatedIds.length;
+
+    // 文件中已不存在（或标记为删除）的条目
+    const toDelete = [...existingByUuid.entries()]
+      .filter(([uuid]) => !keepUuids.has(uuid))
+      .map(([, row]) => row.id);
+    for (let i = 0; i < toDelete.length; i += BATCH_SIZE) {
+      await connection.query('DELETE FROM data_records WHERE id IN (?)', [toDelete.slice(i, i + BATCH_SIZE)]);
+    }
+    result.deleted = toDelete.length;
+
+    // 替换上次同步隔离的条目（skip 时只清除）
+    result.quarantined = await quarantineService.saveQuarantinedRows(
+      connection,
+      dataId,
+      quarantineService.SOURCES.LOCAL_SYNC,
+      invalidRows === 'quarantine' ? invalid : [],
+      userId
+    );
+
+    await connection.query(
+      `INSERT INTO local_data_imports (filename, data_id, file_hash, record_count, imported_by)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE data_id = VALUES(data_id), file_hash = VALUES(file_hash),
+         record_count = VALUES(record_count), imported_by = VALUES(imported_by)`,
+      [filename, dataId, hash, records.length, userId]
+    );
+
+    // 记录有变化时保存为新版本
+    if (result.status === 'updated' && result.inserted + result.updated + result.deleted === 0) {
+      result.status = 'unchanged';
+    } else {
+      const { version } = await dataVersionService.createVersion(connection, dataId, {
+        userId,
+        note: result.status === 'created'
+          ? `由本地数据文件 ${filename} 首次同步`
+          : `同步本地数据文件 ${filename}：新增 ${result.inserted}，更新 ${result.updated}，删除 ${result.deleted}`,
+        recordIds: [...updatedIds, ...toDelete]
+      });
+      result.version = version;
+    }
+
+    await connection.commit();
+    return result;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    console.error(`同步本地数据文件错误 [${filename}]:`, error);
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * 同步多个数据文件（默认全部），单个文件失败不影响其他文件
+ * @param {Object} options - {files: 文件名数组, userId, force, invalidRows}
+ * @returns {Promise<Object>} {results, summary: {total, created, updated, unchanged, skipped, failed}}
+ */
+const syncFiles = async (options = {}) => {
+  try {
+    quarantineService.resolveInvalidRowMode(options.invalidRows, 'quarantine');
+    const available = (await localDataService.getAvailableDataFiles()).map(file => file.filename);
+    let files = available;
+    if (options.files && options.files.length > 0) {
+      const unknown = options.files.filter(file => !available.includes(file));
+      if (unknown.length > 0) {
+        throw createError(`数据文件不存在: ${unknown.join(', ')}`, 404);
+      }
+      files = [...new Set(options.files)];
+    }
+
+    const results = [];
+    for (const filename of files) {
+      try {
+        results.push(await syncFile(filename, options));
+      } catch (error) {
+        results.push({ filename, status: 'failed', message: error.message, ...(error.data || {}) });
+      }
+    }
+
+    const summary = { total: results.length, created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+    results.forEach(result => {
+      summary[result.status]++;
+    });
+    return { results, summary };
+  } catch (error) {
+    console.error('同步本地数据错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取已同步文件与数据ID的对应关系
+ * @returns {Promise<Object>} 文件名 -> 数据ID（已删除的数据不包含在内）
+ */
+const getImportedDataIds = async () => {
+  try {
+    const rows = await query(
+      `SELECT i.filename, i.data_id
+       FROM local_data_imports i
+       JOIN data d ON i.data_id = d.id
+       WHERE d.status != 'deleted'`
+    );
+    const dataIds = {};
+    rows.forEach(row => {
+      dataIds[row.filename] = row.data_id;
+    });
+    return dataIds;
+  } catch (error) {
+    console.error('获取本地数据同步记录错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取各数据文件的同步状态
+ * @returns {Promise<Array>} [{filename, name, synced, dataId, dataStatus, recordCount, importedAt, changed}]
+ */
+const getSyncStatus = async () => {
+  try {
+    const files = await localDataService.getAvailableDataFiles();
+    const rows = await query(
+      `SELECT i.filename, i.data_id, i.file_hash, i.record_count, i.updated_at, d.status
+       FROM local_data_imports i
+       LEFT JOIN data d ON i.data_id = d.id`
+    );
+    const importsByFile = new Map(rows.map(row => [row.filename, row]));
+
+    const status = [];
+    for (const file of files) {
+      const imported = importsByFile.get(file.filename);
+      const content = await fs.readFile(file.path).catch(() => null);
+      const hash = content ? crypto.createHash('sha256').update(content).digest('hex') : null;
+      status.push({
+        filename: file.filename,
+        name: file.name,
+        synced: !!imported,
+        dataId: imported ? imported.data_id : null,
+        dataStatus: imported ? imported.status : null,
+        recordCount: imported ? imported.record_count : 0,
+        importedAt: imported ? imported.updated_at : null,
+        changed: !imported || imported.file_hash !== hash
+      });
+    }
+    return status;
+  } catch (error) {
+    console.error('获取本地数据同步状态错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  syncFile,
+  syncFiles,
+  getImportedDataIds,
+  getSyncStatus
+};
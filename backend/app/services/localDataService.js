@@ -4,6 +4,8 @@
  */
 const fs = require('fs').promises;
 const path = require('path');
+const anomalyDetection = require('./anomalyDetection');
+const dataQuality = require('./dataQuality');
 
 // 数据文件目录
 const DATA_DIR = path.join(__dirname, '../../data/entries');
@@ -28,12 +30,15 @@ const getAvailableDataFiles = async () => {
   }
 };
 
+// 已提示过无效条目的文件（文件名:无效条数），每个文件只提示一次
+const warnedFiles = new Set();
+
 /**
- * 读取 JSON 数据文件
+ * 读取 JSON 数据文件（不做校验，用于质量报告和异常值检测）
  * @param {string} filename - 文件名（如：市州农林牧渔业增加值信息.json）
  * @returns {Promise<Array>} 数据数组
  */
-const loadDataFile = async (filename) => {
+const readDataFile = async (filename) => {
   try {
     const filePath = path.join(DATA_DIR, filename);
     const fileContent = await fs.readFile(filePath, 'utf8');
@@ -47,6 +52,48 @@ const loadDataFile = async (filename) => {
   }
 };
 
+/**
+ * 读取 JSON 数据文件并按数据集规则校验，只返回有效条目（用于统计、查询、预测和分析）
+ * 缺失、数值无效、超出范围、未知地区和重复的条目不返回，详见质量报告
+ * @param {string} filename - 文件名（如：市州农林牧渔业增加值信息.json）
+ * @returns {Promise<Array>} 有效的数据数组
+ */
+const loadDataFile = async (filename) => {
+  const data = await readDataFile(filename);
+  const { valid, invalid } = dataQuality.validateEntries(data, dataQuality.getSchema(filename));
+  const warnKey = `${filename}:${invalid.length}`;
+  if (invalid.length > 0 && !warnedFiles.has(warnKey)) {
+    warnedFiles.add(warnKey);
+    console.warn(`⚠️  数据文件 [${filename}] 中有 ${invalid.length} 条无效条目，不参与统计和预测（详见数据质量报告）`);
+  }
+  return valid;
+};
+
+/**
+ * 获取数据文件的质量报告
+ * @param {string} filename - 文件名
+ * @returns {Promise<Object>} 质量报告，见 dataQuality.buildQualityReport
+ */
+const getQualityReport = async (filename) => {
+  try {
+    const files = await getAvailableDataFiles();
+    if (!files.some(file => file.filename === filename)) {
+      const error = new Error(`数据文件不存在: ${filename}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const data = await readDataFile(filename);
+    return {
+      filename,
+      ...dataQuality.buildQualityReport(data, dataQuality.getSchema(filename))
+    };
+  } catch (error) {
+    console.error(`获取数据质量报告失败 [${filename}]:`, error);
+    throw error;
+  }
+};
+
 /**
  * 检测时间格式类型
  * @param {Array} timeValues - 时间值数组
@@ -202,8 +249,8 @@ const queryData = async (filename, filters = {}, pagination = {}) => {
 /**
  * 获取用于预测的时间序列数据
  * @param {string} filename - 文件名
- * @param {Object} options - 选项
- * @returns {Promise<Array>} 时间序列数据
+ * @param {Object} options - 选项 {area, indicator, startTime, endTime, raw: 为 true 时不按数据集规则过滤（异常值检测）}
+ * @returns {Promise<Array>} 时间序列数据（数值无法解析的条目不返回）
  */
 const getTimeSeriesData = async (filename, options = {}) => {
   try {
@@ -211,10 +258,11 @@ const getTimeSeriesData = async (filename, options = {}) => {
       area = null,
       indicator = null,
       startTime = null,
-      endTime = null
+      endTime = null,
+      raw = false
     } = options;
     
-    const data = await loadDataFile(filename);
+    const data = raw ? await readDataFile(filename) : await loadDataFile(filename);
     
     // 筛选数据
     let filteredData = data.filter(item => {
@@ -235,13 +283,15 @@ const getTimeSeriesData = async (filename, options = {}) => {
     filteredData.sort((a, b) => (a.repp || 0) - (b.repp || 0));
     
     // 转换为时间序列格式
-    return filteredData.map(item => ({
+    return filteredData.filter(item => Number.isFinite(parseFloat(item.data2))).map(item => ({
       time: item.repp,
-      value: parseFloat(item.data2) || 0,
+      value: parseFloat(item.data2),
       indicator: item.data_name,
       area: item.area,
       dataType: item.data_type,
-      date: item.data_up_time
+      date: item.data_up_time,
+      status: item.data_up_status,
+      rawValue: item.data2
     }));
   } catch (error) {
     console.error(`获取时间序列数据失败 [${filename}]:`, error);
@@ -249,11 +299,61 @@ const getTimeSeriesData = async (filename, options = {}) => {
   }
 };
 
+/**
+ * 检测数据文件中的异常值
+ * 按指标和地区分组，逐条序列检测；读取文件中的全部条目，超出取值范围等无效条目同样参与检测
+ * @param {string} filename - 文件名
+ * @param {Object} options - 选项 {area, indicator, startTime, endTime, threshold}
+ * @returns {Promise<Object>} {filename, total, anomalyCount, series: [{indicator, area, method, total, anomalies}]}
+ */
+const getAnomalies = async (filename, options = {}) => {
+  try {
+    const { threshold = null, ...filters } = options;
+    const data = await getTimeSeriesData(filename, { ...filters, raw: true });
+
+    // 按指标和地区分组
+    const groups = new Map();
+    data.forEach(item => {
+      const key = `${item.indicator}||${item.area}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(item);
+    });
+
+    const series = [];
+    groups.forEach(items => {
+      const result = anomalyDetection.detectAnomalies(items, {
+        threshold,
+        indicator: items[0].indicator
+      });
+      series.push({
+        indicator: items[0].indicator,
+        area: items[0].area,
+        ...result
+      });
+    });
+
+    return {
+      filename,
+      total: data.length,
+      anomalyCount: series.reduce((sum, item) => sum + item.anomalies.length, 0),
+      series
+    };
+  } catch (error) {
+    console.error(`检测异常值失败 [${filename}]:`, error);
+    throw error;
+  }
+};
+
 module.exports = {
   getAvailableDataFiles,
+  readDataFile,
   loadDataFile,
+  getQualityReport,
   getDataStatistics,
   queryData,
-  getTimeSeriesData
+  getTimeSeriesData,
+  getAnomalies
 };
 
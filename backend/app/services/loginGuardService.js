@@ -0,0 +1,180 @@
+/**
+ * 登录防暴力破解服务
+ * 按用户名和IP分别统计连续登录失败次数（login_locks 表）
+ * 连续失败后下次登录需等待的时间逐次加倍，达到上限后临时锁定；失败次数达到阈值后要求验证码
+ */
+const { query } = require('../../config/database');
+const settingsService = require('./settingsService');
+
+// 渐进延迟：第 2 次失败起分别等待 1、2、4… 秒，最多 60 秒
+const MAX_DELAY = 60;
+
+/**
+ * 用户名统一转为小写（users 表的用户名比较不区分大小写）
+ */
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase().substring(0, 100);
+
+/**
+ * 失败 n 次后需要等待的秒数
+ */
+const getDelaySeconds = (failedCount) => {
+  return failedCount < 2 ? 0 : Math.min(Math.pow(2, failedCount - 2), MAX_DELAY);
+};
+
+/**
+ * 计算单条计数记录的当前状态
+ * @returns {Object} {failedCount, locked, retryAfter: 需等待的秒数}
+ */
+const evaluate = (row, now) => {
+  if (!row) {
+    return { failedCount: 0, locked: false, retryAfter: 0 };
+  }
+
+  const lockedUntil = row.locked_until ? new Date(row.locked_until).getTime() : 0;
+  if (lockedUntil > now) {
+    return { failedCount: row.failed_count, locked: true, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+  }
+
+  // 锁定已到期，或超过锁定时间没有新的失败，计数视为清零
+  const lastFailedAt = new Date(row.last_failed_at).getTime();
+  if (lockedUntil || now - lastFailedAt >= settingsService.get('loginLockMinutes') * 60 * 1000) {
+    return { failedCount: 0, locked: false, retryAfter: 0 };
+  }
+
+  const wait = lastFailedAt + getDelaySeconds(row.failed_count) * 1000 - now;
+  return { failedCount: row.failed_count, locked: false, retryAfter: wait > 0 ? Math.ceil(wait / 1000) : 0 };
+};
+
+/**
+ * 获取登录限制状态
+ * @param {string} username - 用户名
+ * @param {string} ip - 客户端IP
+ * @returns {Promise<Object>} {locked, lockScope: username | ip, retryAfter, captchaRequired, remainingAttempts}
+ */
+const getLoginState = async (username, ip) => {
+  try {
+    const rows = await query(
+      `SELECT * FROM login_locks
+      WHERE (scope = 'username' AND identifier = ?) OR (scope = 'ip' AND identifier = ?)`,
+      [normalizeUsername(username), ip || '']
+    );
+
+    const now = Date.now();
+    const byUsername = evaluate(rows.find(row => row.scope === 'username'), now);
+    const byIp = evaluate(rows.find(row => row.scope === 'ip'), now);
+    const captchaThreshold = settingsService.get('loginCaptchaThreshold');
+
+    return {
+      locked: byUsername.locked || byIp.locked,
+      lockScope: byUsername.locked ? 'username' : (byIp.locked ? 'ip' : null),
+      retryAfter: Math.max(byUsername.retryAfter, byIp.retryAfter),
+      captchaRequired: captchaThreshold > 0 && Math.max(byUsername.failedCount, byIp.failedCount) >= captchaThreshold,
+      remainingAttempts: Math.max(0, settingsService.get('loginMaxAttempts') - byUsername.failedCount)
+    };
+  } catch (error) {
+    console.error('获取登录限制状态错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 累加一个维度的失败次数，达到上限时锁定
+ * 锁定已到期或超过锁定时间没有新的失败时从 1 重新计数
+ */
+const increaseFailure = (scope, identifier, maxAttempts, lockMinutes) => {
+  return query(
+    `INSERT INTO login_locks (scope, identifier, failed_count, last_failed_at, locked_until)
+    VALUES (?, ?, 1, NOW(), IF(1 >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NULL))
+    ON DUPLICATE KEY UPDATE
+      failed_count = IF(locked_until <= NOW() OR last_failed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE), 1, failed_count + 1),
+      locked_until = IF(failed_count >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NULL),
+      last_failed_at = NOW()`,
+    [scope, identifier, maxAttempts, lockMinutes, lockMinutes, maxAttempts, lockMinutes]
+  );
+};
+
+/**
+ * 记录一次登录失败
+ * @param {string} username - 用户名（不存在的用户名同样计数，避免泄露用户是否存在）
+ * @param {string} ip - 客户端IP
+ * @returns {Promise<Object>} 记录后的登录限制状态（同 getLoginState）
+ */
+const recordFailure = async (username, ip) => {
+  try {
+    const lockMinutes = settingsService.get('loginLockMinutes');
+    const identifier = normalizeUsername(username);
+    if (identifier) {
+      await increaseFailure('username', identifier, settingsService.get('loginMaxAttempts'), lockMinutes);
+    }
+    if (ip) {
+      await increaseFailure('ip', ip, settingsService.get('loginIpMaxAttempts'), lockMinutes);
+    }
+    return await getLoginState(username, ip);
+  } catch (error) {
+    console.error('记录登录失败错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 登录成功后清除该用户名的失败计数（IP 计数按时间自然过期）
+ * @param {string} username - 用户名
+ */
+const recordSuccess = async (username) => {
+  try {
+    await query(
+      "DELETE FROM login_locks WHERE scope = 'username' AND identifier = ?",
+      [normalizeUsername(username)]
+    );
+  } catch (error) {
+    console.error('清除登录失败计数错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 解除用户锁定（管理员）
+ * @param {string} username - 用户名
+ * @returns {Promise<boolean>} 解锁前是否处于锁定状态
+ */
+const unlockUser = async (username) => {
+  try {
+    const identifier = normalizeUsername(username);
+    const rows = await query(
+      "SELECT locked_until FROM login_locks WHERE scope = 'username' AND identifier = ? AND locked_until > NOW()",
+      [identifier]
+    );
+    await query("DELETE FROM login_locks WHERE scope = 'username' AND identifier = ?", [identifier]);
+    return rows.length > 0;
+  } catch (error) {
+    console.error('解除用户锁定错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 清理已过期的失败计数
+ * @returns {Promise<number>} 删除的记录数
+ */
+const cleanupLoginLocks = async () => {
+  try {
+    const result = await query(
+      `DELETE FROM login_locks
+      WHERE last_failed_at < DATE_SUB(NOW(), INTERVAL 1 DAY)
+        AND (locked_until IS NULL OR locked_until < NOW())`
+    );
+    return result.affectedRows;
+  } catch (error) {
+    console.error('清理登录失败计数错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  normalizeUsername,
+  getLoginState,
+  recordFailure,
+  recordSuccess,
+  unlockUser,
+  cleanupLoginLocks
+};
@@ -157,11 +157,106 @@ const backtest = (historicalData, modelFunction, testSize = 0.2) => {
         rmse: calculateRMSE(actual, predicted),
         mape: calculateMAPE(actual, predicted),
         r2: calculateR2(actual, predicted),
+        times: testData.map(d => d.time),
         actual: actual,
         predicted: predicted
     };
 };
 
+/**
+ * 滚动原点交叉验证（Walk-forward）
+ * 依次以不同时间点为预测原点，用原点之前的数据训练模型并预测之后horizon期
+ * @param {Array} historicalData - 完整历史数据 [{time, value}, ...]
+ * @param {Function} modelFunction - 模型函数 (data, periods) => predictions
+ * @param {Object} options - 选项 {horizon: 预测步长, minTrainSize: 最小训练集长度, step: 原点移动步长, maxFolds: 最大折数}
+ * @returns {Object} {folds, summary, byHorizon}
+ */
+const rollingOriginCV = (historicalData, modelFunction, options = {}) => {
+    const n = historicalData ? historicalData.length : 0;
+    const horizon = Math.max(1, options.horizon || 1);
+    const minTrainSize = Math.max(2, options.minTrainSize || Math.floor(n * 0.5));
+    const step = Math.max(1, options.step || 1);
+    const maxFolds = Math.max(1, options.maxFolds || 10);
+    
+    if (n < minTrainSize + 1) {
+        throw new Error(`交叉验证至少需要${minTrainSize + 1}个数据点`);
+    }
+    
+    // 生成预测原点，折数过多时保留最近的maxFolds个
+    let origins = [];
+    for (let origin = minTrainSize; origin < n; origin += step) {
+        origins.push(origin);
+    }
+    if (origins.length > maxFolds) {
+        origins = origins.slice(origins.length - maxFolds);
+    }
+    
+    const folds = [];
+    const allActual = [];
+    const allPredicted = [];
+    const horizonErrors = Array.from({ length: horizon }, () => ({ actual: [], predicted: [] }));
+    
+    origins.forEach((origin, index) => {
+        const trainData = historicalData.slice(0, origin);
+        const testData = historicalData.slice(origin, origin + horizon);
+        const fold = {
+            fold: index + 1,
+            trainSize: trainData.length,
+            trainEnd: trainData[trainData.length - 1].time,
+            testStart: testData[0].time,
+            testEnd: testData[testData.length - 1].time
+        };
+        
+        try {
+            const actual = testData.map(d => d.value);
+            const predicted = modelFunction(trainData, testData.length).slice(0, testData.length);
+            
+            actual.forEach((value, h) => {
+                horizonErrors[h].actual.push(value);
+                horizonErrors[h].predicted.push(predicted[h]);
+            });
+            allActual.push(...actual);
+            allPredicted.push(...predicted);
+            
+            folds.push({
+                ...fold,
+                actual,
+                predicted,
+                mae: calculateMAE(actual, predicted),
+                rmse: calculateRMSE(actual, predicted),
+                mape: calculateMAPE(actual, predicted)
+            });
+        } catch (error) {
+            // 单折失败不影响其余折的评估
+            folds.push({ ...fold, error: error.message });
+        }
+    });
+    
+    if (allActual.length === 0) {
+        throw new Error('交叉验证所有折均失败');
+    }
+    
+    return {
+        folds,
+        summary: {
+            folds: folds.filter(f => !f.error).length,
+            mae: calculateMAE(allActual, allPredicted),
+            rmse: calculateRMSE(allActual, allPredicted),
+            mape: calculateMAPE(allActual, allPredicted)
+        },
+        byHorizon: horizonErrors
+            .map((errors, h) => ({ horizon: h + 1, ...errors }))
+            .filter(item => item.actual.length > 0)
+            .map(item => ({
+                horizon: item.horizon,
+                count: item.actual.length,
+                mae: calculateMAE(item.actual, item.predicted),
+                rmse: calculateRMSE(item.actual, item.predicted),
+                mape: calculateMAPE(item.actual, item.predicted)
+            }))
+    };
+};
+
 /**
  * 计算所有评估指标
  * @param {Array} actual - 实际值数组
@@ -183,6 +278,7 @@ module.exports = {
     calculateMAPE,
     calculateR2,
     backtest,
+    rollingOriginCV,
     evaluate
 };
 
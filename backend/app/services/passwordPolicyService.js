@@ -0,0 +1,151 @@
+/**
+ * 密码策略服务
+ * 策略参数（最小长度、字符类型、历史密码数、有效期）来自系统设置，修改后立即生效
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query } = require('../../config/database');
+const settingsService = require('./settingsService');
+
+// 密码最大长度（bcrypt 只使用前 72 字节）
+const MAX_LENGTH = 64;
+
+// 字符类型
+const CHARACTER_CLASSES = [
+  { name: '大写字母', pattern: /[A-Z]/, chars: 'ABCDEFGHJKLMNPQRSTUVWXYZ' },
+  { name: '小写字母', pattern: /[a-z]/, chars: 'abcdefghijkmnpqrstuvwxyz' },
+  { name: '数字', pattern: /\d/, chars: '23456789' },
+  { name: '特殊字符', pattern: /[^A-Za-z0-9]/, chars: '!@#$%^&*-_=+?' }
+];
+
+/**
+ * 获取当前密码策略
+ * @returns {Object} {minLength, maxLength, requiredClasses, historyCount, expiryDays, description}
+ */
+const getPolicy = () => {
+  const minLength = settingsService.get('passwordMinLength');
+  const requiredClasses = settingsService.get('passwordRequiredClasses');
+  const historyCount = settingsService.get('passwordHistoryCount');
+  const expiryDays = settingsService.get('passwordExpiryDays');
+
+  const rules = [
+    `长度${minLength}-${MAX_LENGTH}位`,
+    requiredClasses > 1
+      ? `至少包含大写字母、小写字母、数字、特殊字符中的${requiredClasses}类`
+      : null,
+    '不能包含用户名',
+    historyCount > 0 ? `不能与最近${historyCount}次使用过的密码相同` : null,
+    expiryDays > 0 ? `每${expiryDays}天需修改一次` : null
+  ].filter(Boolean);
+
+  return {
+    minLength,
+    maxLength: MAX_LENGTH,
+    requiredClasses,
+    historyCount,
+    expiryDays,
+    description: `密码${rules.join('，')}`
+  };
+};
+
+/**
+ * 校验密码是否符合策略
+ * @param {string} password - 密码
+ * @param {Object} context - {username}
+ * @returns {string|null} 错误信息
+ */
+const validatePassword = (password, context = {}) => {
+  const policy = getPolicy();
+  if (typeof password !== 'string' || password.length < policy.minLength || password.length > policy.maxLength) {
+    return `密码长度必须在${policy.minLength}-${policy.maxLength}位之间`;
+  }
+
+  const matchedClasses = CHARACTER_CLASSES.filter(item => item.pattern.test(password)).length;
+  if (matchedClasses < policy.requiredClasses) {
+    return `密码至少需要包含大写字母、小写字母、数字、特殊字符中的${policy.requiredClasses}类`;
+  }
+
+  const username = context.username ? String(context.username).toLowerCase() : '';
+  if (username && password.toLowerCase().includes(username)) {
+    return '密码不能包含用户名';
+  }
+
+  return null;
+};
+
+/**
+ * 检查密码是否与当前密码或最近使用过的密码相同
+ * @param {number} userId - 用户ID
+ * @param {string} password - 新密码（明文）
+ * @returns {Promise<boolean>} 是否重复使用
+ */
+const isPasswordReused = async (userId, password) => {
+  try {
+    const historyCount = settingsService.get('passwordHistoryCount');
+    if (historyCount === 0) {
+      return false;
+    }
+
+    const rows = await query(
+      `SELECT password AS password_hash FROM users WHERE id = ?
+      UNION ALL
+      (SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?)`,
+      [userId, userId, historyCount]
+    );
+    for (const row of rows) {
+      if (await bcrypt.compare(password, row.password_hash)) {
+        return true;
+      }
+    }
+    return false;
+  } catch (error) {
+    console.error('检查历史密码错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 判断用户是否必须修改密码
+ * @param {Object} user - 用户记录 {must_change_password, password_changed_at, created_at}
+ * @returns {Object} {required, reason: initial | expired | null, expiresAt}
+ */
+const getPasswordStatus = (user) => {
+  const expiryDays = settingsService.get('passwordExpiryDays');
+  const changedAt = user.password_changed_at || user.created_at;
+  const expiresAt = expiryDays > 0 && changedAt
+    ? new Date(new Date(changedAt).getTime() + expiryDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  if (user.must_change_password) {
+    return { required: true, reason: 'initial', expiresAt };
+  }
+  if (expiresAt && expiresAt.getTime() <= Date.now()) {
+    return { required: true, reason: 'expired', expiresAt };
+  }
+  return { required: false, reason: null, expiresAt };
+};
+
+/**
+ * 生成符合当前策略的随机临时密码（至少12位，包含所要求数量的字符类型）
+ * @param {string} username - 用户名（生成的密码不包含用户名）
+ */
+const generatePassword = (username = '') => {
+  const { minLength, requiredClasses } = getPolicy();
+  const length = Math.max(12, minLength);
+  const classes = CHARACTER_CLASSES.slice(0, Math.max(3, requiredClasses));
+  const chars = classes.map(item => item.chars).join('');
+
+  let password;
+  do {
+    password = Array.from({ length }, () => chars[crypto.randomInt(chars.length)]).join('');
+  } while (!classes.every(item => item.pattern.test(password)) || validatePassword(password, { username }));
+  return password;
+};
+
+module.exports = {
+  getPolicy,
+  validatePassword,
+  isPasswordReused,
+  getPasswordStatus,
+  generatePassword
+};
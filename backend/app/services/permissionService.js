@@ -0,0 +1,196 @@
+/**
+ * 权限服务
+ * 权限点在 PERMISSIONS 中登记，角色与权限的对应关系保存在 role_permissions 表，管理员可在系统管理中修改
+ * 权限缓存在内存中，hasPermission() 同步读取，修改后立即生效；管理员角色始终拥有全部权限
+ */
+const { query } = require('../../config/database');
+
+/**
+ * 权限点登记表
+ * 新增需要控制访问的功能时，在这里登记权限点，并在路由上使用 requirePermission
+ */
+const PERMISSIONS = {
+  'data:view': { label: '查看数据', group: 'data', description: '数据查询、详情、统计和本地数据分析' },
+  'data:manage': { label: '管理数据', group: 'data', description: '数据列表、创建数据，修改和删除他人上传的数据' },
+  'data:approve': { label: '审核数据', group: 'data' },
+  'export:csv': { label: '导出数据', group: 'data', description: '导出数据和预测结果文件' },
+  'prediction:run': { label: '数据预测', group: 'decision', description: '执行预测、模型比较、预测历史和情景管理' },
+  'analysis:run': { label: 'AI分析', group: 'decision', description: '大模型分析与季节分解' },
+  'user:manage': { label: '用户管理', group: 'admin' },
+  'system:logs': { label: '查看系统日志', group: 'admin', description: '查看和导出系统日志' },
+  'system:manage': { label: '系统管理', group: 'admin', description: '系统状态、系统设置和角色权限配置' }
+};
+
+// 拥有全部权限且不可修改的角色
+const SUPER_ROLE = 'admin';
+
+/**
+ * 默认角色权限（数据库中没有配置时使用）
+ * 预测和AI分析按需求只开放给决策用户
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  decision_user: ['data:view', 'export:csv', 'prediction:run', 'analysis:run'],
+  normal_user: ['data:view', 'export:csv']
+};
+
+// 可配置的角色
+const CONFIGURABLE_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// 数据库中的角色权限缓存 role -> {permissions, updatedBy, updatedAt}
+const cache = new Map();
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 从数据库加载角色权限到缓存（服务启动时调用）
+ * 未登记的权限点会被忽略
+ */
+const loadPermissions = async () => {
+  try {
+    const rows = await query('SELECT role, permissions, updated_by, updated_at FROM role_permissions');
+    cache.clear();
+    rows.forEach(row => {
+      if (!CONFIGURABLE_ROLES.includes(row.role)) {
+        return;
+      }
+      try {
+        const permissions = JSON.parse(row.permissions);
+        cache.set(row.role, {
+          permissions: Array.isArray(permissions) ? permissions.filter(key => PERMISSIONS[key]) : [],
+          updatedBy: row.updated_by,
+          updatedAt: row.updated_at
+        });
+      } catch (error) {
+        console.warn(`⚠️  角色 ${row.role} 的权限配置无效，使用默认权限:`, error.message);
+      }
+    });
+    return cache.size;
+  } catch (error) {
+    console.error('加载角色权限错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取角色拥有的权限
+ * @param {string} role - 角色
+ * @returns {Array<string>} 权限点列表
+ */
+const getRolePermissions = (role) => {
+  if (role === SUPER_ROLE) {
+    return Object.keys(PERMISSIONS);
+  }
+  if (cache.has(role)) {
+    return cache.get(role).permissions;
+  }
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * 检查角色是否拥有权限
+ * @param {string} role - 角色
+ * @param {string} permission - 权限点
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  return getRolePermissions(role).includes(permission);
+};
+
+/**
+ * 获取权限配置（权限点登记表和各角色的权限）
+ * @returns {Object} {permissions: [{key, label, group, description}], roles: [{role, permissions, editable, isDefault, updatedBy, updatedAt}]}
+ */
+const getPermissionConfig = () => {
+  return {
+    permissions: Object.keys(PERMISSIONS).map(key => ({ key, ...PERMISSIONS[key] })),
+    roles: [SUPER_ROLE, ...CONFIGURABLE_ROLES].map(role => {
+      const stored = cache.get(role);
+      return {
+        role,
+        permissions: getRolePermissions(role),
+        editable: role !== SUPER_ROLE,
+        isDefault: role !== SUPER_ROLE && !stored,
+        updatedBy: stored ? stored.updatedBy : null,
+        updatedAt: stored ? stored.updatedAt : null
+      };
+    })
+  };
+};
+
+/**
+ * 修改角色权限
+ * @param {string} role - 角色（管理员角色不可修改）
+ * @param {Array<string>} permissions - 权限点列表
+ * @param {number} userId - 修改人
+ * @returns {Promise<Object>} {role, oldPermissions, newPermissions}
+ */
+const updateRolePermissions = async (role, permissions, userId) => {
+  try {
+    if (role === SUPER_ROLE) {
+      throw createError('管理员角色始终拥有全部权限，不能修改', 400);
+    }
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      throw createError(`角色可选值: ${CONFIGURABLE_ROLES.join(', ')}`, 400);
+    }
+    if (!Array.isArray(permissions)) {
+      throw createError('权限必须是数组', 400);
+    }
+    const unknown = permissions.filter(key => !PERMISSIONS[key]);
+    if (unknown.length > 0) {
+      throw createError(`未知的权限: ${unknown.join(', ')}`, 400);
+    }
+
+    // 按登记顺序去重保存
+    const newPermissions = Object.keys(PERMISSIONS).filter(key => permissions.includes(key));
+    const oldPermissions = getRolePermissions(role);
+
+    await query(
+      `INSERT INTO role_permissions (role, permissions, updated_by)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE permissions = VALUES(permissions), updated_by = VALUES(updated_by)`,
+      [role, JSON.stringify(newPermissions), userId]
+    );
+    cache.set(role, { permissions: newPermissions, updatedBy: userId, updatedAt: new Date() });
+
+    return { role, oldPermissions, newPermissions };
+  } catch (error) {
+    console.error('修改角色权限错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 恢复角色的默认权限
+ * @param {string} role - 角色
+ * @returns {Promise<Array<string>>} 默认权限
+ */
+const resetRolePermissions = async (role) => {
+  try {
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      throw createError(`角色可选值: ${CONFIGURABLE_ROLES.join(', ')}`, 400);
+    }
+    await query('DELETE FROM role_permissions WHERE role = ?', [role]);
+    cache.delete(role);
+    return getRolePermissions(role);
+  } catch (error) {
+    console.error('恢复默认权限错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  loadPermissions,
+  getRolePermissions,
+  hasPermission,
+  getPermissionConfig,
+  updateRolePermissions,
+  resetRolePermissions
+};
@@ -0,0 +1,268 @@
+/**
+ * 预测历史服务
+ * 将预测运行记录持久化到 predictions 表，支持查询、删除和重新运行
+ */
+const { query } = require('../../config/database');
+
+/**
+ * 解析 JSON 字段（兼容驱动返回字符串或对象）
+ */
+const parseJSON = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.error('解析 JSON 字段失败:', e);
+    return null;
+  }
+};
+
+/**
+ * 格式化预测记录
+ */
+const formatRecord = (row, includeResult = false) => {
+  const record = {
+    id: row.id,
+    userId: row.user_id,
+    username: row.username,
+    title: row.title,
+    model: row.model_type,
+    parameters: parseJSON(row.parameters),
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+  if (includeResult) {
+    record.result = parseJSON(row.result);
+  }
+
+  return record;
+};
+
+/**
+ * 保存预测记录
+ * @param {number} userId - 用户ID
+ * @param {Object} run - 预测运行信息 {title, model, parameters, result, status}
+ * @returns {Promise<number>} 预测记录ID
+ */
+const savePrediction = async (userId, run) => {
+  try {
+    const { title, model, parameters, result, status = 'completed' } = run;
+
+    const insertResult = await query(
+      `INSERT INTO predictions (user_id, title, data_id, model_type, parameters, result, status)
+       VALUES (?, ?, NULL, ?, ?, ?, ?)`,
+      [
+        userId,
+        title,
+        model,
+        JSON.stringify(parameters || {}),
+        result ? JSON.stringify(result) : null,
+        status
+      ]
+    );
+
+    return insertResult.insertId;
+  } catch (error) {
+    console.error('保存预测记录错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取预测历史列表（支持分页和筛选）
+ * @param {number} userId - 用户ID
+ * @param {string} userRole - 用户角色（管理员可查看所有用户的记录）
+ * @param {Object} filters - 筛选条件 {filename, area, indicator, model, allUsers}
+ * @param {Object} pagination - 分页参数 {page, pageSize}
+ */
+const getHistoryList = async (userId, userRole, filters = {}, pagination = {}) => {
+  try {
+    const { filename, area, indicator, model, allUsers } = filters;
+    const { page = 1, pageSize = 20 } = pagination;
+
+    const whereConditions = [];
+    const params = [];
+
+    if (!(userRole === 'admin' && allUsers)) {
+      whereConditions.push('p.user_id = ?');
+      params.push(userId);
+    }
+
+    if (filename) {
+      whereConditions.push('JSON_UNQUOTE(JSON_EXTRACT(p.parameters, "$.filename")) = ?');
+      params.push(filename);
+    }
+
+    if (area) {
+      whereConditions.push('JSON_UNQUOTE(JSON_EXTRACT(p.parameters, "$.area")) = ?');
+      params.push(area);
+    }
+
+    if (indicator) {
+      whereConditions.push('JSON_UNQUOTE(JSON_EXTRACT(p.parameters, "$.indicator")) = ?');
+      params.push(indicator);
+    }
+
+    if (model) {
+      whereConditions.push('p.model_type = ?');
+      params.push(model);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM predictions p ${whereClause}`,
+      params
+    );
+    const total = countResult[0]?.total || 0;
+
+    const offset = (page - 1) * pageSize;
+    const rows = await query(
+      `SELECT
+        p.id,
+        p.user_id,
+        u.username,
+        p.title,
+        p.model_type,
+        p.parameters,
+        p.status,
+        p.created_at,
+        p.updated_at
+      FROM predictions p
+      LEFT JOIN users u ON p.user_id = u.id
+      ${whereClause}
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, parseInt(pageSize), parseInt(offset)]
+    );
+
+    return {
+      list: rows.map(row => formatRecord(row)),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    };
+  } catch (error) {
+    console.error('获取预测历史错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取单条预测记录（包含结果）
+ * @param {number} id - 预测记录ID
+ * @param {number} userId - 用户ID
+ * @param {string} userRole - 用户角色
+ * @returns {Promise<Object|null>} 预测记录
+ */
+const getHistoryById = async (id, userId, userRole) => {
+  try {
+    const rows = await query(
+      `SELECT
+        p.*,
+        u.username
+      FROM predictions p
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE p.id = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const row = rows[0];
+    if (userRole !== 'admin' && row.user_id !== userId) {
+      throw new Error('无权限查看此预测记录');
+    }
+
+    return formatRecord(row, true);
+  } catch (error) {
+    console.error('获取预测记录错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 删除预测记录
+ * @param {number} id - 预测记录ID
+ * @param {number} userId - 用户ID
+ * @param {string} userRole - 用户角色
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+const deleteHistory = async (id, userId, userRole) => {
+  try {
+    const rows = await query('SELECT id, user_id FROM predictions WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return false;
+    }
+
+    if (userRole !== 'admin' && rows[0].user_id !== userId) {
+      throw new Error('无权限删除此预测记录');
+    }
+
+    const result = await query('DELETE FROM predictions WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('删除预测记录错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 更新预测任务状态
+ * @param {number} id - 预测记录ID
+ * @param {string} status - 任务状态（pending/running/completed/failed）
+ * @param {Object} result - 预测结果或错误信息（可选）
+ */
+const updatePredictionStatus = async (id, status, result = undefined) => {
+  try {
+    if (result === undefined) {
+      await query('UPDATE predictions SET status = ? WHERE id = ?', [status, id]);
+    } else {
+      await query(
+        'UPDATE predictions SET status = ?, result = ? WHERE id = ?',
+        [status, result ? JSON.stringify(result) : null, id]
+      );
+    }
+  } catch (error) {
+    console.error('更新预测任务状态错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 将未完成的预测任务标记为失败（服务重启后任务无法继续执行）
+ * @returns {Promise<number>} 受影响的任务数
+ */
+const failInterruptedJobs = async () => {
+  try {
+    const result = await query(
+      `UPDATE predictions SET status = 'failed', result = ?
+       WHERE status IN ('pending', 'running')`,
+      [JSON.stringify({ error: '服务重启，任务已中断' })]
+    );
+    return result.affectedRows;
+  } catch (error) {
+    console.error('标记中断的预测任务错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  savePrediction,
+  updatePredictionStatus,
+  failInterruptedJobs,
+  getHistoryList,
+  getHistoryById,
+  deleteHistory
+};
@@ -0,0 +1,295 @@
+/**
+ * 预测任务队列
+ * 进程内任务队列 + 工作线程池，任务状态持久化到 predictions 表
+ * 排队任务总数和每个用户未完成的任务数有上限，超出时拒绝提交（429）
+ * 批量预测（runBatch）也在工作线程池中执行并占用同样的名额，但不保存任务记录，结果直接返回给请求
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../../config/config');
+const predictionHistoryService = require('./predictionHistoryService');
+
+const WORKER_FILE = path.join(__dirname, 'predictionWorker.js');
+
+// 等待执行的任务：异步预测任务 {id, userId, params}，批量预测 {userId, task: 'batch', params, resolve, reject}
+const pendingQueue = [];
+
+// 运行中任务的进度信息 {jobId: {progress, stage}}
+const jobProgress = new Map();
+
+// 当前运行中的工作线程数
+let activeWorkers = 0;
+
+// 已通过检查、正在保存的任务数（计入排队上限）
+let submitting = 0;
+
+// 每个用户未完成（保存中、排队、运行中）的任务数 {userId: count}
+const userJobCounts = new Map();
+
+/**
+ * 调整用户未完成的任务数
+ */
+const changeUserJobCount = (userId, delta) => {
+  const count = (userJobCounts.get(userId) || 0) + delta;
+  if (count > 0) {
+    userJobCounts.set(userId, count);
+  } else {
+    userJobCounts.delete(userId);
+  }
+};
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 在工作线程中执行单个任务
+ * @param {Object} job - 任务 {id, task: predict（默认）| batch, params}
+ * @returns {Promise<Object>} 预测结果
+ */
+const runInWorker = (job) => {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { task: job.task || 'predict', params: job.params }
+    });
+
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    // 超时后终止工作线程
+    const timer = setTimeout(() => {
+      worker.terminate();
+      finish(reject, new Error(`预测任务超时（${config.prediction.jobTimeout}ms）`));
+    }, config.prediction.jobTimeout);
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        jobProgress.set(job.id, { progress: message.progress, stage: message.stage });
+      } else if (message.type === 'result') {
+        finish(resolve, message.result);
+      } else if (message.type === 'error') {
+        const error = new Error(message.message);
+        error.status = message.status;
+        finish(reject, error);
+      }
+    });
+
+    worker.on('error', (error) => finish(reject, error));
+
+    worker.on('exit', (code) => {
+      if (code !== 0) {
+        finish(reject, new Error(`预测工作线程异常退出（退出码 ${code}）`));
+      }
+    });
+  });
+};
+
+/**
+ * 执行任务并更新任务状态
+ */
+const processJob = async (job) => {
+  try {
+    jobProgress.set(job.id, { progress: 0, stage: '开始执行' });
+    await predictionHistoryService.updatePredictionStatus(job.id, 'running');
+
+    const result = await runInWorker(job);
+    await predictionHistoryService.updatePredictionStatus(job.id, 'completed', result);
+  } catch (error) {
+    console.error(`预测任务 ${job.id} 执行失败:`, error.message);
+    try {
+      await predictionHistoryService.updatePredictionStatus(job.id, 'failed', { error: error.message });
+    } catch (updateError) {
+      // 状态更新失败已在服务中记录
+    }
+  } finally {
+    jobProgress.delete(job.id);
+  }
+};
+
+/**
+ * 执行批量预测，结果交给等待的请求
+ */
+const processBatch = async (job) => {
+  try {
+    job.resolve(await runInWorker(job));
+  } catch (error) {
+    job.reject(error);
+  }
+};
+
+/**
+ * 从队列中取出任务并分配给空闲的工作线程
+ */
+const schedule = () => {
+  while (activeWorkers < config.prediction.workerPoolSize && pendingQueue.length > 0) {
+    const job = pendingQueue.shift();
+    activeWorkers++;
+    (job.task === 'batch' ? processBatch(job) : processJob(job)).finally(() => {
+      activeWorkers--;
+      changeUserJobCount(job.userId, -1);
+      schedule();
+    });
+  }
+};
+
+/**
+ * 检查队列和用户的任务数上限
+ * @throws {Error} 队列已满或用户未完成的任务过多时抛出 status 为 429 的错误
+ */
+const checkLimits = (userId) => {
+  const { maxQueueLength, maxJobsPerUser } = config.prediction;
+  if (pendingQueue.length + submitting >= maxQueueLength) {
+    throw createError('预测任务队列已满，请稍后再试', 429);
+  }
+  if ((userJobCounts.get(userId) || 0) >= maxJobsPerUser) {
+    throw createError(`每个用户最多同时有 ${maxJobsPerUser} 个未完成的预测任务，请等待已提交的任务完成`, 429);
+  }
+};
+
+/**
+ * 提交预测任务
+ * @param {number} userId - 用户ID
+ * @param {Object} params - 预测参数
+ * @param {string} title - 任务标题（可选）
+ * @returns {Promise<number>} 任务ID
+ * @throws {Error} 队列已满或用户未完成的任务过多时抛出 status 为 429 的错误
+ */
+const enqueue = async (userId, params, title) => {
+  checkLimits(userId);
+
+  // 保存任务前先占用名额，避免并发提交同时通过检查
+  submitting++;
+  changeUserJobCount(userId, 1);
+  let id;
+  try {
+    id = await predictionHistoryService.savePrediction(userId, {
+      title: title || `${params.area}-${params.indicator}-${params.model}预测`,
+      model: params.model,
+      parameters: params,
+      result: null,
+      status: 'pending'
+    });
+  } catch (error) {
+    changeUserJobCount(userId, -1);
+    throw error;
+  } finally {
+    submitting--;
+  }
+
+  pendingQueue.push({ id, userId, params });
+  schedule();
+
+  return id;
+};
+
+/**
+ * 在工作线程池中执行批量预测并等待结果（与异步任务共用排队和名额限制）
+ * @param {number} userId - 用户ID
+ * @param {Object} params - 批量预测参数，见 predictionService.predictBatch
+ * @returns {Promise<Object>} 批量预测结果
+ * @throws {Error} 超出名额时抛出 status 为 429 的错误；预测失败时保留原错误的 status
+ */
+const runBatch = (userId, params) => {
+  checkLimits(userId);
+  changeUserJobCount(userId, 1);
+  return new Promise((resolve, reject) => {
+    pendingQueue.push({ userId, task: 'batch', params, resolve, reject });
+    schedule();
+  });
+};
+
+/**
+ * 获取任务状态
+ * @param {number} id - 任务ID
+ * @param {number} userId - 用户ID
+ * @param {string} userRole - 用户角色
+ * @returns {Promise<Object|null>} 任务状态
+ */
+const getJob = async (id, userId, userRole) => {
+  const record = await predictionHistoryService.getHistoryById(id, userId, userRole);
+  if (!record) {
+    return null;
+  }
+
+  const jobId = record.id;
+  let progress = 0;
+  let stage = null;
+
+  switch (record.status) {
+    case 'pending': {
+      const position = pendingQueue.findIndex(job => job.id === jobId);
+      stage = position >= 0 ? `排队中（前方 ${position} 个任务）` : '排队中';
+      break;
+    }
+    case 'running': {
+      const info = jobProgress.get(jobId);
+      progress = info ? info.progress : 0;
+      stage = info ? info.stage : '执行中';
+      break;
+    }
+    case 'completed':
+      progress = 100;
+      stage = '完成';
+      break;
+    case 'failed':
+      stage = '失败';
+      break;
+  }
+
+  return {
+    id: jobId,
+    title: record.title,
+    model: record.model,
+    parameters: record.parameters,
+    status: record.status,
+    progress,
+    stage,
+    result: record.status === 'completed' ? record.result : null,
+    error: record.status === 'failed' ? (record.result && record.result.error) || '预测失败' : null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+};
+
+/**
+ * 获取队列状态
+ */
+const getQueueStats = () => ({
+  pending: pendingQueue.length,
+  running: activeWorkers,
+  poolSize: config.prediction.workerPoolSize,
+  maxQueueLength: config.prediction.maxQueueLength,
+  maxJobsPerUser: config.prediction.maxJobsPerUser
+});
+
+/**
+ * 服务启动时处理上次未完成的任务
+ */
+const recoverInterruptedJobs = async () => {
+  try {
+    const count = await predictionHistoryService.failInterruptedJobs();
+    if (count > 0) {
+      console.warn(`⚠️  ${count} 个未完成的预测任务已标记为失败`);
+    }
+  } catch (error) {
+    // 错误已在服务中记录
+  }
+};
+
+module.exports = {
+  enqueue,
+  runBatch,
+  getJob,
+  getQueueStats,
+  recoverInterruptedJobs
+};
@@ -2,6 +2,7 @@
  * 指数平滑法
  * 包括单指数平滑、双指数平滑、三指数平滑
  */
+const { detectSeasonalPeriod } = require('../seasonalDecomposition');
 
 /**
  * 单指数平滑（Simple Exponential Smoothing）
@@ -129,13 +130,17 @@ const doubleExponentialSmoothing = (data, periods, alpha = null, beta = null) =>
  * 适合有趋势和季节性的数据
  * @param {Array} data - 历史数据 [{time, value}, ...]
  * @param {number} periods - 预测周期数
- * @param {number} seasonLength - 季节长度（如12表示月度数据的年度周期）
+ * @param {number} seasonLength - 季节长度（如12表示月度数据的年度周期），默认根据数据自动检测
  * @param {number} alpha - 水平平滑参数
  * @param {number} beta - 趋势平滑参数
  * @param {number} gamma - 季节性平滑参数
  * @returns {Array} 预测值数组
  */
-const tripleExponentialSmoothing = (data, periods, seasonLength = 12, alpha = null, beta = null, gamma = null) => {
+const tripleExponentialSmoothing = (data, periods, seasonLength = null, alpha = null, beta = null, gamma = null) => {
+    seasonLength = seasonLength || detectSeasonalPeriod(data);
+    if (!seasonLength) {
+        throw new Error('三指数平滑需要季节周期，未从数据中检测到季节性，请指定 seasonLength');
+    }
     if (!data || data.length < seasonLength * 2) {
         throw new Error(`三指数平滑至少需要 ${seasonLength * 2} 个数据点（至少2个完整周期）`);
     }
@@ -174,7 +179,8 @@ const tripleExponentialSmoothing = (data, periods, seasonLength = 12, alpha = nu
     
     // 初始化水平和趋势
     let level = [values[0] / seasonal[0]];
-    let trend = [(values[seasonLength] / seasonal[seasonLength] - values[0] / seasonal[0]) / seasonLength];
+    // values[seasonLength] 与 values[0] 处于同一季节位置，季节性因子均为 seasonal[0]
+    let trend = [(values[seasonLength] / seasonal[0] - values[0] / seasonal[0]) / seasonLength];
     
     // 计算水平、趋势和季节性
     for (let i = 1; i < n; i++) {
@@ -318,19 +324,25 @@ const optimizeBeta = (values, alpha) => {
  * @param {Array} data - 历史数据 [{time, value}, ...]
  * @param {number} periods - 预测周期数
  * @param {string} type - 平滑类型 ('single', 'double', 'triple', 'auto')
- * @param {number} seasonLength - 季节长度（仅用于triple）
+ * @param {number} seasonLength - 季节长度（仅用于triple），默认根据数据自动检测
  * @returns {Array} 预测值数组
  */
-const exponentialSmoothing = (data, periods, type = 'auto', seasonLength = 12) => {
+const exponentialSmoothing = (data, periods, type = 'auto', seasonLength = null) => {
     if (!data || data.length < 3) {
         throw new Error('指数平滑至少需要3个数据点');
     }
     
+    // 未指定季节长度时自动检测（年份数据或无明显季节性时为null）
+    const detectedLength = seasonLength ? null : detectSeasonalPeriod(data);
+    
     // 自动选择类型
     if (type === 'auto') {
         // 检测是否有季节性
-        if (data.length >= seasonLength * 2) {
-            // 简单检测：计算自相关性
+        if (detectedLength && data.length >= detectedLength * 2) {
+            // 自相关检测已确认季节性
+            type = 'triple';
+        } else if (seasonLength && data.length >= seasonLength * 2) {
+            // 指定了季节长度时，检测该长度下的季节性
             const hasSeasonality = detectSeasonality(data, seasonLength);
             if (hasSeasonality) {
                 type = 'triple';
@@ -352,7 +364,7 @@ const exponentialSmoothing = (data, periods, type = 'auto', seasonLength = 12) =
         case 'double':
             return doubleExponentialSmoothing(data, periods);
         case 'triple':
-            return tripleExponentialSmoothing(data, periods, seasonLength);
+            return tripleExponentialSmoothing(data, periods, seasonLength || detectedLength);
         default:
             return singleExponentialSmoothing(data, periods);
     }
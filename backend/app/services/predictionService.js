@@ -8,6 +8,33 @@ const exponentialSmoothing = require('./predictionModels/exponentialSmoothing');
 const movingAverage = require('./predictionModels/movingAverage');
 const polynomialRegression = require('./predictionModels/polynomialRegression');
 const arima = require('./predictionModels/arima');
+const modelEvaluation = require('./modelEvaluation');
+const confidenceInterval = require('./confidenceInterval');
+const reconciliation = require('./reconciliation');
+const scenario = require('./scenario');
+const anomalyDetection = require('./anomalyDetection');
+const localDataService = require('./localDataService');
+
+// 层级调和默认的总量地区
+const DEFAULT_TOTAL_AREA = '湖北省';
+
+// 各模型所需的最小数据点
+const MODEL_REQUIREMENTS = {
+    'linear': 2,
+    'exponential': 3,
+    'movingAverage': 2,
+    'polynomial': 3,
+    'arima': 20
+};
+
+/**
+ * 创建带HTTP状态码的错误
+ */
+const createError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
 
 /**
  * 线性回归算法
@@ -106,28 +133,15 @@ const detectTimeInterval = (timeSeriesData) => {
 };
 
 /**
- * 生成预测数据
+ * 使用指定模型计算预测值
  * @param {Array} historicalData - 历史数据 [{time, value}, ...]
  * @param {number} periods - 预测周期数
  * @param {string} model - 预测模型 ('linear', 'arima', 'exponential', 'polynomial', 'movingAverage')
- * @param {number} timeInterval - 时间间隔（年份格式为年数，年月格式为月数）
- * @param {string} timeFormat - 时间格式 ('year' 或 'yearmonth')
- * @param {Object} options - 额外选项 {modelParams: object}
- * @returns {Object} 预测结果
+ * @param {Object} modelParams - 模型特定参数
+ * @returns {Array} 预测值数组
  */
-const generatePrediction = (historicalData, periods, model = 'linear', timeInterval = 1, timeFormat = 'year', options = {}) => {
-    if (!historicalData || historicalData.length < 2) {
-        throw new Error('历史数据不足，至少需要2个数据点');
-    }
-    
-    if (periods <= 0) {
-        throw new Error('预测周期数必须大于0');
-    }
-    
-    const { modelParams = {} } = options;
-    
+const forecastValues = (historicalData, periods, model = 'linear', modelParams = {}) => {
     let predictions = [];
-    let truncatedCount = 0; // 统计被截断为0的预测值数量
     
     // 根据模型选择预测算法
     try {
@@ -145,7 +159,7 @@ const generatePrediction = (historicalData, periods, model = 'linear', timeInter
             case 'exponential':
                 // 指数平滑
                 const expType = modelParams.type || 'auto';
-                const seasonLength = modelParams.seasonLength || 12;
+                const seasonLength = modelParams.seasonLength || null;
                 predictions = exponentialSmoothing.exponentialSmoothing(historicalData, periods, expType, seasonLength);
                 // 指数平滑已经在模块内部截断，无法准确统计
                 break;
@@ -183,7 +197,206 @@ const generatePrediction = (historicalData, periods, model = 'linear', timeInter
         throw new Error(`模型 ${model} 预测失败: ${error.message}`);
     }
     
-    // 模型评估和置信区间功能已移除（根据用户要求）
+    return predictions;
+};
+
+/**
+ * 创建用于回测的模型函数，训练集长度不满足模型要求时抛出错误
+ * @param {string} model - 预测模型
+ * @param {Object} modelParams - 模型特定参数
+ * @returns {Function} (trainData, periods) => predictions
+ */
+const createModelFunction = (model, modelParams = {}) => {
+    const minRequired = MODEL_REQUIREMENTS[model] || 2;
+    return (trainData, periods) => {
+        if (!validateModelDataRequirements(model, trainData.length)) {
+            throw new Error(`训练集数据不足，${model}模型至少需要${minRequired}个数据点`);
+        }
+        return forecastValues(trainData, periods, model, modelParams);
+    };
+};
+
+/**
+ * 计算预测区间
+ * 线性回归使用解析公式，其他模型使用滚动原点的样本外预测误差
+ * @param {Array} historicalData - 历史数据 [{time, value}, ...]
+ * @param {Array} predictions - 预测值数组
+ * @param {string} model - 预测模型
+ * @param {Object} modelParams - 模型特定参数
+ * @param {Array} confidenceLevels - 置信水平数组，默认[0.8, 0.95]
+ * @returns {Object} {method, levels: {'80': [{lower, upper}, ...], '95': [...]}}
+ */
+const calculatePredictionIntervals = (historicalData, predictions, model, modelParams = {}, confidenceLevels = [0.8, 0.95]) => {
+    const method = model === 'linear' ? 'analytic' : 'forecastError';
+    const options = {};
+    
+    // 各置信水平共用同一组预测误差，避免重复拟合模型
+    if (method === 'forecastError') {
+        options.sigmas = confidenceInterval.calculateForecastErrorStd(
+            historicalData,
+            predictions.length,
+            createModelFunction(model, modelParams),
+            { minTrainSize: Math.max(MODEL_REQUIREMENTS[model] || 2, Math.floor(historicalData.length * 0.5)) }
+        );
+    }
+    
+    const levels = {};
+    confidenceLevels.forEach(level => {
+        levels[Math.round(level * 100)] = confidenceInterval.calculateConfidenceInterval(
+            historicalData, predictions, model, level, options
+        );
+    });
+    
+    return { method, levels };
+};
+
+/**
+ * 评估模型预测精度
+ * 包含留出集回测和滚动原点交叉验证，任一部分失败时返回错误信息而不影响预测结果
+ * @param {Array} historicalData - 历史数据 [{time, value}, ...]
+ * @param {string} model - 预测模型
+ * @param {Object} modelParams - 模型特定参数
+ * @param {Object} evaluationOptions - 评估选项 {testSize, horizon, minTrainSize, step, maxFolds}
+ * @returns {Object} {holdout, crossValidation}
+ */
+const evaluateModel = (historicalData, model, modelParams = {}, evaluationOptions = {}) => {
+    const minRequired = MODEL_REQUIREMENTS[model] || 2;
+    const modelFunction = createModelFunction(model, modelParams);
+    
+    const evaluation = {};
+    
+    try {
+        const holdout = modelEvaluation.backtest(historicalData, modelFunction, evaluationOptions.testSize || 0.2);
+        evaluation.holdout = {
+            ...holdout,
+            trainSize: historicalData.length - holdout.actual.length,
+            testSize: holdout.actual.length
+        };
+    } catch (error) {
+        evaluation.holdout = { error: error.message };
+    }
+    
+    try {
+        evaluation.crossValidation = modelEvaluation.rollingOriginCV(historicalData, modelFunction, {
+            horizon: evaluationOptions.horizon || 1,
+            minTrainSize: evaluationOptions.minTrainSize || Math.max(minRequired, Math.floor(historicalData.length * 0.5)),
+            step: evaluationOptions.step,
+            maxFolds: evaluationOptions.maxFolds
+        });
+    } catch (error) {
+        evaluation.crossValidation = { error: error.message };
+    }
+    
+    return evaluation;
+};
+
+/**
+ * 比较各预测模型在留出集上的表现，生成排行榜
+ * 对满足数据要求的每个模型，用前段数据训练、预测最后testSize期并计算误差
+ * @param {Array} historicalData - 历史数据 [{time, value}, ...]
+ * @param {Object} options - 选项 {testSize: 测试集比例，默认0.2, metric: 排序指标 ('rmse', 'mae', 'mape')}
+ * @returns {Object} {metric, trainSize, testSize, bestModel, leaderboard}
+ */
+const compareModels = (historicalData, options = {}) => {
+    const { testSize = 0.2, metric = 'rmse' } = options;
+    
+    if (!['rmse', 'mae', 'mape'].includes(metric)) {
+        throw createError(`不支持的排序指标: ${metric}`, 400);
+    }
+    
+    const n = historicalData.length;
+    const holdoutSize = Math.max(1, Math.floor(n * testSize));
+    const trainData = historicalData.slice(0, n - holdoutSize);
+    const testData = historicalData.slice(n - holdoutSize);
+    
+    if (trainData.length < 2) {
+        throw createError(`自动选择模型至少需要3个数据点，当前只有 ${n} 个`, 400);
+    }
+    
+    const actual = testData.map(d => d.value);
+    const scored = [];
+    const skipped = [];
+    
+    Object.keys(MODEL_REQUIREMENTS).forEach(model => {
+        if (!validateModelDataRequirements(model, trainData.length)) {
+            skipped.push({
+                model,
+                status: 'skipped',
+                reason: `训练集数据不足，至少需要 ${MODEL_REQUIREMENTS[model]} 个数据点`
+            });
+            return;
+        }
+        
+        try {
+            const predicted = forecastValues(trainData, holdoutSize, model);
+            scored.push({
+                model,
+                status: 'ok',
+                ...modelEvaluation.evaluate(actual, predicted)
+            });
+        } catch (error) {
+            skipped.push({ model, status: 'failed', reason: error.message });
+        }
+    });
+    
+    if (scored.length === 0) {
+        throw createError('没有可用的预测模型', 400);
+    }
+    
+    // 按误差升序排名，误差无效的模型排在最后
+    scored.sort((a, b) => {
+        const va = isFinite(a[metric]) ? a[metric] : Infinity;
+        const vb = isFinite(b[metric]) ? b[metric] : Infinity;
+        return va - vb;
+    });
+    
+    const leaderboard = [
+        ...scored.map((item, index) => ({ rank: index + 1, ...item })),
+        ...skipped.map(item => ({ rank: null, ...item }))
+    ];
+    
+    return {
+        metric,
+        trainSize: trainData.length,
+        testSize: holdoutSize,
+        testStart: testData[0].time,
+        testEnd: testData[testData.length - 1].time,
+        bestModel: scored[0].model,
+        leaderboard
+    };
+};
+
+/**
+ * 生成预测数据
+ * @param {Array} historicalData - 历史数据 [{time, value}, ...]
+ * @param {number} periods - 预测周期数
+ * @param {string} model - 预测模型 ('linear', 'arima', 'exponential', 'polynomial', 'movingAverage')
+ * @param {number} timeInterval - 时间间隔（年份格式为年数，年月格式为月数）
+ * @param {string} timeFormat - 时间格式 ('year' 或 'yearmonth')
+ * @param {Object} options - 额外选项 {modelParams: object, evaluate: boolean, evaluationOptions: object, intervals: boolean, confidenceLevels: Array, scenario: object}
+ * @returns {Object} 预测结果
+ */
+const generatePrediction = (historicalData, periods, model = 'linear', timeInterval = 1, timeFormat = 'year', options = {}) => {
+    if (!historicalData || historicalData.length < 2) {
+        throw new Error('历史数据不足，至少需要2个数据点');
+    }
+    
+    if (periods <= 0) {
+        throw new Error('预测周期数必须大于0');
+    }
+    
+    const {
+        modelParams = {},
+        evaluate = false,
+        evaluationOptions = {},
+        intervals = true,
+        confidenceLevels = [0.8, 0.95],
+        scenario: scenarioDefinition = null
+    } = options;
+    
+    let predictions = forecastValues(historicalData, periods, model, modelParams);
+    let truncatedCount = 0; // 统计被截断为0的预测值数量
+    
     
     // 生成预测时间点
     const lastTime = historicalData[historicalData.length - 1].time;
@@ -236,13 +449,38 @@ const generatePrediction = (historicalData, periods, model = 'linear', timeInter
     // truncatedCount 保留用于兼容性，但不再使用（设为0）
     truncatedCount = 0;
     
+    // 计算预测区间，失败时不影响预测结果
+    let predictionIntervals = null;
+    if (intervals) {
+        try {
+            predictionIntervals = calculatePredictionIntervals(historicalData, validPredictions, model, modelParams, confidenceLevels);
+        } catch (error) {
+            console.error('计算预测区间失败:', error.message);
+        }
+    }
+    const widestLevel = predictionIntervals
+        ? Math.max(...Object.keys(predictionIntervals.levels).map(Number))
+        : null;
+    
     const result = {
         predictions: validPredictions.map((value, index) => {
-            return {
+            const point = {
                 time: predictionTimes[index],
                 value: value,
                 isPrediction: true
             };
+            
+            // lower/upper 为最高置信水平的区间，intervals 包含各置信水平的区间
+            if (predictionIntervals) {
+                point.lower = predictionIntervals.levels[widestLevel][index].lower;
+                point.upper = predictionIntervals.levels[widestLevel][index].upper;
+                point.intervals = {};
+                Object.keys(predictionIntervals.levels).forEach(level => {
+                    point.intervals[level] = predictionIntervals.levels[level][index];
+                });
+            }
+            
+            return point;
         }),
         historicalData: historicalData.map(item => ({
             time: item.time,
@@ -258,9 +496,20 @@ const generatePrediction = (historicalData, periods, model = 'linear', timeInter
         },
         timeInterval: timeInterval,
         timeFormat: timeFormat,
-        model: model
+        model: model,
+        intervalMethod: predictionIntervals ? predictionIntervals.method : null
     };
     
+    // 情景分析（可选）：在模型预测基础上施加冲击，生成基准/乐观/悲观路径
+    if (scenarioDefinition) {
+        result.scenario = scenario.buildScenario(result.predictions, lastValue, scenarioDefinition);
+    }
+    
+    // 模型评估（可选）：回测和滚动交叉验证
+    if (evaluate) {
+        result.evaluation = evaluateModel(historicalData, model, modelParams, evaluationOptions);
+    }
+    
     return result;
 };
 
@@ -271,22 +520,326 @@ const generatePrediction = (historicalData, periods, model = 'linear', timeInter
  * @returns {boolean} 是否满足要求
  */
 const validateModelDataRequirements = (model, dataLength) => {
-    const requirements = {
-        'linear': 2,
-        'exponential': 3,
-        'movingAverage': 2,
-        'polynomial': 3,
-        'arima': 20
+    const minRequired = MODEL_REQUIREMENTS[model] || 2;
+    return dataLength >= minRequired;
+};
+
+/**
+ * 检测时间格式
+ * @param {Array} timeSeriesData - 时间序列数据
+ * @returns {string} 'year' 或 'yearmonth'
+ */
+const detectTimeFormat = (timeSeriesData) => {
+    const firstTime = timeSeriesData[0].time;
+    return String(firstTime).length === 6 && parseInt(firstTime) >= 100000 && parseInt(firstTime) <= 999999
+        ? 'yearmonth'
+        : 'year';
+};
+
+/**
+ * 对单条时间序列执行预测
+ * 校验模型数据要求、按需自动选择模型并生成预测
+ * @param {Array} timeSeriesData - 时间序列数据 [{time, value}, ...]
+ * @param {Object} params - 预测参数 {period, model, modelParams, evaluate, evaluationOptions, selectionOptions, scenario}
+ *   model 为 'auto' 时比较所有可用模型并使用留出集误差最小的模型
+ * @param {Function} onProgress - 进度回调 (progress, stage) => void（可选）
+ * @returns {Object} 预测结果
+ */
+const predictSeries = (timeSeriesData, params, onProgress = () => {}) => {
+    const {
+        period,
+        model = 'linear',
+        modelParams = {},
+        evaluate = false,
+        evaluationOptions = {},
+        selectionOptions = {},
+        scenario: scenarioDefinition = null
+    } = params;
+    
+    if (!timeSeriesData || timeSeriesData.length < 2) {
+        throw createError('历史数据不足，至少需要2个数据点', 400);
+    }
+    
+    // 验证模型数据要求
+    if (!validateModelDataRequirements(model, timeSeriesData.length)) {
+        const minRequired = MODEL_REQUIREMENTS[model] || 2;
+        throw createError(`${model} 模型至少需要 ${minRequired} 个数据点，当前只有 ${timeSeriesData.length} 个`, 400);
+    }
+    
+    // 自动选择模型
+    let selectedModel = model;
+    let modelSelection = null;
+    if (model === 'auto') {
+        onProgress(20, '比较模型');
+        modelSelection = compareModels(timeSeriesData, selectionOptions);
+        selectedModel = modelSelection.bestModel;
+    }
+    
+    onProgress(30, evaluate ? '模型计算和评估' : '模型计算');
+    
+    // 检测时间格式和时间间隔
+    const timeFormat = detectTimeFormat(timeSeriesData);
+    const timeInterval = detectTimeInterval(timeSeriesData);
+    
+    // 生成预测（自动选择模型时各模型使用默认参数）
+    const result = generatePrediction(
+        timeSeriesData,
+        period,
+        selectedModel,
+        timeInterval,
+        timeFormat,
+        {
+            modelParams: model === 'auto' ? {} : modelParams,
+            evaluate: evaluate,
+            evaluationOptions: evaluationOptions,
+            scenario: scenarioDefinition
+        }
+    );
+    
+    if (modelSelection) {
+        result.modelSelection = modelSelection;
+    }
+    
+    // 标记历史数据中的异常点，提示可能影响预测的输入
+    result.anomalies = anomalyDetection.detectAnomalies(timeSeriesData, {
+        indicator: params.indicator
+    }).anomalies;
+    
+    return result;
+};
+
+/**
+ * 基于本地数据文件执行预测
+ * 读取时间序列并生成预测
+ * @param {Object} params - 预测参数 {filename, area, indicator, startTime, endTime, period, model, modelParams, evaluate, evaluationOptions, selectionOptions, scenario}
+ * @param {Function} onProgress - 进度回调 (progress, stage) => void（可选）
+ * @returns {Promise<Object>} 预测结果
+ */
+const predictFromLocalData = async (params, onProgress = () => {}) => {
+    const { filename, area, indicator, startTime, endTime } = params;
+    
+    onProgress(10, '读取历史数据');
+    
+    // 获取时间序列数据
+    const timeSeriesData = await localDataService.getTimeSeriesData(filename, {
+        area: area,
+        indicator: indicator,
+        startTime: startTime,
+        endTime: endTime
+    });
+    
+    const result = predictSeries(timeSeriesData, params, onProgress);
+    
+    onProgress(100, '完成');
+    
+    return result;
+};
+
+/**
+ * 对批量预测结果进行层级调和（总量地区 = 其余地区之和）
+ * 调和后 values 为调和值，baseValues 保留原始预测值，预测区间随调和值平移
+ * @param {Array} rows - 批量预测行（已按 times 对齐）
+ * @param {Map} seriesByArea - 各地区历史数据
+ * @param {string} method - 调和方法
+ * @param {string} totalArea - 总量地区
+ * @returns {Object} 调和信息 {method, totalArea, discrepancyBefore, discrepancyAfter}
+ */
+const reconcileBatchRows = (rows, seriesByArea, method, totalArea) => {
+    const totalRow = rows.find(row => row.area === totalArea);
+    if (!totalRow) {
+        throw createError(`未找到总量地区: ${totalArea}`, 400);
+    }
+    
+    const bottomRows = rows.filter(row => row.area !== totalArea);
+    const failedRow = rows.find(row => row.status !== 'ok' || row.values.some(value => value === null));
+    if (failedRow) {
+        throw createError(`地区 ${failedRow.area} 预测失败或预测期不一致，无法进行层级调和`, 400);
+    }
+    
+    // 由95%预测区间宽度反推预测误差方差，用于WLS
+    const toVariances = (row) => row.predictions.map(p => {
+        const interval = p.intervals && p.intervals['95'];
+        return interval ? Math.pow((interval.upper - interval.lower) / (2 * 1.96), 2) : NaN;
+    });
+    
+    const hierarchy = {
+        total: totalRow.values,
+        bottom: bottomRows.map(row => row.values)
     };
     
-    const minRequired = requirements[model] || 2;
-    return dataLength >= minRequired;
+    const reconciled = reconciliation.reconcile(hierarchy, method, {
+        totalHistory: seriesByArea.get(totalArea) || [],
+        bottomHistories: bottomRows.map(row => seriesByArea.get(row.area) || []),
+        totalVariances: toVariances(totalRow),
+        bottomVariances: bottomRows.map(toVariances)
+    });
+    
+    const applyReconciled = (row, values) => {
+        row.baseValues = row.values;
+        row.lower = row.lower.map((lower, h) => lower === null ? null : lower + values[h] - row.baseValues[h]);
+        row.upper = row.upper.map((upper, h) => upper === null ? null : upper + values[h] - row.baseValues[h]);
+        row.values = values;
+    };
+    
+    applyReconciled(totalRow, reconciled.total);
+    bottomRows.forEach((row, i) => applyReconciled(row, reconciled.bottom[i]));
+    
+    return {
+        method,
+        totalArea,
+        discrepancyBefore: reconciliation.calculateDiscrepancy(hierarchy.total, hierarchy.bottom),
+        discrepancyAfter: reconciliation.calculateDiscrepancy(reconciled.total, reconciled.bottom)
+    };
+};
+
+/**
+ * 批量预测：对同一指标的多个地区分别执行预测
+ * 数据文件只读取一次，单个地区预测失败不影响其他地区
+ * @param {Object} params - 预测参数 {filename, indicator, areas, startTime, endTime, period, model, modelParams, selectionOptions, reconciliation, totalArea}
+ *   areas 为空时预测该指标下的所有地区；
+ *   reconciliation 为 'bottomUp'/'topDown'/'ols'/'wls' 时对所有地区进行层级调和，totalArea 默认为湖北省
+ * @returns {Promise<Object>} {indicator, model, times, rows, succeeded, failed, reconciliation}
+ */
+const predictBatch = async (params) => {
+    const {
+        filename,
+        indicator,
+        startTime,
+        endTime,
+        model = 'linear',
+        reconciliation: reconciliationMethod = null,
+        totalArea = DEFAULT_TOTAL_AREA
+    } = params;
+    
+    if (reconciliationMethod) {
+        if (!reconciliation.RECONCILIATION_METHODS.includes(reconciliationMethod)) {
+            throw createError(`不支持的调和方法: ${reconciliationMethod}`, 400);
+        }
+        // 比率类指标不可加总
+        if (/[%％]$/.test(indicator || '')) {
+            throw createError('增长率、比重等比率类指标不可加总，无法进行层级调和', 400);
+        }
+    }
+    
+    // 层级调和需要完整的层级，忽略地区筛选
+    const areas = reconciliationMethod ? [] : (params.areas || []);
+    
+    const timeSeriesData = await localDataService.getTimeSeriesData(filename, {
+        indicator: indicator,
+        startTime: startTime,
+        endTime: endTime
+    });
+    
+    // 按地区分组（保持数据文件中的地区顺序）
+    const seriesByArea = new Map();
+    timeSeriesData.forEach(item => {
+        if (!seriesByArea.has(item.area)) {
+            seriesByArea.set(item.area, []);
+        }
+        seriesByArea.get(item.area).push(item);
+    });
+    
+    const targetAreas = areas.length > 0 ? areas : [...seriesByArea.keys()];
+    if (targetAreas.length === 0) {
+        throw createError('未找到该指标的数据', 404);
+    }
+    
+    // 批量预测不计算模型评估，避免单次请求耗时过长
+    const seriesParams = { ...params, evaluate: false };
+    
+    const rows = targetAreas.map(area => {
+        try {
+            const result = predictSeries(seriesByArea.get(area) || [], seriesParams);
+            return {
+                area,
+                status: 'ok',
+                model: result.model,
+                timeFormat: result.timeFormat,
+                predictions: result.predictions,
+                statistics: result.statistics
+            };
+        } catch (error) {
+            return { area, status: 'failed', error: error.message };
+        }
+    });
+    
+    // 所有地区预测时间点的并集，作为矩阵的列
+    const times = [...new Set(rows
+        .filter(row => row.status === 'ok')
+        .flatMap(row => row.predictions.map(p => p.time)))]
+        .sort((a, b) => a - b);
+    
+    // 按列对齐每个地区的预测值，缺失的时间点为null
+    rows.forEach(row => {
+        if (row.status !== 'ok') return;
+        const pointMap = new Map(row.predictions.map(p => [p.time, p]));
+        row.values = times.map(time => pointMap.has(time) ? pointMap.get(time).value : null);
+        row.lower = times.map(time => pointMap.has(time) && pointMap.get(time).lower !== undefined ? pointMap.get(time).lower : null);
+        row.upper = times.map(time => pointMap.has(time) && pointMap.get(time).upper !== undefined ? pointMap.get(time).upper : null);
+    });
+    
+    const reconciliationInfo = reconciliationMethod
+        ? reconcileBatchRows(rows, seriesByArea, reconciliationMethod, totalArea)
+        : null;
+    
+    return {
+        indicator,
+        model,
+        times,
+        rows,
+        succeeded: rows.filter(row => row.status === 'ok').length,
+        failed: rows.filter(row => row.status !== 'ok').length,
+        reconciliation: reconciliationInfo
+    };
+};
+
+/**
+ * 将批量预测结果导出为CSV（每个地区一行，每个预测时间点一列）
+ * @param {Object} batchResult - predictBatch 的返回结果
+ * @returns {Object} {filename, content, mimeType}
+ */
+const exportBatchToCSV = (batchResult) => {
+    const escapeCSV = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    
+    const header = ['地区', '模型', ...batchResult.times, '状态'];
+    const lines = [header.map(escapeCSV).join(',')];
+    
+    batchResult.rows.forEach(row => {
+        const values = row.status === 'ok'
+            ? row.values.map(value => value === null ? '' : value.toFixed(2))
+            : batchResult.times.map(() => '');
+        lines.push([
+            row.area,
+            row.model || batchResult.model,
+            ...values,
+            row.status === 'ok' ? '成功' : `失败: ${row.error}`
+        ].map(escapeCSV).join(','));
+    });
+    
+    // 添加BOM，确保Excel正确识别中文
+    return {
+        filename: `${batchResult.indicator}_批量预测_${new Date().toISOString().split('T')[0]}.csv`,
+        content: '\uFEFF' + lines.join('\n') + '\n',
+        mimeType: 'text/csv;charset=utf-8'
+    };
 };
 
 module.exports = {
     linearRegression,
     detectTimeInterval,
+    forecastValues,
+    evaluateModel,
+    compareModels,
     generatePrediction,
-    validateModelDataRequirements
+    validateModelDataRequirements,
+    detectTimeFormat,
+    predictSeries,
+    predictFromLocalData,
+    predictBatch,
+    exportBatchToCSV
 };
 
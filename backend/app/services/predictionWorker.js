@@ -0,0 +1,26 @@
+/**
+ * 预测工作线程
+ * 在 worker_threads 中执行预测计算，避免阻塞主线程的事件循环
+ */
+const { parentPort, workerData } = require('worker_threads');
+const predictionService = require('./predictionService');
+
+const { task = 'predict', params } = workerData;
+
+const run = task === 'batch'
+    ? predictionService.predictBatch(params)
+    : predictionService.predictFromLocalData(params, (progress, stage) => {
+        parentPort.postMessage({ type: 'progress', progress, stage });
+    });
+
+run
+    .then(result => {
+        parentPort.postMessage({ type: 'result', result });
+    })
+    .catch(error => {
+        parentPort.postMessage({
+            type: 'error',
+            message: error.message || '预测失败',
+            status: error.status || 500
+        });
+    });
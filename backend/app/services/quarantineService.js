@@ -0,0 +1,124 @@
+/**
+ * 隔离数据服务
+ * 导入和同步时未通过校验的行可以选择隔离：不写入 data_records，原始内容和问题保存在 data_quarantine，供管理员核对
+ */
+const { query } = require('../../config/database');
+
+/**
+ * 无效行的处理方式
+ * reject: 存在无效行时拒绝整个导入；skip: 跳过无效行；quarantine: 跳过无效行并隔离保存
+ */
+const INVALID_ROW_MODES = ['reject', 'skip', 'quarantine'];
+
+// 隔离数据来源
+const SOURCES = {
+  UPLOAD: 'upload',
+  LOCAL_SYNC: 'local_sync'
+};
+
+// 每批写入的行数
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 校验无效行的处理方式
+ * @param {string} mode - 处理方式（为空时使用 defaultMode）
+ * @param {string} defaultMode - 默认处理方式
+ * @returns {string}
+ */
+const resolveInvalidRowMode = (mode, defaultMode = 'reject') => {
+  if (mode === undefined || mode === null || mode === '') {
+    return defaultMode;
+  }
+  if (!INVALID_ROW_MODES.includes(mode)) {
+    throw createError(`invalidRows 可选值: ${INVALID_ROW_MODES.join(', ')}`, 400);
+  }
+  return mode;
+};
+
+/**
+ * 保存隔离的行（在导入的事务中调用）
+ * 同一数据、同一来源之前隔离的行会被替换，重复同步不会累积
+ * @param {Object} connection - 事务连接
+ * @param {number} dataId - 数据ID
+ * @param {string} source - 来源（SOURCES）
+ * @param {Array<Object>} rows - [{line, raw, issues: [{field, type, message}]}]
+ * @param {number|null} userId - 操作人
+ * @returns {Promise<number>} 隔离的行数
+ */
+const saveQuarantinedRows = async (connection, dataId, source, rows, userId = null) => {
+  await connection.query('DELETE FROM data_quarantine WHERE data_id = ? AND source = ?', [dataId, source]);
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+    await connection.query(
+      'INSERT INTO data_quarantine (data_id, source, line_no, raw_data, issues, created_by) VALUES ?',
+      [batch.map(row => [dataId, source, row.line, JSON.stringify(row.raw), JSON.stringify(row.issues), userId])]
+    );
+  }
+  return rows.length;
+};
+
+/**
+ * 获取数据的隔离行
+ * @param {number} dataId - 数据ID
+ * @param {Object} options - {source, page, pageSize}
+ * @returns {Promise<Object>} {list, total, page, pageSize, totalPages}
+ */
+const getQuarantinedRows = async (dataId, options = {}) => {
+  try {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize) || 20, 1), 100);
+    const conditions = ['data_id = ?'];
+    const params = [dataId];
+    if (options.source) {
+      conditions.push('source = ?');
+      params.push(options.source);
+    }
+    const where = conditions.join(' AND ');
+
+    const [{ total }] = await query(`SELECT COUNT(*) as total FROM data_quarantine WHERE ${where}`, params);
+    const rows = await query(
+      `SELECT id, source, line_no, raw_data, issues, created_by, created_at
+       FROM data_quarantine
+       WHERE ${where}
+       ORDER BY source, line_no
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    return {
+      list: rows.map(row => ({
+        id: row.id,
+        source: row.source,
+        line: row.line_no,
+        raw: typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : row.raw_data,
+        issues: typeof row.issues === 'string' ? JSON.parse(row.issues) : row.issues,
+        createdBy: row.created_by,
+        createdAt: row.created_at
+      })),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    };
+  } catch (error) {
+    console.error('获取隔离数据错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  INVALID_ROW_MODES,
+  SOURCES,
+  resolveInvalidRowMode,
+  saveQuarantinedRows,
+  getQuarantinedRows
+};
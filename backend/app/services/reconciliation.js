@@ -0,0 +1,144 @@
+/**
+ * 层级预测调和
+ * 使省级总量预测与各市州预测之和保持一致（两层层级：总量 = 各子地区之和）
+ */
+
+// 支持的调和方法
+const RECONCILIATION_METHODS = ['bottomUp', 'topDown', 'ols', 'wls'];
+
+/**
+ * 计算子地区占总量的历史平均比例（Gross-Sohl 方法A），并归一化使比例之和为1
+ * @param {Array} totalHistory - 总量历史数据 [{time, value}, ...]
+ * @param {Array} bottomHistories - 各子地区历史数据 [[{time, value}, ...], ...]
+ * @returns {Array} 各子地区比例
+ */
+const calculateHistoricalProportions = (totalHistory, bottomHistories) => {
+    const totalMap = new Map(totalHistory.map(item => [item.time, item.value]));
+
+    const proportions = bottomHistories.map(history => {
+        const ratios = history
+            .filter(item => totalMap.has(item.time) && totalMap.get(item.time) !== 0)
+            .map(item => item.value / totalMap.get(item.time));
+        return ratios.length > 0 ? ratios.reduce((sum, r) => sum + r, 0) / ratios.length : 0;
+    });
+
+    const sum = proportions.reduce((acc, p) => acc + p, 0);
+    if (sum <= 0) {
+        throw new Error('无法根据历史数据计算各地区占比');
+    }
+
+    return proportions.map(p => p / sum);
+};
+
+/**
+ * 最优组合调和（OLS/WLS）
+ * 对两层层级，b̃ = ŷ_b + w_i * (ŷ_T - Σŷ_b) / (w_T + Σw_i)，即按误差方差分摊总量与子地区之和的差异；
+ * 所有权重相等时即为OLS
+ * @param {number} total - 总量预测值
+ * @param {Array} bottom - 子地区预测值
+ * @param {number} totalWeight - 总量预测误差方差
+ * @param {Array} bottomWeights - 子地区预测误差方差
+ * @returns {Array} 调和后的子地区预测值
+ */
+const combineOptimal = (total, bottom, totalWeight, bottomWeights) => {
+    const bottomSum = bottom.reduce((sum, v) => sum + v, 0);
+    const weightSum = bottomWeights.reduce((sum, w) => sum + w, 0);
+    const discrepancy = total - bottomSum;
+
+    return bottom.map((value, i) => value + bottomWeights[i] * discrepancy / (totalWeight + weightSum));
+};
+
+/**
+ * 调和总量与子地区的预测值
+ * @param {Object} hierarchy - 层级预测 {total: [h期预测值], bottom: [[h期预测值], ...]}
+ * @param {string} method - 调和方法 ('bottomUp', 'topDown', 'ols', 'wls')
+ * @param {Object} options - 选项
+ *   topDown 需要 {totalHistory, bottomHistories}
+ *   wls 需要 {totalVariances: [h], bottomVariances: [[h], ...]}
+ * @returns {Object} {total: [h], bottom: [[h], ...]}
+ */
+const reconcile = (hierarchy, method = 'ols', options = {}) => {
+    const { total, bottom } = hierarchy;
+    const periods = total.length;
+
+    if (!RECONCILIATION_METHODS.includes(method)) {
+        throw new Error(`不支持的调和方法: ${method}`);
+    }
+
+    if (bottom.length === 0) {
+        throw new Error('层级调和至少需要一个子地区');
+    }
+
+    if (bottom.some(values => values.length !== periods)) {
+        throw new Error('总量与子地区的预测期数不一致');
+    }
+
+    let reconciledBottom;
+
+    switch (method) {
+        case 'bottomUp':
+            // 自下而上：子地区预测不变，总量为子地区之和
+            reconciledBottom = bottom.map(values => [...values]);
+            break;
+
+        case 'topDown': {
+            // 自上而下：总量预测不变，按历史占比分解到子地区
+            const proportions = calculateHistoricalProportions(options.totalHistory || [], options.bottomHistories || []);
+            reconciledBottom = proportions.map(p => total.map(value => value * p));
+            break;
+        }
+
+        case 'ols':
+        case 'wls': {
+            reconciledBottom = bottom.map(() => []);
+            for (let h = 0; h < periods; h++) {
+                const bottomAtH = bottom.map(values => values[h]);
+                let totalWeight = 1;
+                let bottomWeights = bottomAtH.map(() => 1);
+
+                if (method === 'wls') {
+                    if (!options.totalVariances || !options.bottomVariances) {
+                        throw new Error('WLS调和需要各序列的预测误差方差');
+                    }
+                    totalWeight = options.totalVariances[h];
+                    bottomWeights = options.bottomVariances.map(variances => variances[h]);
+
+                    // 方差无效时退回等权重
+                    if (![totalWeight, ...bottomWeights].every(w => isFinite(w) && w > 0)) {
+                        totalWeight = 1;
+                        bottomWeights = bottomAtH.map(() => 1);
+                    }
+                }
+
+                combineOptimal(total[h], bottomAtH, totalWeight, bottomWeights)
+                    .forEach((value, i) => reconciledBottom[i].push(value));
+            }
+            break;
+        }
+    }
+
+    // 总量始终取调和后子地区之和，保证层级一致
+    const reconciledTotal = total.map((_, h) => reconciledBottom.reduce((sum, values) => sum + values[h], 0));
+
+    return {
+        total: reconciledTotal,
+        bottom: reconciledBottom
+    };
+};
+
+/**
+ * 计算总量与子地区之和的差异
+ * @param {Array} total - 总量预测值
+ * @param {Array} bottom - 子地区预测值
+ * @returns {Array} 各期差异（总量 - 子地区之和）
+ */
+const calculateDiscrepancy = (total, bottom) => {
+    return total.map((value, h) => value - bottom.reduce((sum, values) => sum + values[h], 0));
+};
+
+module.exports = {
+    RECONCILIATION_METHODS,
+    reconcile,
+    calculateDiscrepancy,
+    calculateHistoricalProportions
+};
@@ -0,0 +1,159 @@
+/**
+ * 情景分析（What-if）
+ * 在模型基准预测的基础上施加用户设定的冲击，生成基准、乐观、悲观情景路径
+ */
+
+// 支持的冲击类型
+// percent: 从起始期起在原值基础上变动value%
+// level: 从起始期起加上固定值value
+// trend: 从起始期起按每期value%的增长率重新推算（覆盖模型趋势）
+// growthDelta: 从起始期起每期增长率增加value个百分点（负数表示下降）
+const SHOCK_TYPES = ['percent', 'level', 'trend', 'growthDelta'];
+
+/**
+ * 校验情景定义
+ * @param {Object} definition - 情景定义 {baseline: [shock], optimistic: [shock], pessimistic: [shock]}
+ * @returns {string|null} 错误信息，校验通过返回null
+ */
+const validateScenario = (definition) => {
+    if (!definition || typeof definition !== 'object') {
+        return '情景定义必须是对象';
+    }
+
+    for (const path of ['baseline', 'optimistic', 'pessimistic']) {
+        const shocks = definition[path];
+        if (shocks === undefined || shocks === null) {
+            continue;
+        }
+        if (!Array.isArray(shocks)) {
+            return `${path} 必须是冲击数组`;
+        }
+        for (const shock of shocks) {
+            if (!shock || !SHOCK_TYPES.includes(shock.type)) {
+                return `不支持的冲击类型: ${shock && shock.type}，可选值: ${SHOCK_TYPES.join(', ')}`;
+            }
+            if (typeof shock.value !== 'number' || !isFinite(shock.value)) {
+                return '冲击值 value 必须是数字';
+            }
+            if (shock.fromPeriod !== undefined && (!Number.isInteger(shock.fromPeriod) || shock.fromPeriod < 1)) {
+                return '起始期 fromPeriod 必须是大于0的整数';
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * 确定冲击的起始下标（0开始）
+ * fromTime 优先于 fromPeriod，均未指定时从第一期开始
+ */
+const getStartIndex = (shock, times) => {
+    if (shock.fromTime !== undefined && shock.fromTime !== null) {
+        const index = times.findIndex(time => time >= parseInt(shock.fromTime));
+        return index >= 0 ? index : times.length;
+    }
+    return shock.fromPeriod ? shock.fromPeriod - 1 : 0;
+};
+
+/**
+ * 对预测路径依次施加冲击
+ * @param {Array} values - 预测值数组
+ * @param {Array} times - 预测时间点数组
+ * @param {number} lastValue - 最后一个历史值（用于计算第一期增长率）
+ * @param {Array} shocks - 冲击数组 [{type, value, fromPeriod, fromTime}, ...]
+ * @returns {Array} 施加冲击后的预测值
+ */
+const applyShocks = (values, times, lastValue, shocks = []) => {
+    let path = [...values];
+
+    shocks.forEach(shock => {
+        const start = getStartIndex(shock, times);
+        const previous = (i) => (i === 0 ? lastValue : path[i - 1]);
+
+        switch (shock.type) {
+            case 'percent':
+                path = path.map((v, i) => (i >= start ? v * (1 + shock.value / 100) : v));
+                break;
+
+            case 'level':
+                path = path.map((v, i) => (i >= start ? v + shock.value : v));
+                break;
+
+            case 'trend':
+                for (let i = start; i < path.length; i++) {
+                    path[i] = previous(i) * (1 + shock.value / 100);
+                }
+                break;
+
+            case 'growthDelta': {
+                // 先按冲击前路径计算各期增长率，再在此基础上调整
+                const original = [...path];
+                for (let i = start; i < path.length; i++) {
+                    const base = i === 0 ? lastValue : original[i - 1];
+                    const growth = base !== 0 ? original[i] / base - 1 : 0;
+                    path[i] = previous(i) * (1 + growth + shock.value / 100);
+                }
+                break;
+            }
+        }
+    });
+
+    return path;
+};
+
+/**
+ * 生成情景路径
+ * 未定义乐观/悲观冲击时，以情景基准路径加减80%预测区间半宽作为乐观/悲观路径
+ * @param {Array} predictions - 模型预测点 [{time, value, intervals}, ...]
+ * @param {number} lastValue - 最后一个历史值
+ * @param {Object} definition - 情景定义 {name, baseline, optimistic, pessimistic}
+ * @returns {Object} {name, points: [{time, model, baseline, optimistic, pessimistic}], summary}
+ */
+const buildScenario = (predictions, lastValue, definition = {}) => {
+    const times = predictions.map(p => p.time);
+    const modelValues = predictions.map(p => p.value);
+
+    const baseline = applyShocks(modelValues, times, lastValue, definition.baseline || []);
+
+    // 80%预测区间半宽，无区间时为0
+    const halfWidths = predictions.map(p => {
+        const interval = p.intervals && p.intervals['80'];
+        return interval ? (interval.upper - interval.lower) / 2 : 0;
+    });
+
+    const optimistic = definition.optimistic && definition.optimistic.length > 0
+        ? applyShocks(baseline, times, lastValue, definition.optimistic)
+        : baseline.map((v, i) => v + halfWidths[i]);
+    const pessimistic = definition.pessimistic && definition.pessimistic.length > 0
+        ? applyShocks(baseline, times, lastValue, definition.pessimistic)
+        : baseline.map((v, i) => v - halfWidths[i]);
+
+    const growthRate = (path) => {
+        const last = path[path.length - 1];
+        return lastValue !== 0 && last !== undefined ? ((last - lastValue) / lastValue) * 100 : null;
+    };
+
+    return {
+        name: definition.name || '自定义情景',
+        points: times.map((time, i) => ({
+            time,
+            model: modelValues[i],
+            baseline: baseline[i],
+            optimistic: optimistic[i],
+            pessimistic: pessimistic[i]
+        })),
+        summary: {
+            baseline: { finalValue: baseline[baseline.length - 1], growthRate: growthRate(baseline) },
+            optimistic: { finalValue: optimistic[optimistic.length - 1], growthRate: growthRate(optimistic) },
+            pessimistic: { finalValue: pessimistic[pessimistic.length - 1], growthRate: growthRate(pessimistic) }
+        }
+    };
+};
+
+module.exports = {
+    SHOCK_TYPES,
+    validateScenario,
+    applyShocks,
+    buildScenario
+};
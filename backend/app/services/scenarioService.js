@@ -0,0 +1,175 @@
+/**
+ * 预测情景服务
+ * 保存用户自定义的命名情景（冲击设定），供预测时复用
+ */
+const { query } = require('../../config/database');
+
+/**
+ * 格式化情景记录
+ */
+const formatScenario = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  description: row.description,
+  definition: typeof row.definition === 'string' ? JSON.parse(row.definition) : row.definition,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * 获取用户的情景列表
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>} 情景列表
+ */
+const getScenarios = async (userId) => {
+  try {
+    const rows = await query(
+      'SELECT * FROM prediction_scenarios WHERE user_id = ? ORDER BY updated_at DESC, id DESC',
+      [userId]
+    );
+    return rows.map(formatScenario);
+  } catch (error) {
+    console.error('获取情景列表错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取单个情景
+ * @param {number} id - 情景ID
+ * @param {number} userId - 用户ID
+ * @param {string} userRole - 用户角色
+ * @returns {Promise<Object|null>} 情景
+ */
+const getScenarioById = async (id, userId, userRole) => {
+  try {
+    const rows = await query('SELECT * FROM prediction_scenarios WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    if (userRole !== 'admin' && rows[0].user_id !== userId) {
+      throw new Error('无权限访问此情景');
+    }
+
+    return formatScenario(rows[0]);
+  } catch (error) {
+    console.error('获取情景错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 检查同一用户下情景名称是否已存在
+ */
+const checkNameExists = async (userId, name, excludeId = null) => {
+  const rows = await query(
+    'SELECT id FROM prediction_scenarios WHERE user_id = ? AND name = ? AND id != ?',
+    [userId, name, excludeId || 0]
+  );
+  if (rows.length > 0) {
+    throw new Error('情景名称已存在');
+  }
+};
+
+/**
+ * 创建情景
+ * @param {number} userId - 用户ID
+ * @param {Object} scenario - 情景 {name, description, definition}
+ * @returns {Promise<Object>} 创建的情景
+ */
+const createScenario = async (userId, scenario) => {
+  try {
+    const { name, description = null, definition } = scenario;
+
+    await checkNameExists(userId, name);
+
+    const result = await query(
+      'INSERT INTO prediction_scenarios (user_id, name, description, definition) VALUES (?, ?, ?, ?)',
+      [userId, name, description, JSON.stringify(definition)]
+    );
+
+    return await getScenarioById(result.insertId, userId, null);
+  } catch (error) {
+    console.error('创建情景错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 更新情景
+ * @param {number} id - 情景ID
+ * @param {number} userId - 用户ID
+ * @param {string} userRole - 用户角色
+ * @param {Object} updates - 更新内容 {name, description, definition}
+ * @returns {Promise<Object|null>} 更新后的情景
+ */
+const updateScenario = async (id, userId, userRole, updates) => {
+  try {
+    const existing = await getScenarioById(id, userId, userRole);
+    if (!existing) {
+      return null;
+    }
+
+    const fields = [];
+    const params = [];
+
+    if (updates.name !== undefined) {
+      await checkNameExists(existing.userId, updates.name, existing.id);
+      fields.push('name = ?');
+      params.push(updates.name);
+    }
+
+    if (updates.description !== undefined) {
+      fields.push('description = ?');
+      params.push(updates.description);
+    }
+
+    if (updates.definition !== undefined) {
+      fields.push('definition = ?');
+      params.push(JSON.stringify(updates.definition));
+    }
+
+    if (fields.length > 0) {
+      params.push(existing.id);
+      await query(`UPDATE prediction_scenarios SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    return await getScenarioById(existing.id, userId, userRole);
+  } catch (error) {
+    console.error('更新情景错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 删除情景
+ * @param {number} id - 情景ID
+ * @param {number} userId - 用户ID
+ * @param {string} userRole - 用户角色
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+const deleteScenario = async (id, userId, userRole) => {
+  try {
+    const existing = await getScenarioById(id, userId, userRole);
+    if (!existing) {
+      return false;
+    }
+
+    const result = await query('DELETE FROM prediction_scenarios WHERE id = ?', [existing.id]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('删除情景错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getScenarios,
+  getScenarioById,
+  createScenario,
+  updateScenario,
+  deleteScenario
+};
@@ -0,0 +1,377 @@
+/**
+ * 季节分解（STL风格）
+ * 将年月格式的时间序列分解为趋势、季节和残差三部分，并检测季节周期
+ */
+
+// 季节周期检测时自相关系数的最小阈值
+const ACF_THRESHOLD = 0.3;
+
+// 连续序列允许的最大缺口（期数），超过时视为序列断开
+const MAX_GAP = 2;
+
+/**
+ * 年月转换为月序号（用于计算间隔）
+ */
+const toMonthIndex = (time) => Math.floor(time / 100) * 12 + (time % 100) - 1;
+
+/**
+ * 月序号转换为年月
+ */
+const fromMonthIndex = (index) => Math.floor(index / 12) * 100 + (index % 12) + 1;
+
+/**
+ * 检测年月序列的采样间隔（月数），取相邻时间点间隔的众数
+ * @param {Array} times - 年月时间数组（已排序）
+ * @returns {number} 间隔月数
+ */
+const detectMonthInterval = (times) => {
+    const counts = new Map();
+    for (let i = 1; i < times.length; i++) {
+        const diff = toMonthIndex(times[i]) - toMonthIndex(times[i - 1]);
+        if (diff > 0) {
+            counts.set(diff, (counts.get(diff) || 0) + 1);
+        }
+    }
+    let interval = 1;
+    let maxCount = 0;
+    counts.forEach((count, diff) => {
+        if (count > maxCount || (count === maxCount && diff < interval)) {
+            interval = diff;
+            maxCount = count;
+        }
+    });
+    return interval;
+};
+
+/**
+ * 将不规则的年月序列整理为等间隔序列
+ * 以最后一个时间点为基准对齐间隔，不在网格上的时间点舍弃；
+ * 缺口超过MAX_GAP期时序列断开，取最长（等长时取最近）的连续段；段内缺失值线性插值
+ * @param {Array} data - 时间序列 [{time, value}, ...]
+ * @returns {Object} {interval, series: [{time, value, interpolated}], interpolatedCount, droppedCount}
+ */
+const regularize = (data) => {
+    const all = [...data].sort((a, b) => a.time - b.time);
+    const interval = detectMonthInterval(all.map(d => d.time));
+    const anchor = toMonthIndex(all[all.length - 1].time);
+    const sorted = all.filter(d => (anchor - toMonthIndex(d.time)) % interval === 0);
+
+    // 按缺口切分为连续段
+    const segments = [[sorted[0]]];
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = (toMonthIndex(sorted[i].time) - toMonthIndex(sorted[i - 1].time)) / interval;
+        if (gap > MAX_GAP + 1) {
+            segments.push([]);
+        }
+        segments[segments.length - 1].push(sorted[i]);
+    }
+    const segment = segments.reduce((best, current) => (current.length >= best.length ? current : best));
+
+    // 在段内按间隔补齐缺失时间点
+    const series = [];
+    for (let i = 0; i < segment.length; i++) {
+        series.push({ time: segment[i].time, value: segment[i].value, interpolated: false });
+        if (i === segment.length - 1) break;
+
+        const start = toMonthIndex(segment[i].time);
+        const end = toMonthIndex(segment[i + 1].time);
+        const steps = Math.round((end - start) / interval);
+        for (let k = 1; k < steps; k++) {
+            series.push({
+                time: fromMonthIndex(start + k * interval),
+                value: segment[i].value + (segment[i + 1].value - segment[i].value) * k / steps,
+                interpolated: true
+            });
+        }
+    }
+
+    return {
+        interval,
+        series,
+        interpolatedCount: series.filter(item => item.interpolated).length,
+        droppedCount: all.length - segment.length
+    };
+};
+
+/**
+ * 计算指定滞后期的自相关系数
+ */
+const autocorrelation = (values, lag) => {
+    const n = values.length;
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < n; i++) {
+        denominator += Math.pow(values[i] - mean, 2);
+        if (i + lag < n) {
+            numerator += (values[i] - mean) * (values[i + lag] - mean);
+        }
+    }
+    return denominator === 0 ? 0 : numerator / denominator;
+};
+
+/**
+ * 检测季节周期
+ * 候选周期为一年内的整数周期（月度数据为12、6、4、3、2，季度数据为4、2），
+ * 在一阶差分序列（去除趋势）的自相关函数上，选取为局部峰值、超过阈值且最大的周期；序列长度至少为周期的2倍
+ * @param {Array} values - 等间隔数值序列
+ * @param {number} interval - 采样间隔（月数）
+ * @returns {Object} {period, acf, candidates: [{period, acf}]}，未检测到季节性时 period 为 null
+ */
+const detectPeriod = (values, interval = 1) => {
+    const yearly = 12 / interval;
+    if (!Number.isInteger(yearly) || yearly < 2) {
+        return { period: null, acf: null, candidates: [] };
+    }
+
+    const differenced = values.slice(1).map((v, i) => v - values[i]);
+    const candidates = [];
+    for (let period = yearly; period >= 2; period--) {
+        if (yearly % period === 0 && values.length >= period * 2) {
+            const acf = autocorrelation(differenced, period);
+            // 局部峰值：高于相邻滞后期的自相关系数
+            const isPeak = acf > autocorrelation(differenced, period - 1) &&
+                acf > autocorrelation(differenced, period + 1);
+            candidates.push({ period, acf, isPeak });
+        }
+    }
+
+    const best = candidates
+        .filter(item => item.isPeak && item.acf >= ACF_THRESHOLD)
+        .reduce((acc, item) => (!acc || item.acf > acc.acf ? item : acc), null);
+
+    return {
+        period: best ? best.period : null,
+        acf: best ? best.acf : null,
+        candidates
+    };
+};
+
+/**
+ * 根据时间序列数据检测季节周期（供预测模型使用）
+ * 仅对年月格式的数据检测，年份数据返回null
+ * @param {Array} data - 时间序列 [{time, value}, ...]
+ * @returns {number|null} 季节周期
+ */
+const detectSeasonalPeriod = (data) => {
+    if (!data || data.length < 4 || !data.every(d => d.time >= 100000 && d.time <= 999999)) {
+        return null;
+    }
+    const { interval, series } = regularize(data);
+    return detectPeriod(series.map(item => item.value), interval).period;
+};
+
+/**
+ * 局部加权线性回归（LOESS）平滑
+ * @param {Array} values - 数值序列（null表示缺失）
+ * @param {number} span - 窗口大小（点数）
+ * @param {Array} weights - 稳健性权重（可选）
+ * @returns {Array} 平滑后的序列
+ */
+const loess = (values, span, weights = null) => {
+    const n = values.length;
+    const q = Math.min(Math.max(span, 2), n);
+    const result = [];
+
+    for (let i = 0; i < n; i++) {
+        // 取距离i最近的q个点
+        let left = Math.max(0, i - Math.floor(q / 2));
+        let right = left + q - 1;
+        if (right >= n) {
+            right = n - 1;
+            left = Math.max(0, right - q + 1);
+        }
+        const maxDist = Math.max(i - left, right - i) + 1;
+
+        let sw = 0, swx = 0, swy = 0, swxx = 0, swxy = 0;
+        for (let j = left; j <= right; j++) {
+            if (values[j] === null || values[j] === undefined) continue;
+            const u = Math.abs(j - i) / maxDist;
+            const w = Math.pow(1 - Math.pow(u, 3), 3) * (weights ? weights[j] : 1);
+            sw += w;
+            swx += w * j;
+            swy += w * values[j];
+            swxx += w * j * j;
+            swxy += w * j * values[j];
+        }
+
+        if (sw === 0) {
+            result.push(values[i] || 0);
+            continue;
+        }
+
+        const meanX = swx / sw;
+        const meanY = swy / sw;
+        const varX = swxx / sw - meanX * meanX;
+        const slope = varX > 1e-12 ? (swxy / sw - meanX * meanY) / varX : 0;
+        result.push(meanY + slope * (i - meanX));
+    }
+
+    return result;
+};
+
+/**
+ * 方差
+ */
+const variance = (values) => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+};
+
+/**
+ * STL风格的季节分解（加法模型：值 = 趋势 + 季节 + 残差）
+ * 内循环交替平滑周期子序列（季节）和去季节序列（趋势），外循环根据残差计算稳健性权重以降低异常值影响
+ * @param {Array} values - 等间隔数值序列
+ * @param {number} period - 季节周期
+ * @param {Object} options - 选项 {innerIterations, outerIterations, seasonalSpan, trendSpan}
+ * @returns {Object} {trend, seasonal, remainder}
+ */
+const stl = (values, period, options = {}) => {
+    const n = values.length;
+    const {
+        innerIterations = 2,
+        outerIterations = 1,
+        seasonalSpan = 7
+    } = options;
+    // 趋势窗口：取大于1.5倍周期的最小奇数
+    const trendSpan = options.trendSpan || (Math.ceil(1.5 * period) % 2 === 0 ? Math.ceil(1.5 * period) + 1 : Math.ceil(1.5 * period));
+
+    let trend = new Array(n).fill(0);
+    let seasonal = new Array(n).fill(0);
+    let robustWeights = new Array(n).fill(1);
+
+    for (let outer = 0; outer <= outerIterations; outer++) {
+        for (let inner = 0; inner < innerIterations; inner++) {
+            // 1. 去趋势后按周期位置拆分子序列并分别平滑
+            const detrended = values.map((v, i) => v - trend[i]);
+            const cycle = new Array(n).fill(0);
+            for (let position = 0; position < period; position++) {
+                const indices = [];
+                for (let i = position; i < n; i += period) {
+                    indices.push(i);
+                }
+                const subseries = indices.map(i => detrended[i]);
+                const subWeights = indices.map(i => robustWeights[i]);
+                // 子序列较短时退化为加权平均（周期性季节）
+                const smoothed = subseries.length >= seasonalSpan
+                    ? loess(subseries, seasonalSpan, subWeights)
+                    : new Array(subseries.length).fill(
+                        subseries.reduce((sum, v, k) => sum + v * subWeights[k], 0) /
+                        Math.max(subWeights.reduce((sum, w) => sum + w, 0), 1e-12)
+                    );
+                indices.forEach((i, k) => { cycle[i] = smoothed[k]; });
+            }
+
+            // 2. 去除季节分量中的低频部分（按周期滑动平均），保证各周期季节分量之和接近0
+            const lowPass = loess(cycle, Math.max(period + 1, 3));
+            seasonal = cycle.map((v, i) => v - lowPass[i]);
+
+            // 3. 平滑去季节序列得到趋势
+            const deseasonalized = values.map((v, i) => v - seasonal[i]);
+            trend = loess(deseasonalized, trendSpan, robustWeights);
+        }
+
+        // 稳健性权重（bisquare），残差越大权重越小
+        if (outer < outerIterations) {
+            const remainder = values.map((v, i) => v - trend[i] - seasonal[i]);
+            const sortedAbs = remainder.map(Math.abs).sort((a, b) => a - b);
+            const h = 6 * sortedAbs[Math.floor(n / 2)];
+            robustWeights = remainder.map(r => {
+                if (h === 0) return 1;
+                const u = Math.abs(r) / h;
+                return u < 1 ? Math.pow(1 - u * u, 2) : 0;
+            });
+        }
+    }
+
+    return {
+        trend,
+        seasonal,
+        remainder: values.map((v, i) => v - trend[i] - seasonal[i])
+    };
+};
+
+/**
+ * 分解时间序列
+ * @param {Array} data - 年月格式的时间序列 [{time, value}, ...]
+ * @param {Object} options - 选项 {period: 指定周期（默认自动检测）, robust: 是否稳健估计}
+ * @returns {Object} 分解结果
+ */
+const decompose = (data, options = {}) => {
+    if (!data || data.length < 4) {
+        throw new Error('季节分解至少需要4个数据点');
+    }
+    if (!data.every(d => d.time >= 100000 && d.time <= 999999)) {
+        throw new Error('季节分解仅支持年月格式的时间序列');
+    }
+
+    const { interval, series, interpolatedCount, droppedCount } = regularize(data);
+    const values = series.map(item => item.value);
+
+    const detection = detectPeriod(values, interval);
+    // 未检测到明显周期时按年度周期分解，此时季节强度通常较低
+    const period = options.period || detection.period || 12 / interval;
+
+    if (!Number.isInteger(period) || period < 2) {
+        throw new Error('无法确定季节周期，请通过 period 参数指定');
+    }
+    if (values.length < period * 2) {
+        throw new Error(`季节分解至少需要2个完整周期（${period * 2}个连续数据点），当前只有${values.length}个`);
+    }
+
+    const { trend, seasonal, remainder } = stl(values, period, {
+        outerIterations: options.robust === false ? 0 : 1
+    });
+
+    // 季节强度、趋势强度：max(0, 1 - Var(残差) / Var(分量 + 残差))
+    const varRemainder = variance(remainder);
+    const seasonalPlusRemainder = variance(seasonal.map((s, i) => s + remainder[i]));
+    const trendPlusRemainder = variance(trend.map((t, i) => t + remainder[i]));
+    const seasonalStrength = seasonalPlusRemainder > 0 ? Math.max(0, 1 - varRemainder / seasonalPlusRemainder) : 0;
+    const trendStrength = trendPlusRemainder > 0 ? Math.max(0, 1 - varRemainder / trendPlusRemainder) : 0;
+
+    // 各周期位置的平均季节效应（如各月份的季节因子）
+    const seasonalIndices = [];
+    for (let position = 0; position < period; position++) {
+        const items = series
+            .map((item, i) => ({ month: item.time % 100, value: seasonal[i] }))
+            .filter((_, i) => i % period === position);
+        seasonalIndices.push({
+            position: position + 1,
+            months: [...new Set(items.map(item => item.month))].sort((a, b) => a - b),
+            value: items.reduce((sum, item) => sum + item.value, 0) / items.length
+        });
+    }
+
+    return {
+        period,
+        periodDetected: !options.period && detection.period !== null,
+        interval,
+        acf: detection.acf,
+        candidates: detection.candidates,
+        seasonalStrength,
+        trendStrength,
+        interpolatedCount,
+        droppedCount,
+        range: {
+            start: series[0].time,
+            end: series[series.length - 1].time
+        },
+        components: series.map((item, i) => ({
+            time: item.time,
+            value: item.value,
+            interpolated: item.interpolated,
+            trend: trend[i],
+            seasonal: seasonal[i],
+            remainder: remainder[i]
+        })),
+        seasonalIndices
+    };
+};
+
+module.exports = {
+    detectMonthInterval,
+    detectPeriod,
+    detectSeasonalPeriod,
+    decompose
+};
@@ -0,0 +1,392 @@
+/**
+ * 登录会话服务
+ * 每次登录在 user_sessions 中创建一条会话，JWT 中携带会话ID（sid）
+ * 认证时校验会话未撤销、未过期且用户状态正常，用于登出、退出所有设备和管理员强制下线
+ * 会话同时是刷新令牌的载体：数据库只保存令牌的哈希，每次刷新轮换新令牌，并绑定登录设备的用户代理
+ */
+const crypto = require('crypto');
+const { query } = require('../../config/database');
+const passwordPolicyService = require('./passwordPolicyService');
+
+// 会话校验结果缓存时间（毫秒）；本进程内的撤销操作会立即清除缓存
+const CACHE_TTL = 30 * 1000;
+
+// 最近活动时间的更新间隔（毫秒），避免每个请求都写数据库
+const TOUCH_INTERVAL = 60 * 1000;
+
+// 刷新令牌轮换后的宽限时间（毫秒）：多个标签页同时刷新时，旧令牌在此时间内被再次使用不视为盗用
+const REUSE_GRACE = 30 * 1000;
+
+// 撤销原因
+const REVOKE_REASONS = {
+  logout: '用户登出',
+  logoutAll: '退出所有设备',
+  revoked: '用户下线该设备',
+  passwordChanged: '密码已修改',
+  passwordReset: '管理员重置密码',
+  roleChanged: '角色已变更',
+  statusChanged: '账户状态已变更',
+  forced: '管理员强制下线',
+  inactive: '账户已被禁用',
+  tokenReuse: '刷新令牌被重复使用',
+  deviceMismatch: '登录设备不匹配'
+};
+
+// 会话缓存 sid -> {userId, role, passwordChange, expiresAt, checkedAt, touchedAt}
+const cache = new Map();
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 计算 SHA-256 哈希（十六进制）
+ */
+const hash = (value) => crypto.createHash('sha256').update(String(value || '')).digest('hex');
+
+/**
+ * 生成刷新令牌，格式为 “会话ID.随机串”，便于按会话查找
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, tokenHash: hash(secret) };
+};
+
+/**
+ * 比较两个哈希值（常量时间）
+ */
+const hashEquals = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+/**
+ * 格式化会话记录
+ */
+const formatSession = (row, currentSessionId = null) => ({
+  id: row.id,
+  userId: row.user_id,
+  ip: row.ip_address,
+  userAgent: row.user_agent,
+  createdAt: row.created_at,
+  lastActiveAt: row.last_active_at,
+  expiresAt: row.expires_at,
+  current: row.id === currentSessionId
+});
+
+/**
+ * 清除用户的会话缓存
+ */
+const clearUserCache = (userId) => {
+  for (const [sid, entry] of cache) {
+    if (entry.userId === userId) {
+      cache.delete(sid);
+    }
+  }
+};
+
+/**
+ * 创建会话
+ * @param {number} userId - 用户ID
+ * @param {Object} info - {ip, userAgent, expiresIn: 有效期（秒）}
+ * @returns {Promise<Object>} {sessionId, refreshToken}
+ */
+const createSession = async (userId, info = {}) => {
+  try {
+    const id = crypto.randomUUID();
+    const { token, tokenHash } = generateRefreshToken(id);
+    await query(
+      `INSERT INTO user_sessions (id, user_id, ip_address, user_agent, device_hash, refresh_token_hash, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [
+        id,
+        userId,
+        info.ip ? String(info.ip).substring(0, 50) : null,
+        info.userAgent ? String(info.userAgent).substring(0, 500) : null,
+        hash(info.userAgent),
+        tokenHash,
+        info.expiresIn
+      ]
+    );
+    return { sessionId: id, refreshToken: token };
+  } catch (error) {
+    console.error('创建会话错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 校验会话
+ * 用户被禁用/封禁时同时撤销该用户的所有会话
+ * @param {string} sessionId - 会话ID
+ * @param {Object} payload - JWT 载荷 {id, role}
+ * @returns {Promise<string|null>} 无效时返回原因
+ */
+const validateSession = async (sessionId, payload) => {
+  try {
+    const now = Date.now();
+    const cached = cache.get(sessionId);
+    if (cached && now - cached.checkedAt < CACHE_TTL && cached.expiresAt > now) {
+      return cached.userId === payload.id && cached.role === payload.role ? null : '会话已失效，请重新登录';
+    }
+
+    const rows = await query(
+      `SELECT s.id, s.user_id, s.expires_at, s.revoked_at, s.revoke_reason, u.role, u.status,
+        u.must_change_password, u.password_changed_at, u.created_at
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = ?`,
+      [sessionId]
+    );
+    cache.delete(sessionId);
+
+    const session = rows[0];
+    if (!session || session.user_id !== payload.id) {
+      return '会话已失效，请重新登录';
+    }
+    if (session.revoked_at) {
+      return `会话已失效（${session.revoke_reason || '已撤销'}），请重新登录`;
+    }
+    if (new Date(session.expires_at).getTime() <= now) {
+      return '登录已过期，请重新登录';
+    }
+    if (session.status !== 'active') {
+      await revokeUserSessions(session.user_id, 'inactive');
+      return REVOKE_REASONS.inactive;
+    }
+    // 角色变更后旧令牌中的角色不再可信
+    if (session.role !== payload.role) {
+      await revokeUserSessions(session.user_id, 'roleChanged');
+      return `会话已失效（${REVOKE_REASONS.roleChanged}），请重新登录`;
+    }
+
+    cache.set(sessionId, {
+      userId: session.user_id,
+      role: session.role,
+      passwordChange: passwordPolicyService.getPasswordStatus(session).reason,
+      expiresAt: new Date(session.expires_at).getTime(),
+      checkedAt: now,
+      touchedAt: cached ? cached.touchedAt : 0
+    });
+    return null;
+  } catch (error) {
+    console.error('校验会话错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 使用刷新令牌换取新令牌（轮换）
+ * 旧令牌超过宽限时间后被再次使用、或用户代理与登录时不一致，视为令牌泄露并撤销整个会话
+ * @param {string} refreshToken - 刷新令牌
+ * @param {Object} info - {userAgent, expiresIn: 会话顺延的有效期（秒）}
+ * @returns {Promise<Object>} {sessionId, refreshToken, user: {id, username, role}}
+ */
+const rotateRefreshToken = async (refreshToken, info = {}) => {
+  try {
+    const separator = typeof refreshToken === 'string' ? refreshToken.indexOf('.') : -1;
+    if (separator <= 0) {
+      throw createError('刷新令牌无效，请重新登录', 401);
+    }
+    const sessionId = refreshToken.substring(0, separator);
+    const tokenHash = hash(refreshToken.substring(separator + 1));
+
+    const rows = await query(
+      `SELECT s.*, u.username, u.role, u.status
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = ?`,
+      [sessionId]
+    );
+    const session = rows[0];
+    if (!session || !session.refresh_token_hash) {
+      throw createError('刷新令牌无效，请重新登录', 401);
+    }
+    if (session.revoked_at) {
+      throw createError(`会话已失效（${session.revoke_reason || '已撤销'}），请重新登录`, 401);
+    }
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+      throw createError('登录已过期，请重新登录', 401);
+    }
+    if (session.status !== 'active') {
+      await revokeUserSessions(session.user_id, 'inactive');
+      throw createError(REVOKE_REASONS.inactive, 401);
+    }
+
+    const suspicious = (reason) => {
+      const error = createError(`会话已失效（${REVOKE_REASONS[reason]}），请重新登录`, 401);
+      error.revoked = true;
+      error.userId = session.user_id;
+      error.username = session.username;
+      return error;
+    };
+
+    if (session.device_hash && !hashEquals(session.device_hash, hash(info.userAgent))) {
+      await revokeSession(sessionId, 'deviceMismatch');
+      throw suspicious('deviceMismatch');
+    }
+
+    if (!hashEquals(session.refresh_token_hash, tokenHash)) {
+      const rotatedAt = session.rotated_at ? new Date(session.rotated_at).getTime() : 0;
+      if (hashEquals(session.previous_token_hash, tokenHash) && Date.now() - rotatedAt < REUSE_GRACE) {
+        throw createError('刷新令牌已更新', 401);
+      }
+      await revokeSession(sessionId, 'tokenReuse');
+      throw suspicious('tokenReuse');
+    }
+
+    // 条件更新，并发刷新时只有一个请求能轮换成功
+    const next = generateRefreshToken(sessionId);
+    const result = await query(
+      `UPDATE user_sessions
+      SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, rotated_at = NOW(),
+        last_active_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [next.tokenHash, info.expiresIn, sessionId, tokenHash]
+    );
+    if (result.affectedRows === 0) {
+      throw createError('刷新令牌已更新', 401);
+    }
+    cache.delete(sessionId);
+
+    return {
+      sessionId,
+      refreshToken: next.token,
+      user: { id: session.user_id, username: session.username, role: session.role }
+    };
+  } catch (error) {
+    if (!error.status) {
+      console.error('刷新令牌错误:', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * 获取会话用户需要修改密码的原因（initial: 初始密码, expired: 密码已过期），无需修改时返回 null
+ * 需在 validateSession 之后调用
+ */
+const getPasswordChangeReason = (sessionId) => {
+  const entry = cache.get(sessionId);
+  return entry ? entry.passwordChange : null;
+};
+
+/**
+ * 更新会话最近活动时间（异步，失败只打印错误）
+ */
+const touchSession = (sessionId) => {
+  const entry = cache.get(sessionId);
+  const now = Date.now();
+  if (!entry || now - entry.touchedAt < TOUCH_INTERVAL) {
+    return;
+  }
+  entry.touchedAt = now;
+  query('UPDATE user_sessions SET last_active_at = NOW() WHERE id = ?', [sessionId]).catch(error => {
+    console.error('更新会话活动时间失败:', error.message);
+  });
+};
+
+/**
+ * 撤销单个会话
+ * @param {string} sessionId - 会话ID
+ * @param {string} reason - 撤销原因（REVOKE_REASONS 的键）
+ * @param {number} userId - 限定会话所属用户（可选）
+ * @returns {Promise<boolean>} 是否撤销成功
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+  try {
+    const result = await query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+      WHERE id = ? AND revoked_at IS NULL${userId ? ' AND user_id = ?' : ''}`,
+      userId ? [REVOKE_REASONS[reason] || reason, sessionId, userId] : [REVOKE_REASONS[reason] || reason, sessionId]
+    );
+    cache.delete(sessionId);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('撤销会话错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 撤销用户的所有会话
+ * @param {number} userId - 用户ID
+ * @param {string} reason - 撤销原因（REVOKE_REASONS 的键）
+ * @param {string} exceptSessionId - 保留的会话（例如修改密码时保留当前会话）
+ * @returns {Promise<number>} 撤销的会话数
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  try {
+    const result = await query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL${exceptSessionId ? ' AND id != ?' : ''}`,
+      exceptSessionId
+        ? [REVOKE_REASONS[reason] || reason, userId, exceptSessionId]
+        : [REVOKE_REASONS[reason] || reason, userId]
+    );
+    clearUserCache(userId);
+    return result.affectedRows;
+  } catch (error) {
+    console.error('撤销用户会话错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取用户的有效会话
+ * @param {number} userId - 用户ID
+ * @param {string} currentSessionId - 当前会话ID（用于标记）
+ * @returns {Promise<Array>} 会话列表
+ */
+const getActiveSessions = async (userId, currentSessionId = null) => {
+  try {
+    const rows = await query(
+      `SELECT * FROM user_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_active_at DESC`,
+      [userId]
+    );
+    return rows.map(row => formatSession(row, currentSessionId));
+  } catch (error) {
+    console.error('获取会话列表错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 清理过期和已撤销超过30天的会话
+ * @returns {Promise<number>} 删除的记录数
+ */
+const cleanupSessions = async () => {
+  try {
+    const result = await query(
+      `DELETE FROM user_sessions
+      WHERE expires_at < DATE_SUB(NOW(), INTERVAL 30 DAY)
+        OR revoked_at < DATE_SUB(NOW(), INTERVAL 30 DAY)`
+    );
+    return result.affectedRows;
+  } catch (error) {
+    console.error('清理会话错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  REVOKE_REASONS,
+  createSession,
+  validateSession,
+  rotateRefreshToken,
+  getPasswordChangeReason,
+  touchSession,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions,
+  cleanupSessions
+};
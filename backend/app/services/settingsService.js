@@ -0,0 +1,440 @@
+/**
+ * 系统设置服务
+ * 运行时可修改的配置项保存在 system_settings 表，修改记录写入 system_setting_history
+ * 设置值缓存在内存中，服务通过 get() 同步读取，修改后立即生效，无需重启
+ */
+const { query } = require('../../config/database');
+const config = require('../../config/config');
+const llmConfig = require('../../config/llmConfig');
+
+/**
+ * 将 JWT 有效期字符串（如 7d、12h、30m、3600）转换为分钟
+ */
+const parseDurationMinutes = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    return 7 * 24 * 60;
+  }
+  const amount = parseInt(match[1]);
+  const unitMinutes = { s: 1 / 60, m: 1, h: 60, d: 24 * 60, '': 1 / 60 };
+  return Math.max(1, Math.round(amount * unitMinutes[match[2]]));
+};
+
+/**
+ * 设置项定义
+ * type: string | integer | number | boolean | enum
+ * 默认值取自 config.js / 环境变量，数据库中没有记录时使用默认值
+ */
+const DEFINITIONS = {
+  updateFrequency: {
+    label: '数据自动更新频率',
+    description: '仅保存设置，尚未接入自动更新任务',
+    group: 'data',
+    type: 'enum',
+    options: ['daily', 'weekly', 'monthly', 'manual'],
+    defaultValue: 'daily'
+  },
+  backupFrequency: {
+    label: '数据备份频率',
+    description: '仅保存设置，尚未接入自动备份任务',
+    group: 'data',
+    type: 'enum',
+    options: ['daily', 'weekly', 'monthly'],
+    defaultValue: 'daily'
+  },
+  sessionTimeout: {
+    label: '会话超时时间（分钟）',
+    description: '刷新令牌的有效期，超过该时间未使用需重新登录；每次刷新后顺延',
+    group: 'security',
+    type: 'integer',
+    min: 5,
+    max: 30 * 24 * 60,
+    defaultValue: parseDurationMinutes(config.jwt.expiresIn)
+  },
+  accessTokenTtl: {
+    label: '访问令牌有效期（分钟）',
+    description: '访问令牌过期后前端自动使用刷新令牌续期',
+    group: 'security',
+    type: 'integer',
+    min: 1,
+    max: 24 * 60,
+    defaultValue: parseDurationMinutes(config.jwt.accessExpiresIn)
+  },
+  loginMaxAttempts: {
+    label: '账户锁定前允许的连续登录失败次数',
+    group: 'security',
+    type: 'integer',
+    min: 1,
+    max: 100,
+    defaultValue: 5
+  },
+  loginIpMaxAttempts: {
+    label: '单个IP锁定前允许的连续登录失败次数',
+    group: 'security',
+    type: 'integer',
+    min: 1,
+    max: 1000,
+    defaultValue: 20
+  },
+  loginLockMinutes: {
+    label: '登录锁定时间（分钟）',
+    description: '锁定期间拒绝登录；超过该时间没有新的失败时失败次数清零',
+    group: 'security',
+    type: 'integer',
+    min: 1,
+    max: 24 * 60,
+    defaultValue: 15
+  },
+  loginCaptchaThreshold: {
+    label: '登录失败多少次后要求验证码',
+    description: '0 表示不启用验证码',
+    group: 'security',
+    type: 'integer',
+    min: 0,
+    max: 100,
+    defaultValue: 3
+  },
+  passwordMinLength: {
+    label: '密码最小长度',
+    group: 'security',
+    type: 'integer',
+    min: 6,
+    max: 64,
+    defaultValue: 8
+  },
+  passwordRequiredClasses: {
+    label: '密码至少包含的字符类型数',
+    description: '字符类型：大写字母、小写字母、数字、特殊字符',
+    group: 'security',
+    type: 'integer',
+    min: 1,
+    max: 4,
+    defaultValue: 3
+  },
+  passwordHistoryCount: {
+    label: '禁止重复使用最近几次的密码',
+    description: '0 表示不限制',
+    group: 'security',
+    type: 'integer',
+    min: 0,
+    max: 24,
+    defaultValue: 5
+  },
+  passwordExpiryDays: {
+    label: '密码有效期（天）',
+    description: '到期后登录需先修改密码，0 表示永不过期',
+    group: 'security',
+    type: 'integer',
+    min: 0,
+    max: 3650,
+    defaultValue: 0
+  },
+  maxUsers: {
+    label: '用户账户数上限',
+    description: '达到上限后不能再创建用户（包括已禁用的账户）',
+    group: 'security',
+    type: 'integer',
+    min: 1,
+    max: 100000,
+    defaultValue: 500
+  },
+  uploadMaxSize: {
+    label: '上传文件大小上限（字节）',
+    group: 'data',
+    type: 'integer',
+    min: 1024,
+    max: 1024 * 1024 * 1024,
+    defaultValue: config.upload.maxSize
+  },
+  llmTemperature: {
+    label: '大模型温度',
+    description: '数值越高回答越发散',
+    group: 'llm',
+    type: 'number',
+    min: 0,
+    max: 2,
+    defaultValue: llmConfig.defaultConfig.temperature
+  },
+  llmMaxTokens: {
+    label: '大模型最大输出Token数',
+    group: 'llm',
+    type: 'integer',
+    min: 100,
+    max: 32000,
+    defaultValue: llmConfig.defaultConfig.maxTokens
+  },
+  llmTimeout: {
+    label: '大模型调用超时（毫秒）',
+    group: 'llm',
+    type: 'integer',
+    min: 1000,
+    max: 600000,
+    defaultValue: llmConfig.defaultConfig.timeout
+  }
+};
+
+// 数据库中的设置值缓存 key -> {value, updatedBy, updatedAt}
+const cache = new Map();
+
+/**
+ * 创建带状态码的错误
+ */
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 校验并转换设置值（表单提交的数字和布尔值可能是字符串）
+ * @param {string} key - 设置项
+ * @param {*} value - 设置值
+ * @returns {*} 转换后的值
+ */
+const validateValue = (key, value) => {
+  const definition = DEFINITIONS[key];
+  if (!definition) {
+    throw createError(`未知的设置项: ${key}`, 400);
+  }
+  if (value === undefined || value === null || value === '') {
+    throw createError(`${definition.label}不能为空`, 400);
+  }
+
+  switch (definition.type) {
+    case 'boolean':
+      if (value === true || value === 'true' || value === 1 || value === '1') return true;
+      if (value === false || value === 'false' || value === 0 || value === '0') return false;
+      throw createError(`${definition.label}必须是布尔值`, 400);
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !isFinite(number)) {
+        throw createError(`${definition.label}必须是数字`, 400);
+      }
+      if (definition.type === 'integer' && !Number.isInteger(number)) {
+        throw createError(`${definition.label}必须是整数`, 400);
+      }
+      if ((definition.min !== undefined && number < definition.min) ||
+        (definition.max !== undefined && number > definition.max)) {
+        throw createError(`${definition.label}必须在 ${definition.min} 到 ${definition.max} 之间`, 400);
+      }
+      return number;
+    }
+    case 'enum':
+      if (!definition.options.includes(value)) {
+        throw createError(`${definition.label}可选值: ${definition.options.join(', ')}`, 400);
+      }
+      return value;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * 解析数据库中保存的值（JSON 编码的文本）
+ */
+const parseStoredValue = (raw) => {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+};
+
+/**
+ * 从数据库加载设置到缓存（服务启动时调用）
+ * 数据库中不合法的值（例如定义变更后）会被忽略并使用默认值
+ */
+const loadSettings = async () => {
+  try {
+    const rows = await query('SELECT setting_key, setting_value, updated_by, updated_at FROM system_settings');
+    cache.clear();
+    rows.forEach(row => {
+      if (!DEFINITIONS[row.setting_key]) {
+        return;
+      }
+      try {
+        cache.set(row.setting_key, {
+          value: validateValue(row.setting_key, parseStoredValue(row.setting_value)),
+          updatedBy: row.updated_by,
+          updatedAt: row.updated_at
+        });
+      } catch (error) {
+        console.warn(`⚠️  系统设置 ${row.setting_key} 的值无效，使用默认值:`, error.message);
+      }
+    });
+    return cache.size;
+  } catch (error) {
+    console.error('加载系统设置错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 读取设置值（同步，未设置时返回默认值）
+ * @param {string} key - 设置项
+ * @returns {*} 设置值
+ */
+const get = (key) => {
+  const definition = DEFINITIONS[key];
+  if (!definition) {
+    throw new Error(`未知的设置项: ${key}`);
+  }
+  return cache.has(key) ? cache.get(key).value : definition.defaultValue;
+};
+
+/**
+ * 获取全部设置（包含定义、当前值和默认值）
+ * @returns {Array} 设置列表
+ */
+const getAll = () => {
+  return Object.keys(DEFINITIONS).map(key => {
+    const { defaultValue, ...definition } = DEFINITIONS[key];
+    const stored = cache.get(key);
+    return {
+      key,
+      ...definition,
+      value: stored ? stored.value : defaultValue,
+      defaultValue,
+      isDefault: !stored,
+      updatedBy: stored ? stored.updatedBy : null,
+      updatedAt: stored ? stored.updatedAt : null
+    };
+  });
+};
+
+/**
+ * 批量更新设置，所有值校验通过后才写入；未变化的值不写历史
+ * @param {Object} values - {key: value}
+ * @param {number} userId - 修改人
+ * @returns {Promise<Array>} 发生变化的设置 [{key, oldValue, newValue}]
+ */
+const updateSettings = async (values, userId) => {
+  try {
+    if (!values || typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+      throw createError('请提供要修改的设置项', 400);
+    }
+
+    const validated = Object.keys(values).map(key => ({ key, value: validateValue(key, values[key]) }));
+    const changes = validated
+      .map(({ key, value }) => ({ key, oldValue: get(key), newValue: value }))
+      .filter(change => change.oldValue !== change.newValue);
+
+    for (const change of changes) {
+      const serialized = JSON.stringify(change.newValue);
+      await query(
+        `INSERT INTO system_settings (setting_key, setting_value, updated_by)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+        [change.key, serialized, userId]
+      );
+      await query(
+        'INSERT INTO system_setting_history (setting_key, old_value, new_value, changed_by) VALUES (?, ?, ?, ?)',
+        [change.key, JSON.stringify(change.oldValue), serialized, userId]
+      );
+      cache.set(change.key, { value: change.newValue, updatedBy: userId, updatedAt: new Date() });
+    }
+
+    return changes;
+  } catch (error) {
+    console.error('更新系统设置错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 恢复默认值（删除数据库中的记录）
+ * @param {string} key - 设置项
+ * @param {number} userId - 修改人
+ * @returns {Promise<Object|null>} 发生变化时返回 {key, oldValue, newValue}
+ */
+const resetSetting = async (key, userId) => {
+  try {
+    if (!DEFINITIONS[key]) {
+      throw createError(`未知的设置项: ${key}`, 400);
+    }
+    if (!cache.has(key)) {
+      return null;
+    }
+
+    const oldValue = get(key);
+    const newValue = DEFINITIONS[key].defaultValue;
+    await query('DELETE FROM system_settings WHERE setting_key = ?', [key]);
+    await query(
+      'INSERT INTO system_setting_history (setting_key, old_value, new_value, changed_by) VALUES (?, ?, ?, ?)',
+      [key, JSON.stringify(oldValue), JSON.stringify(newValue), userId]
+    );
+    cache.delete(key);
+
+    return { key, oldValue, newValue };
+  } catch (error) {
+    console.error('恢复默认设置错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 分页查询设置修改历史
+ * @param {Object} filters - {key}
+ * @param {Object} pagination - {page, pageSize}
+ * @returns {Promise<Object>} {list, total, page, pageSize, totalPages}
+ */
+const getHistory = async (filters = {}, pagination = {}) => {
+  try {
+    const { page = 1, pageSize = 20 } = pagination;
+    const conditions = [];
+    const params = [];
+
+    if (filters.key) {
+      conditions.push('h.setting_key = ?');
+      params.push(filters.key);
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM system_setting_history h ${whereClause}`, params);
+    const total = countResult[0]?.total || 0;
+
+    const rows = await query(
+      `SELECT h.*, u.username
+      FROM system_setting_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      ${whereClause}
+      ORDER BY h.created_at DESC, h.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, parseInt(pageSize), parseInt((page - 1) * pageSize)]
+    );
+
+    return {
+      list: rows.map(row => ({
+        id: row.id,
+        key: row.setting_key,
+        label: DEFINITIONS[row.setting_key] ? DEFINITIONS[row.setting_key].label : row.setting_key,
+        oldValue: parseStoredValue(row.old_value),
+        newValue: parseStoredValue(row.new_value),
+        changedBy: row.changed_by,
+        user: row.username || null,
+        time: row.created_at
+      })),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    };
+  } catch (error) {
+    console.error('获取设置历史错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFINITIONS,
+  loadSettings,
+  get,
+  getAll,
+  updateSettings,
+  resetSetting,
+  getHistory
+};
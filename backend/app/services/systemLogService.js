@@ -0,0 +1,215 @@
+/**
+ * 系统日志服务
+ * 写入审计日志，管理员查询和导出 system_logs
+ */
+const { query } = require('../../config/database');
+
+// 日志类型
+const LOG_TYPES = ['login', 'operation', 'error', 'system'];
+
+// 单次导出的最大条数
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * 格式化日志记录（与前端约定的字段）
+ */
+const formatLog = (row) => ({
+  id: row.id,
+  time: row.created_at,
+  type: row.log_type,
+  userId: row.user_id,
+  user: row.username || null,
+  action: row.action,
+  description: row.description,
+  ip: row.ip_address,
+  userAgent: row.user_agent,
+  status: row.status
+});
+
+/**
+ * 构建查询条件
+ * @param {Object} filters - {type, userId, username, startDate, endDate, keyword, status}
+ * @returns {Object} {whereClause, params}
+ */
+const buildWhere = (filters = {}) => {
+  const { type, userId, username, startDate, endDate, keyword, status } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (type && typeof type === 'string' && type.trim()) {
+    conditions.push('l.log_type = ?');
+    params.push(type.trim());
+  }
+
+  if (userId) {
+    conditions.push('l.user_id = ?');
+    params.push(parseInt(userId));
+  }
+
+  if (username && typeof username === 'string' && username.trim()) {
+    conditions.push('u.username LIKE ?');
+    params.push(`%${username.trim()}%`);
+  }
+
+  if (startDate && typeof startDate === 'string' && startDate.trim()) {
+    conditions.push('DATE(l.created_at) >= ?');
+    params.push(startDate.trim());
+  }
+
+  if (endDate && typeof endDate === 'string' && endDate.trim()) {
+    conditions.push('DATE(l.created_at) <= ?');
+    params.push(endDate.trim());
+  }
+
+  if (keyword && typeof keyword === 'string' && keyword.trim()) {
+    conditions.push('(l.action LIKE ? OR l.description LIKE ? OR l.ip_address LIKE ?)');
+    params.push(`%${keyword.trim()}%`, `%${keyword.trim()}%`, `%${keyword.trim()}%`);
+  }
+
+  if (status && typeof status === 'string' && status.trim()) {
+    conditions.push('l.status = ?');
+    params.push(status.trim());
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * 写入一条日志
+ * 未提供 userId 时按 username 查找用户（用于登录失败等未认证的请求）
+ * @param {Object} entry - {userId, username, type, action, description, ip, userAgent, status}
+ * @returns {Promise<number>} 日志ID
+ */
+const writeLog = async (entry) => {
+  try {
+    const {
+      userId = null,
+      username = null,
+      type = 'operation',
+      action,
+      description = null,
+      ip = null,
+      userAgent = null,
+      status = 'success'
+    } = entry;
+
+    const result = await query(
+      `INSERT INTO system_logs (user_id, log_type, action, description, ip_address, user_agent, status)
+      VALUES (COALESCE(?, (SELECT id FROM users WHERE username = ? LIMIT 1)), ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        username ? String(username) : null,
+        type,
+        String(action).substring(0, 100),
+        description,
+        ip ? String(ip).substring(0, 50) : null,
+        userAgent ? String(userAgent).substring(0, 500) : null,
+        status
+      ]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    console.error('写入系统日志错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 分页查询日志
+ * @param {Object} filters - 筛选条件
+ * @param {Object} pagination - {page, pageSize}
+ * @returns {Promise<Object>} {list, total, page, pageSize, totalPages}
+ */
+const getLogs = async (filters = {}, pagination = {}) => {
+  try {
+    const { page = 1, pageSize = 20 } = pagination;
+    const { whereClause, params } = buildWhere(filters);
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM system_logs l LEFT JOIN users u ON l.user_id = u.id ${whereClause}`,
+      params
+    );
+    const total = countResult[0]?.total || 0;
+
+    const offset = (page - 1) * pageSize;
+    const rows = await query(
+      `SELECT l.*, u.username
+      FROM system_logs l
+      LEFT JOIN users u ON l.user_id = u.id
+      ${whereClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, parseInt(pageSize), parseInt(offset)]
+    );
+
+    return {
+      list: rows.map(formatLog),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    };
+  } catch (error) {
+    console.error('获取系统日志错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 导出日志（最多 MAX_EXPORT_ROWS 条）
+ * @param {Object} filters - 筛选条件
+ * @returns {Promise<Object>} {columns, rows, truncated}
+ */
+const exportLogs = async (filters = {}) => {
+  try {
+    const { whereClause, params } = buildWhere(filters);
+
+    const rows = await query(
+      `SELECT l.*, u.username
+      FROM system_logs l
+      LEFT JOIN users u ON l.user_id = u.id
+      ${whereClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ?`,
+      [...params, MAX_EXPORT_ROWS + 1]
+    );
+
+    const logs = rows.slice(0, MAX_EXPORT_ROWS).map(formatLog);
+    const formatTime = (time) => {
+      if (!time) return '';
+      const date = new Date(time);
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    };
+
+    return {
+      columns: ['时间', '类型', '用户', '操作', '描述', 'IP地址', '用户代理', '状态'],
+      rows: logs.map(log => [
+        formatTime(log.time),
+        log.type,
+        log.user || (log.userId ? `#${log.userId}` : '系统'),
+        log.action,
+        log.description || '',
+        log.ip || '',
+        log.userAgent || '',
+        log.status === 'success' ? '成功' : '失败'
+      ]),
+      truncated: rows.length > MAX_EXPORT_ROWS
+    };
+  } catch (error) {
+    console.error('导出系统日志错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  LOG_TYPES,
+  MAX_EXPORT_ROWS,
+  writeLog,
+  getLogs,
+  exportLogs
+};
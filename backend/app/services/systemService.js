@@ -0,0 +1,193 @@
+/**
+ * 系统状态服务
+ * 采集进程和主机的运行指标、数据库连接池和大模型服务状态
+ */
+const os = require('os');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { getPool } = require('../../config/database');
+const llmService = require('./llmService');
+const llmConfig = require('../../config/llmConfig');
+const { getRequestStats } = require('../middleware/requestTracker');
+
+// 事件循环延迟监控（每次读取后重置，反映两次查询之间的情况）
+const EVENT_LOOP_RESOLUTION = 20;
+const eventLoopMonitor = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+eventLoopMonitor.enable();
+
+// CPU 采样间隔（首次查询时使用）
+const CPU_SAMPLE_INTERVAL = 200;
+
+// 上一次 CPU 采样 {host: {idle, total}, process: cpuUsage, time: hrtime}
+let lastCpuSample = null;
+
+/**
+ * 保留两位小数
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 采集 CPU 时间快照
+ */
+const takeCpuSample = () => {
+  let idle = 0;
+  let total = 0;
+  os.cpus().forEach(cpu => {
+    Object.values(cpu.times).forEach(time => {
+      total += time;
+    });
+    idle += cpu.times.idle;
+  });
+
+  return {
+    host: { idle, total },
+    process: process.cpuUsage(),
+    time: process.hrtime.bigint()
+  };
+};
+
+/**
+ * 计算两次采样之间的 CPU 使用率
+ * @returns {Promise<Object>} {usage: 主机CPU使用率%, process: 进程CPU使用率%, cores, loadAverage}
+ */
+const getCpuUsage = async () => {
+  if (!lastCpuSample) {
+    lastCpuSample = takeCpuSample();
+    await new Promise(resolve => setTimeout(resolve, CPU_SAMPLE_INTERVAL));
+  }
+
+  const current = takeCpuSample();
+  const idleDiff = current.host.idle - lastCpuSample.host.idle;
+  const totalDiff = current.host.total - lastCpuSample.host.total;
+  const elapsedMicros = Number(current.time - lastCpuSample.time) / 1000;
+  const processMicros = (current.process.user - lastCpuSample.process.user) +
+    (current.process.system - lastCpuSample.process.system);
+  const cores = os.cpus().length;
+
+  lastCpuSample = current;
+
+  return {
+    usage: totalDiff > 0 ? round((1 - idleDiff / totalDiff) * 100) : 0,
+    process: elapsedMicros > 0 ? round(processMicros / elapsedMicros / cores * 100) : 0,
+    cores,
+    loadAverage: os.loadavg().map(load => round(load))
+  };
+};
+
+/**
+ * 内存使用情况
+ */
+const getMemoryUsage = () => {
+  const total = os.totalmem();
+  const free = os.freemem();
+  const processMemory = process.memoryUsage();
+
+  return {
+    usage: round((1 - free / total) * 100),
+    total,
+    free,
+    process: {
+      rss: processMemory.rss,
+      heapUsed: processMemory.heapUsed,
+      heapTotal: processMemory.heapTotal
+    }
+  };
+};
+
+/**
+ * 事件循环延迟（毫秒）
+ */
+const getEventLoopLag = () => {
+  // 采样值包含采样间隔本身，需扣除
+  const toLag = (nanoseconds) => round(Math.max(0, nanoseconds / 1e6 - EVENT_LOOP_RESOLUTION));
+  const lag = {
+    mean: toLag(eventLoopMonitor.mean),
+    p99: toLag(eventLoopMonitor.percentile(99)),
+    max: toLag(eventLoopMonitor.max)
+  };
+  eventLoopMonitor.reset();
+  return lag;
+};
+
+/**
+ * 数据库连接池状态
+ * @returns {Promise<Object>} {connected, latency, connectionLimit, totalConnections, freeConnections, queuedRequests, error}
+ */
+const getDatabaseStatus = async () => {
+  let pool;
+  try {
+    pool = getPool();
+  } catch (error) {
+    return { connected: false, error: error.message };
+  }
+
+  // mysql2/promise 的连接池包装了底层回调式连接池
+  const corePool = pool.pool || {};
+  const status = {
+    connected: false,
+    latency: null,
+    connectionLimit: corePool.config ? corePool.config.connectionLimit : null,
+    totalConnections: corePool._allConnections ? corePool._allConnections.length : null,
+    freeConnections: corePool._freeConnections ? corePool._freeConnections.length : null,
+    queuedRequests: corePool._connectionQueue ? corePool._connectionQueue.length : null
+  };
+
+  try {
+    const start = Date.now();
+    await pool.query('SELECT 1');
+    status.connected = true;
+    status.latency = Date.now() - start;
+  } catch (error) {
+    status.error = error.message;
+  }
+
+  return status;
+};
+
+/**
+ * 大模型服务状态
+ */
+const getLLMStatus = () => {
+  const config = llmConfig.getConfig();
+  return {
+    available: llmService.isAvailable(),
+    enabled: !!config.enabled,
+    provider: config.provider,
+    model: config.model
+  };
+};
+
+/**
+ * 获取系统状态
+ * @returns {Promise<Object>} 系统状态
+ */
+const getSystemStatus = async () => {
+  try {
+    const [cpu, database] = await Promise.all([getCpuUsage(), getDatabaseStatus()]);
+
+    return {
+      timestamp: new Date().toISOString(),
+      cpu,
+      memory: getMemoryUsage(),
+      eventLoopLag: getEventLoopLag(),
+      uptime: {
+        process: Math.floor(process.uptime()),
+        host: Math.floor(os.uptime())
+      },
+      host: {
+        hostname: os.hostname(),
+        platform: os.platform(),
+        nodeVersion: process.version
+      },
+      database,
+      llm: getLLMStatus(),
+      requests: getRequestStats()
+    };
+  } catch (error) {
+    console.error('获取系统状态错误:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getSystemStatus
+};
@@ -27,7 +27,8 @@ const findByUsername = async (username) => {
 const findById = async (id) => {
   try {
     const results = await query(
-      'SELECT id, username, email, phone, real_name, role, status, avatar, created_at FROM users WHERE id = ?',
+      `SELECT id, username, email, phone, real_name, role, status, avatar, created_at, must_change_password, password_changed_at
+      FROM users WHERE id = ?`,
       [id]
     );
     return results[0] || null;
@@ -44,21 +45,55 @@ const verifyPassword = async (plainPassword, hashedPassword) => {
   return await bcrypt.compare(plainPassword, hashedPassword);
 };
 
+// 每个用户最多保留的历史密码数（与系统设置 passwordHistoryCount 的上限一致）
+const MAX_PASSWORD_HISTORY = 24;
+
+/**
+ * 记录历史密码，只保留最近 MAX_PASSWORD_HISTORY 条
+ */
+const addPasswordHistory = async (userId, hashedPassword) => {
+  await query('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)', [userId, hashedPassword]);
+  await query(
+    `DELETE FROM password_history
+    WHERE user_id = ? AND id NOT IN (
+      SELECT id FROM (SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?) recent
+    )`,
+    [userId, userId, MAX_PASSWORD_HISTORY]
+  );
+};
+
 /**
  * 创建用户
+ * mustChangePassword 为 true 时首次登录必须修改密码
+ * maxUsers 为用户账户数上限：计数和插入在同一条语句中完成，达到上限时抛出 status 为 400 的错误
  */
 const createUser = async (userData) => {
   try {
-    const { username, password, email, phone, real_name, role } = userData;
+    const { username, password, email, phone, real_name, role, status, mustChangePassword, maxUsers } = userData;
     
     // 加密密码
     const hashedPassword = await bcrypt.hash(password, config.bcrypt.rounds);
     
-    const result = await query(
-      `INSERT INTO users (username, password, email, phone, real_name, role, status) 
-       VALUES (?, ?, ?, ?, ?, ?, 'active')`,
-      [username, hashedPassword, email || null, phone || null, real_name || null, role || 'normal_user']
-    );
+    const values = [username, hashedPassword, email || null, phone || null, real_name || null, role || 'normal_user', status || 'active', mustChangePassword ? 1 : 0];
+    const result = maxUsers
+      ? await query(
+        `INSERT INTO users (username, password, email, phone, real_name, role, status, must_change_password, password_changed_at) 
+         SELECT ?, ?, ?, ?, ?, ?, ?, ?, NOW()
+         FROM (SELECT COUNT(*) AS total FROM users) counted
+         WHERE counted.total < ?`,
+        [...values, maxUsers]
+      )
+      : await query(
+        `INSERT INTO users (username, password, email, phone, real_name, role, status, must_change_password, password_changed_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        values
+      );
+    if (result.affectedRows === 0) {
+      const error = new Error(`用户数已达到上限（${maxUsers}），请先删除不再使用的账户或在系统设置中调整上限`);
+      error.status = 400;
+      throw error;
+    }
+    await addPasswordHistory(result.insertId, hashedPassword);
     
     return result.insertId;
   } catch (error) {
@@ -91,11 +126,17 @@ const updateUser = async (id, userData) => {
       fields.push('avatar = ?');
       values.push(userData.avatar);
     }
+    let hashedPassword = null;
     if (userData.password) {
-      const hashedPassword = await bcrypt.hash(userData.password, config.bcrypt.rounds);
-      fields.push('password = ?');
+      hashedPassword = await bcrypt.hash(userData.password, config.bcrypt.rounds);
+      fields.push('password = ?', 'password_changed_at = NOW()');
       values.push(hashedPassword);
     }
+    // 修改密码时同时设置是否需要在下次登录时修改（管理员重置为 true，本人修改为 false）
+    if (userData.mustChangePassword !== undefined) {
+      fields.push('must_change_password = ?');
+      values.push(userData.mustChangePassword ? 1 : 0);
+    }
     
     if (fields.length === 0) {
       return null;
@@ -107,6 +148,9 @@ const updateUser = async (id, userData) => {
       `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
       values
     );
+    if (hashedPassword) {
+      await addPasswordHistory(id, hashedPassword);
+    }
     
     return await findById(id);
   } catch (error) {
@@ -167,13 +211,219 @@ const getUserRoleStats = async () => {
   }
 };
 
+// 用户角色和状态
+const USER_ROLES = ['admin', 'decision_user', 'normal_user'];
+const USER_STATUSES = ['active', 'inactive', 'banned'];
+
+/**
+ * 格式化用户列表记录（不包含密码）
+ */
+const formatUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  phone: row.phone,
+  real_name: row.real_name,
+  role: row.role,
+  status: row.status,
+  avatar: row.avatar,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  mustChangePassword: !!row.must_change_password,
+  lastLogin: row.last_login || null,
+  lockedUntil: row.locked_until || null
+});
+
+/**
+ * 分页查询用户（管理员）
+ * @param {Object} filters - {role, status, days, keyword}
+ * @param {Object} pagination - {page, pageSize}
+ * @returns {Promise<Object>} {list, total, page, pageSize, totalPages}
+ */
+const getUsers = async (filters = {}, pagination = {}) => {
+  try {
+    const { role, status, days, keyword } = filters;
+    const { page = 1, pageSize = 20 } = pagination;
+    const conditions = [];
+    const params = [];
+
+    if (role) {
+      conditions.push('u.role = ?');
+      params.push(role);
+    }
+
+    if (status) {
+      conditions.push('u.status = ?');
+      params.push(status);
+    }
+
+    if (days) {
+      conditions.push('u.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)');
+      params.push(parseInt(days));
+    }
+
+    if (keyword && keyword.trim()) {
+      conditions.push('(u.username LIKE ? OR u.email LIKE ? OR u.real_name LIKE ? OR u.phone LIKE ?)');
+      const like = `%${keyword.trim()}%`;
+      params.push(like, like, like, like);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM users u ${whereClause}`, params);
+    const total = countResult[0]?.total || 0;
+
+    // 最后登录时间取自系统日志中最近一次成功登录
+    const rows = await query(
+      `SELECT u.id, u.username, u.email, u.phone, u.real_name, u.role, u.status, u.avatar, u.created_at, u.updated_at,
+        u.must_change_password,
+        (SELECT MAX(l.created_at) FROM system_logs l
+          WHERE l.user_id = u.id AND l.log_type = 'login' AND l.action = '用户登录' AND l.status = 'success') as last_login,
+        (SELECT ll.locked_until FROM login_locks ll
+          WHERE ll.scope = 'username' AND ll.identifier = LOWER(u.username) AND ll.locked_until > NOW()) as locked_until
+      FROM users u
+      ${whereClause}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, parseInt(pageSize), parseInt((page - 1) * pageSize)]
+    );
+
+    return {
+      list: rows.map(formatUser),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    };
+  } catch (error) {
+    console.error('获取用户列表错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 检查用户名是否已存在（包含非正常状态的用户）
+ */
+const usernameExists = async (username) => {
+  try {
+    const results = await query('SELECT id FROM users WHERE username = ?', [username]);
+    return results.length > 0;
+  } catch (error) {
+    console.error('检查用户名错误:', error);
+    throw error;
+  }
+};
+
+// 最后一个正常状态的管理员不能被降级、禁用或删除
+const LAST_ADMIN_MESSAGE = '系统至少需要保留一个正常状态的管理员';
+
+/**
+ * 在事务中执行可能使管理员失去管理员身份的操作
+ * 先锁定所有正常状态的管理员行再检查数量，并发的降级、禁用或删除会依次执行，不会同时通过检查
+ * @param {number} id - 目标用户ID
+ * @param {Function} action - (connection) => Promise，在同一事务中执行修改
+ * @throws {Error} 目标是最后一个正常状态的管理员时抛出 status 为 400 的错误
+ */
+const withAdminGuard = async (id, action) => {
+  let connection;
+  try {
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+
+    const [admins] = await connection.query(
+      "SELECT id FROM users WHERE role = 'admin' AND status = 'active' FOR UPDATE"
+    );
+    if (admins.length <= 1 && admins.some(admin => admin.id === parseInt(id))) {
+      const error = new Error(LAST_ADMIN_MESSAGE);
+      error.status = 400;
+      throw error;
+    }
+
+    const result = await action(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * 修改用户角色和状态（管理员）
+ * 降级或禁用管理员时检查是否为最后一个正常状态的管理员（见 withAdminGuard）
+ * @param {number} id - 用户ID
+ * @param {Object} changes - {role, status}
+ */
+const updateRoleAndStatus = async (id, changes) => {
+  try {
+    const fields = [];
+    const values = [];
+
+    if (changes.role !== undefined) {
+      fields.push('role = ?');
+      values.push(changes.role);
+    }
+    if (changes.status !== undefined) {
+      fields.push('status = ?');
+      values.push(changes.status);
+    }
+
+    if (fields.length === 0) {
+      return await findById(id);
+    }
+
+    values.push(id);
+    const update = (connection) => connection.query(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, values);
+    const losesAdmin = (changes.role !== undefined && changes.role !== 'admin') ||
+      (changes.status !== undefined && changes.status !== 'active');
+    if (losesAdmin) {
+      await withAdminGuard(id, update);
+    } else {
+      await update(getPool());
+    }
+
+    return await findById(id);
+  } catch (error) {
+    console.error('修改用户角色状态错误:', error);
+    throw error;
+  }
+};
+
+/**
+ * 删除用户
+ * 用户的收藏、预测记录、情景等随用户删除，上传的数据和日志保留（关联置空）
+ * 不能删除最后一个正常状态的管理员（见 withAdminGuard）
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+const deleteUser = async (id) => {
+  try {
+    const [result] = await withAdminGuard(id, connection => connection.query('DELETE FROM users WHERE id = ?', [id]));
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('删除用户错误:', error);
+    throw error;
+  }
+};
+
 module.exports = {
+  USER_ROLES,
+  USER_STATUSES,
   findByUsername,
   findById,
   verifyPassword,
   createUser,
   updateUser,
   getUserStats,
-  getUserRoleStats
+  getUserRoleStats,
+  getUsers,
+  usernameExists,
+  updateRoleAndStatus,
+  deleteUser
 };
 
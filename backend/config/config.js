@@ -4,6 +4,18 @@ module.exports = {
   // 服务器配置
   port: process.env.PORT || 5000,
   env: process.env.NODE_ENV || 'development',
+  // 信任的反向代理（Express trust proxy）：默认不信任，此时忽略 X-Forwarded-For，客户端IP为直接连接的地址
+  // 部署在反向代理之后时设置为代理地址（如 loopback、10.0.0.1，多个用逗号分隔）或代理层数（如 1）
+  trustProxy: (() => {
+    const value = (process.env.TRUST_PROXY || '').trim();
+    if (!value || value === 'false') {
+      return false;
+    }
+    if (/^\d+$/.test(value)) {
+      return parseInt(value);
+    }
+    return value === 'true' ? true : value.split(',').map(item => item.trim()).filter(Boolean);
+  })(),
   
   // 数据库配置（MySQL）
   database: {
@@ -25,7 +37,9 @@ module.exports = {
   // JWT配置
   jwt: {
     secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key',
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: process.env.JWT_EXPIRE || '7d',
+    // 访问令牌有效期，过期后前端使用刷新令牌换取新的访问令牌
+    accessExpiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   },
   
   // 加密配置
@@ -39,6 +53,16 @@ module.exports = {
     maxSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB
   },
   
+  // 预测任务配置
+  prediction: {
+    workerPoolSize: parseInt(process.env.PREDICTION_WORKERS) || Math.max(1, require('os').cpus().length - 1),
+    jobTimeout: parseInt(process.env.PREDICTION_JOB_TIMEOUT) || 300000, // 5分钟
+    // 排队等待的任务总数上限
+    maxQueueLength: parseInt(process.env.PREDICTION_MAX_QUEUE) || 100,
+    // 每个用户排队和运行中的任务数上限
+    maxJobsPerUser: parseInt(process.env.PREDICTION_MAX_JOBS_PER_USER) || 5
+  },
+  
   // 日志配置
   log: {
     level: process.env.LOG_LEVEL || 'info',
@@ -49,7 +73,7 @@ module.exports = {
   cors: {
     origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000', 'http://127.0.0.1:3000'],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
   },
   
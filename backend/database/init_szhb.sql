@@ -98,6 +98,39 @@ INSERT INTO `data` VALUES (22,'2020年湖北省研发经费投入统计','科技
 /*!40000 ALTER TABLE `data` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `data_quarantine`
+--
+
+DROP TABLE IF EXISTS `data_quarantine`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `data_quarantine` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `data_id` int NOT NULL COMMENT '数据ID',
+  `source` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '来源：upload, local_sync',
+  `line_no` int NOT NULL COMMENT '在源文件中的行号或条目序号',
+  `raw_data` json NOT NULL COMMENT '原始内容',
+  `issues` json NOT NULL COMMENT '未通过校验的原因',
+  `created_by` int DEFAULT NULL COMMENT '操作人',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '隔离时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_data_source` (`data_id`,`source`),
+  KEY `created_by` (`created_by`),
+  CONSTRAINT `data_quarantine_ibfk_1` FOREIGN KEY (`data_id`) REFERENCES `data` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `data_quarantine_ibfk_2` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='导入时隔离的无效数据行';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `data_quarantine`
+--
+
+LOCK TABLES `data_quarantine` WRITE;
+/*!40000 ALTER TABLE `data_quarantine` DISABLE KEYS */;
+/*!40000 ALTER TABLE `data_quarantine` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `data_records`
 --
@@ -130,6 +163,196 @@ INSERT INTO `data_records` VALUES (1968,22,'2020-01-01',78.0000,'2020年1月','{
 /*!40000 ALTER TABLE `data_records` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `data_version_records`
+--
+
+DROP TABLE IF EXISTS `data_version_records`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `data_version_records` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `version_id` int NOT NULL COMMENT '版本ID',
+  `data_id` int NOT NULL COMMENT '数据ID',
+  `version` int NOT NULL COMMENT '版本号',
+  `record_id` int NOT NULL COMMENT '对应的数据记录ID',
+  `change_type` enum('added','changed','removed') COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '相对上一版本的变更类型',
+  `record_date` date DEFAULT NULL COMMENT '记录日期（删除时为空）',
+  `value` decimal(20,4) DEFAULT NULL COMMENT '数值',
+  `text_value` text COLLATE utf8mb4_unicode_ci COMMENT '文本值',
+  `metadata` json DEFAULT NULL COMMENT '元数据（JSON格式）',
+  PRIMARY KEY (`id`),
+  KEY `idx_data_record_version` (`data_id`,`record_id`,`version`),
+  KEY `idx_data_version` (`data_id`,`version`),
+  KEY `version_id` (`version_id`),
+  CONSTRAINT `data_version_records_ibfk_1` FOREIGN KEY (`version_id`) REFERENCES `data_versions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='数据版本的记录变更（相对上一版本新增、修改、删除的记录）';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `data_version_records`
+--
+
+LOCK TABLES `data_version_records` WRITE;
+/*!40000 ALTER TABLE `data_version_records` DISABLE KEYS */;
+/*!40000 ALTER TABLE `data_version_records` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `data_versions`
+--
+
+DROP TABLE IF EXISTS `data_versions`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `data_versions` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `data_id` int NOT NULL COMMENT '数据ID',
+  `version` int NOT NULL COMMENT '版本号（从1开始）',
+  `title` varchar(200) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '数据标题',
+  `category` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '数据类别',
+  `description` text COLLATE utf8mb4_unicode_ci COMMENT '数据描述',
+  `source` varchar(200) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '数据来源',
+  `data_type` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '数据类型',
+  `record_count` int NOT NULL DEFAULT '0' COMMENT '记录数',
+  `change_note` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '修改说明',
+  `created_by` int DEFAULT NULL COMMENT '修改人',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '版本时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_data_version` (`data_id`,`version`),
+  KEY `created_by` (`created_by`),
+  CONSTRAINT `data_versions_ibfk_1` FOREIGN KEY (`data_id`) REFERENCES `data` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `data_versions_ibfk_2` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='数据版本表（不可修改）';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `data_versions`
+--
+
+LOCK TABLES `data_versions` WRITE;
+/*!40000 ALTER TABLE `data_versions` DISABLE KEYS */;
+/*!40000 ALTER TABLE `data_versions` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `local_data_imports`
+--
+
+DROP TABLE IF EXISTS `local_data_imports`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `local_data_imports` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `filename` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '本地数据文件名',
+  `data_id` int NOT NULL COMMENT '对应的数据ID',
+  `file_hash` char(64) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '最近一次同步时的文件SHA-256',
+  `record_count` int NOT NULL DEFAULT '0' COMMENT '同步的记录数',
+  `imported_by` int DEFAULT NULL COMMENT '最近一次同步的用户（命令行同步时为空）',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '首次同步时间',
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '最近同步时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_filename` (`filename`),
+  KEY `data_id` (`data_id`),
+  KEY `imported_by` (`imported_by`),
+  CONSTRAINT `local_data_imports_ibfk_1` FOREIGN KEY (`data_id`) REFERENCES `data` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `local_data_imports_ibfk_2` FOREIGN KEY (`imported_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='本地数据文件同步记录表';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `local_data_imports`
+--
+
+LOCK TABLES `local_data_imports` WRITE;
+/*!40000 ALTER TABLE `local_data_imports` DISABLE KEYS */;
+/*!40000 ALTER TABLE `local_data_imports` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `login_locks`
+--
+
+DROP TABLE IF EXISTS `login_locks`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `login_locks` (
+  `scope` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '统计维度：username, ip',
+  `identifier` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '用户名（小写）或IP地址',
+  `failed_count` int NOT NULL DEFAULT '0' COMMENT '连续失败次数',
+  `last_failed_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '最近失败时间',
+  `locked_until` timestamp NULL DEFAULT NULL COMMENT '锁定截止时间',
+  PRIMARY KEY (`scope`,`identifier`),
+  KEY `idx_locked_until` (`locked_until`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='登录失败计数与锁定表';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `login_locks`
+--
+
+LOCK TABLES `login_locks` WRITE;
+/*!40000 ALTER TABLE `login_locks` DISABLE KEYS */;
+/*!40000 ALTER TABLE `login_locks` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `password_history`
+--
+
+DROP TABLE IF EXISTS `password_history`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `password_history` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL COMMENT '用户ID',
+  `password_hash` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '密码（加密）',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '设置时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_user_id` (`user_id`),
+  CONSTRAINT `password_history_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='历史密码表';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `password_history`
+--
+
+LOCK TABLES `password_history` WRITE;
+/*!40000 ALTER TABLE `password_history` DISABLE KEYS */;
+/*!40000 ALTER TABLE `password_history` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `prediction_scenarios`
+--
+
+DROP TABLE IF EXISTS `prediction_scenarios`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `prediction_scenarios` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL COMMENT '用户ID',
+  `name` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '情景名称',
+  `description` text COLLATE utf8mb4_unicode_ci COMMENT '情景说明',
+  `definition` json NOT NULL COMMENT '情景定义（基准/乐观/悲观冲击，JSON格式）',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_user_name` (`user_id`,`name`),
+  CONSTRAINT `prediction_scenarios_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='预测情景表';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `prediction_scenarios`
+--
+
+LOCK TABLES `prediction_scenarios` WRITE;
+/*!40000 ALTER TABLE `prediction_scenarios` DISABLE KEYS */;
+/*!40000 ALTER TABLE `prediction_scenarios` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `predictions`
 --
@@ -141,7 +364,7 @@ CREATE TABLE `predictions` (
   `id` int NOT NULL AUTO_INCREMENT,
   `user_id` int NOT NULL COMMENT '用户ID',
   `title` varchar(200) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '预测任务标题',
-  `data_id` int NOT NULL COMMENT '数据ID',
+  `data_id` int DEFAULT NULL COMMENT '数据ID（基于本地数据文件的预测为空）',
   `model_type` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '模型类型',
   `parameters` json DEFAULT NULL COMMENT '模型参数（JSON格式）',
   `result` json DEFAULT NULL COMMENT '预测结果（JSON格式）',
@@ -166,6 +389,33 @@ LOCK TABLES `predictions` WRITE;
 /*!40000 ALTER TABLE `predictions` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `role_permissions`
+--
+
+DROP TABLE IF EXISTS `role_permissions`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `role_permissions` (
+  `role` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '角色',
+  `permissions` text COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '权限点列表（JSON数组）',
+  `updated_by` int DEFAULT NULL COMMENT '修改人',
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '修改时间',
+  PRIMARY KEY (`role`),
+  KEY `updated_by` (`updated_by`),
+  CONSTRAINT `role_permissions_ibfk_1` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='角色权限表（未配置的角色使用默认权限）';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `role_permissions`
+--
+
+LOCK TABLES `role_permissions` WRITE;
+/*!40000 ALTER TABLE `role_permissions` DISABLE KEYS */;
+/*!40000 ALTER TABLE `role_permissions` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `system_logs`
 --
@@ -181,10 +431,12 @@ CREATE TABLE `system_logs` (
   `description` text COLLATE utf8mb4_unicode_ci COMMENT '描述',
   `ip_address` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT 'IP地址',
   `user_agent` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '用户代理',
+  `status` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'success' COMMENT '结果：success, failure',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
   PRIMARY KEY (`id`),
   KEY `idx_user_id` (`user_id`),
   KEY `idx_log_type` (`log_type`),
+  KEY `idx_status` (`status`),
   KEY `idx_created_at` (`created_at`),
   CONSTRAINT `system_logs_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='系统日志表';
@@ -199,6 +451,62 @@ LOCK TABLES `system_logs` WRITE;
 /*!40000 ALTER TABLE `system_logs` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `system_setting_history`
+--
+
+DROP TABLE IF EXISTS `system_setting_history`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `system_setting_history` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `setting_key` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '设置项',
+  `old_value` text COLLATE utf8mb4_unicode_ci COMMENT '修改前的值（JSON编码）',
+  `new_value` text COLLATE utf8mb4_unicode_ci COMMENT '修改后的值（JSON编码）',
+  `changed_by` int DEFAULT NULL COMMENT '修改人ID',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '修改时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_setting_key` (`setting_key`),
+  KEY `idx_created_at` (`created_at`),
+  CONSTRAINT `system_setting_history_ibfk_1` FOREIGN KEY (`changed_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='系统设置修改历史表';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `system_setting_history`
+--
+
+LOCK TABLES `system_setting_history` WRITE;
+/*!40000 ALTER TABLE `system_setting_history` DISABLE KEYS */;
+/*!40000 ALTER TABLE `system_setting_history` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `system_settings`
+--
+
+DROP TABLE IF EXISTS `system_settings`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `system_settings` (
+  `setting_key` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '设置项',
+  `setting_value` text COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '设置值（JSON编码）',
+  `updated_by` int DEFAULT NULL COMMENT '修改人ID',
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '修改时间',
+  PRIMARY KEY (`setting_key`),
+  CONSTRAINT `system_settings_ibfk_1` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='系统设置表';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `system_settings`
+--
+
+LOCK TABLES `system_settings` WRITE;
+/*!40000 ALTER TABLE `system_settings` DISABLE KEYS */;
+/*!40000 ALTER TABLE `system_settings` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `user_favorites`
 --
@@ -229,6 +537,43 @@ LOCK TABLES `user_favorites` WRITE;
 /*!40000 ALTER TABLE `user_favorites` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `user_sessions`
+--
+
+DROP TABLE IF EXISTS `user_sessions`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `user_sessions` (
+  `id` varchar(36) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '会话ID（JWT中的sid）',
+  `user_id` int NOT NULL COMMENT '用户ID',
+  `ip_address` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '登录IP',
+  `user_agent` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '用户代理',
+  `device_hash` char(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '设备指纹（用户代理的SHA-256）',
+  `refresh_token_hash` char(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '当前刷新令牌的SHA-256',
+  `previous_token_hash` char(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '上一个刷新令牌的SHA-256（用于识别重复使用）',
+  `rotated_at` timestamp NULL DEFAULT NULL COMMENT '刷新令牌最近轮换时间',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '登录时间',
+  `last_active_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '最近活动时间',
+  `expires_at` timestamp NOT NULL COMMENT '过期时间（刷新令牌有效期，每次刷新后顺延）',
+  `revoked_at` timestamp NULL DEFAULT NULL COMMENT '撤销时间',
+  `revoke_reason` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '撤销原因',
+  PRIMARY KEY (`id`),
+  KEY `idx_user_id` (`user_id`),
+  KEY `idx_expires_at` (`expires_at`),
+  CONSTRAINT `user_sessions_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='用户登录会话表';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `user_sessions`
+--
+
+LOCK TABLES `user_sessions` WRITE;
+/*!40000 ALTER TABLE `user_sessions` DISABLE KEYS */;
+/*!40000 ALTER TABLE `user_sessions` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `users`
 --
@@ -248,6 +593,8 @@ CREATE TABLE `users` (
   `avatar` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '头像URL',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  `must_change_password` tinyint(1) NOT NULL DEFAULT '0' COMMENT '下次登录是否必须修改密码',
+  `password_changed_at` timestamp NULL DEFAULT NULL COMMENT '密码最近修改时间',
   PRIMARY KEY (`id`),
   UNIQUE KEY `username` (`username`),
   KEY `idx_username` (`username`),
@@ -262,7 +609,7 @@ CREATE TABLE `users` (
 
 LOCK TABLES `users` WRITE;
 /*!40000 ALTER TABLE `users` DISABLE KEYS */;
-INSERT INTO `users` VALUES (1,'admin','$2a$10$TUqBAMLhC6ySXbc7q/20euRQn92mU5ABpn5sUeP3S49/8K86aWtmm','admin@szhb.gov.cn',NULL,'系统管理员','admin','active',NULL,'2025-11-11 07:32:20','2025-11-11 07:36:39'),(2,'normal_user','$2a$10$dY6p5L28LidSIVEoRFf3v.W/RVypL40y6bnwg6f74XB612HLlzU9e','user@szhb.gov.cn',NULL,'普通用户','normal_user','active',NULL,'2025-11-11 07:36:39','2025-11-11 07:36:39'),(3,'decision_user','$2a$10$5jX6CgEHsY8wMn35F9Am4.OcPlF3undVLAP86xQvb9ih1t3IN8GF6','decision@szhb.gov.cn',NULL,'决策用户','decision_user','active',NULL,'2025-11-11 07:36:39','2025-11-11 07:36:39');
+INSERT INTO `users` VALUES (1,'admin','$2a$10$TUqBAMLhC6ySXbc7q/20euRQn92mU5ABpn5sUeP3S49/8K86aWtmm','admin@szhb.gov.cn',NULL,'系统管理员','admin','active',NULL,'2025-11-11 07:32:20','2025-11-11 07:36:39',1,'2025-11-11 07:32:20'),(2,'normal_user','$2a$10$dY6p5L28LidSIVEoRFf3v.W/RVypL40y6bnwg6f74XB612HLlzU9e','user@szhb.gov.cn',NULL,'普通用户','normal_user','active',NULL,'2025-11-11 07:36:39','2025-11-11 07:36:39',1,'2025-11-11 07:36:39'),(3,'decision_user','$2a$10$5jX6CgEHsY8wMn35F9Am4.OcPlF3undVLAP86xQvb9ih1t3IN8GF6','decision@szhb.gov.cn',NULL,'决策用户','decision_user','active',NULL,'2025-11-11 07:36:39','2025-11-11 07:36:39',1,'2025-11-11 07:36:39');
 /*!40000 ALTER TABLE `users` ENABLE KEYS */;
 UNLOCK TABLES;
 
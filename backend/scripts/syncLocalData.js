@@ -0,0 +1,57 @@
+/**
+ * 同步本地数据文件到数据库
+ * 用法（在 backend 目录）：
+ *   npm run sync:local-data                         同步 data/entries 下的全部文件
+ *   npm run sync:local-data -- 工业产销率信息.json    只同步指定文件
+ *   npm run sync:local-data -- --force              文件未变化时也重新比对
+ *   npm run sync:local-data -- --invalid=reject     无效条目的处理方式：quarantine（默认，隔离）| skip | reject
+ */
+const { connectDB, disconnectDB } = require('../config/database');
+const localDataImportService = require('../app/services/localDataImportService');
+
+const STATUS_LABELS = {
+  created: '已创建',
+  updated: '已更新',
+  unchanged: '无变化',
+  skipped: '已跳过',
+  failed: '失败'
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const invalidArg = args.find(arg => arg.startsWith('--invalid='));
+  const invalidRows = invalidArg ? invalidArg.slice('--invalid='.length) : undefined;
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  const pool = await connectDB();
+  if (!pool) {
+    throw new Error('数据库未连接');
+  }
+
+  try {
+    const { results, summary } = await localDataImportService.syncFiles({ files, force, invalidRows });
+    results.forEach(result => {
+      const label = STATUS_LABELS[result.status] || result.status;
+      if (result.status === 'failed' || result.status === 'skipped') {
+        console.log(`${label}  ${result.filename}: ${result.message}`);
+      } else {
+        console.log(`${label}  ${result.filename}（数据ID: ${result.dataId}，新增 ${result.inserted}，更新 ${result.updated}，删除 ${result.deleted}，无效 ${result.errorCount}，隔离 ${result.quarantined}）`);
+      }
+      (result.errors || []).forEach(error => {
+        console.log(`    第 ${error.line} 条: ${error.message}`);
+      });
+    });
+    console.log(`共 ${summary.total} 个文件：创建 ${summary.created}，更新 ${summary.updated}，无变化 ${summary.unchanged}，跳过 ${summary.skipped}，失败 ${summary.failed}`);
+    return summary.failed === 0;
+  } finally {
+    await disconnectDB();
+  }
+};
+
+main().then((ok) => {
+  process.exit(ok ? 0 : 1);
+}).catch((error) => {
+  console.error('❌ 同步失败:', error.message);
+  process.exit(1);
+});
@@ -5,6 +5,13 @@ const morgan = require('morgan');
 const path = require('path');
 const config = require('./config/config');
 const { connectDB } = require('./config/database');
+const predictionJobQueue = require('./app/services/predictionJobQueue');
+const settingsService = require('./app/services/settingsService');
+const permissionService = require('./app/services/permissionService');
+const sessionService = require('./app/services/sessionService');
+const loginGuardService = require('./app/services/loginGuardService');
+const datasetUploadService = require('./app/services/datasetUploadService');
+const { requestTracker } = require('./app/middleware/requestTracker');
 
 // 导入路由
 const authRoutes = require('./app/routes/auth');
@@ -20,8 +27,24 @@ const localDataRoutes = require('./app/routes/localData');
 // 创建Express应用
 const app = express();
 
-// 连接数据库
-connectDB();
+// 客户端IP（req.ip）只采用可信代理转发的 X-Forwarded-For
+app.set('trust proxy', config.trustProxy);
+
+// 连接数据库（连接成功后加载系统设置和角色权限、清理过期会话和暂存的上传文件，并处理上次未完成的预测任务）
+connectDB().then((pool) => {
+  if (pool) {
+    settingsService.loadSettings().catch(() => {
+      console.warn('⚠️  系统设置加载失败，使用默认配置');
+    });
+    permissionService.loadPermissions().catch(() => {
+      console.warn('⚠️  角色权限加载失败，使用默认权限');
+    });
+    sessionService.cleanupSessions().catch(() => {});
+    loginGuardService.cleanupLoginLocks().catch(() => {});
+    datasetUploadService.cleanupStagedUploads().catch(() => {});
+    predictionJobQueue.recoverInterruptedJobs();
+  }
+});
 
 // 中间件
 // 注意：helmet 可能会影响某些请求，开发环境可以放宽限制
@@ -59,7 +82,7 @@ const corsOptions = {
   credentials: config.cors.credentials,
   methods: config.cors.methods,
   allowedHeaders: [...config.cors.allowedHeaders, 'X-Requested-With'],
-  exposedHeaders: ['Authorization'],
+  exposedHeaders: ['Authorization', 'Content-Disposition', 'X-Export-Truncated'],
   maxAge: 86400 // 24小时
 };
 
@@ -71,6 +94,7 @@ app.options('*', cors(corsOptions));
 app.use(morgan('dev')); // 日志
 app.use(express.json()); // JSON解析
 app.use(express.urlencoded({ extended: true })); // URL编码解析
+app.use('/api', requestTracker); // 请求统计（系统状态）
 
 // API路由（需要在静态文件之前）
 app.use('/api/auth', authRoutes);
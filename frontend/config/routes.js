@@ -1,6 +1,7 @@
 /**
  * 路由配置
  * 定义所有页面的路由信息
+ * requiresPermission: 进入页面需要拥有的权限点（全部满足），权限点由管理员在系统管理中分配给角色
  */
 
 const routes = {
@@ -31,6 +32,7 @@ const routes = {
     path: './query.html',
     name: '数据查询',
     requiresAuth: true,
+    requiresPermission: ['data:view'],
     meta: {
       title: '数据查询 - 数智湖北',
       description: '多条件组合查询数据'
@@ -42,6 +44,7 @@ const routes = {
     path: './data-detail.html',
     name: '数据详情',
     requiresAuth: true,
+    requiresPermission: ['data:view'],
     meta: {
       title: '数据详情 - 数智湖北',
       description: '数据详细信息和可视化'
@@ -53,6 +56,7 @@ const routes = {
     path: './prediction.html',
     name: '数据预测',
     requiresAuth: true,
+    requiresPermission: ['prediction:run'],
     meta: {
       title: '数据预测 - 数智湖北',
       description: '基于历史数据预测未来趋势'
@@ -64,6 +68,7 @@ const routes = {
     path: './analysis.html',
     name: '决策支持',
     requiresAuth: true,
+    requiresPermission: ['analysis:run'],
     meta: {
       title: '决策支持 - 数智湖北',
       description: '问题分析与辅助决策'
@@ -81,36 +86,36 @@ const routes = {
     }
   },
 
-  // 数据管理（管理员）
+  // 数据管理
   adminData: {
     path: './admin-data.html',
     name: '数据管理',
     requiresAuth: true,
-    requiresRole: ['admin'],
+    requiresPermission: ['data:manage'],
     meta: {
       title: '数据管理 - 数智湖北',
       description: '数据管理后台'
     }
   },
 
-  // 用户管理（管理员）
+  // 用户管理
   adminUsers: {
     path: './admin-users.html',
     name: '用户管理',
     requiresAuth: true,
-    requiresRole: ['admin'],
+    requiresPermission: ['user:manage'],
     meta: {
       title: '用户管理 - 数智湖北',
       description: '用户管理后台'
     }
   },
 
-  // 系统管理（管理员）
+  // 系统管理
   adminSystem: {
     path: './admin-system.html',
     name: '系统管理',
     requiresAuth: true,
-    requiresRole: ['admin'],
+    requiresPermission: ['system:manage'],
     meta: {
       title: '系统管理 - 数智湖北',
       description: '系统管理后台'
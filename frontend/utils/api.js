@@ -21,23 +21,132 @@ const getToken = () => {
 };
 
 /**
- * 设置Token
+ * 获取刷新令牌
  */
-const setToken = (token) => {
+const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken');
+};
+
+/**
+ * 设置Token（同时传入刷新令牌时一并保存）
+ */
+const setToken = (token, refreshToken) => {
   localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
 };
 
 /**
- * 移除Token
+ * 移除Token和刷新令牌
  */
 const removeToken = () => {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// 进行中的刷新请求，多个请求同时遇到401时共用一次刷新
+let refreshPromise = null;
+
+/**
+ * 使用刷新令牌换取新的访问令牌
+ * @returns {Promise<boolean>} 是否刷新成功
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) {
+        return false;
+      }
+      try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+        const data = await response.json();
+        if (response.ok && data.success) {
+          setToken(data.data.token, data.data.refreshToken);
+          return true;
+        }
+        // 其他标签页可能已经完成刷新
+        return getRefreshToken() !== refreshToken;
+      } catch (error) {
+        console.error('刷新令牌失败:', error);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * 访问令牌失效时尝试续期
+ * 发出请求后令牌已被更新（其他请求或标签页已刷新）时直接重试
+ * @param {string} usedToken - 请求时使用的访问令牌
+ * @returns {Promise<boolean>} 是否可以重试请求
+ */
+const renewToken = async (usedToken) => {
+  if (!getRefreshToken()) {
+    return false;
+  }
+  if (getToken() && getToken() !== usedToken) {
+    return true;
+  }
+  return refreshAccessToken();
+};
+
+/**
+ * 认证失败，清除登录状态并跳转登录页
+ */
+const handleUnauthorized = async () => {
+  removeToken();
+  const router = await getRouterUtils();
+  router.redirectToLogin();
+  throw new Error('登录已过期，请重新登录');
+};
+
+/**
+ * 带认证的原始请求（用于文件下载等非JSON响应）
+ * 访问令牌过期时自动刷新并重试一次
+ * @returns {Promise<Response>} fetch 响应
+ */
+const fetchWithAuth = async (url, options = {}) => {
+  const send = () => {
+    const token = getToken();
+    return {
+      token,
+      promise: fetch(`${API_BASE_URL}${url}`, {
+        ...options,
+        headers: {
+          ...(options.headers || {}),
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        }
+      })
+    };
+  };
+
+  const first = send();
+  let response = await first.promise;
+  if (response.status === 401) {
+    if (!(await renewToken(first.token))) {
+      await handleUnauthorized();
+    }
+    response = await send().promise;
+    if (response.status === 401) {
+      await handleUnauthorized();
+    }
+  }
+  return response;
 };
 
 /**
  * 统一请求方法
  */
-const request = async (url, options = {}) => {
+const request = async (url, options = {}, retried = false) => {
   const token = getToken();
   
   const defaultOptions = {
@@ -60,16 +169,26 @@ const request = async (url, options = {}) => {
     const response = await fetch(`${API_BASE_URL}${url}`, config);
     const data = await response.json();
 
-    // Token过期处理
-    if (response.status === 401) {
-      removeToken();
+    // Token过期处理：先用刷新令牌续期并重试一次，仍失败再跳转登录页（登录接口本身的401是密码错误）
+    if (response.status === 401 && !url.startsWith('/auth/login')) {
+      if (!retried && await renewToken(token)) {
+        return request(url, options, true);
+      }
+      await handleUnauthorized();
+    }
+
+    // 需要先修改密码（初始密码或密码过期）
+    if (response.status === 403 && data.data && data.data.passwordChangeRequired) {
       const router = await getRouterUtils();
-      router.redirectToLogin();
-      throw new Error('登录已过期，请重新登录');
+      router.redirectToPasswordChange(data.data.reason);
     }
 
     if (!response.ok) {
-      throw new Error(data.message || '请求失败');
+      // 附带状态码和响应数据，便于调用方处理（例如登录时需要验证码）
+      const error = new Error(data.message || '请求失败');
+      error.status = response.status;
+      error.data = data.data;
+      throw error;
     }
 
     return data;
@@ -116,14 +235,18 @@ const del = (url) => {
 };
 
 /**
- * 文件上传
+ * 文件上传（XHR，支持上传进度）
+ * 访问令牌过期时自动刷新并重试一次；失败时错误附带状态码和响应数据
+ * @param {string} url - 接口地址
+ * @param {File} file - 文件（字段名 file）
+ * @param {Function} onProgress - 进度回调（0-100）
  */
-const upload = async (url, file, onProgress) => {
+const upload = async (url, file, onProgress, retried = false) => {
   const token = getToken();
   const formData = new FormData();
   formData.append('file', file);
 
-  return new Promise((resolve, reject) => {
+  const { status, data } = await new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest();
 
     xhr.upload.addEventListener('progress', (e) => {
@@ -134,16 +257,13 @@ const upload = async (url, file, onProgress) => {
     });
 
     xhr.addEventListener('load', () => {
-      if (xhr.status === 200) {
-        try {
-          const response = JSON.parse(xhr.responseText);
-          resolve(response);
-        } catch (e) {
-          resolve(xhr.responseText);
-        }
-      } else {
-        reject(new Error('上传失败'));
+      let response;
+      try {
+        response = JSON.parse(xhr.responseText);
+      } catch (e) {
+        response = { message: xhr.responseText };
       }
+      resolve({ status: xhr.status, data: response });
     });
 
     xhr.addEventListener('error', () => {
@@ -156,6 +276,22 @@ const upload = async (url, file, onProgress) => {
     }
     xhr.send(formData);
   });
+
+  if (status === 401) {
+    if (!retried && await renewToken(token)) {
+      return upload(url, file, onProgress, true);
+    }
+    await handleUnauthorized();
+  }
+
+  if (status < 200 || status >= 300) {
+    const error = new Error((data && data.message) || '上传失败');
+    error.status = status;
+    error.data = data && data.data;
+    throw error;
+  }
+
+  return data;
 };
 
 export default {
@@ -165,6 +301,8 @@ export default {
   put,
   delete: del,
   upload,
+  fetchWithAuth,
+  refreshAccessToken,
   getToken,
   setToken,
   removeToken
@@ -7,12 +7,13 @@ import router from './router.js';
 
 /**
  * 登录
+ * @param {Object} captcha - 验证码 {captchaId, captchaCode}（登录失败次数过多后需要）
  */
-const login = async (username, password) => {
+const login = async (username, password, captcha = {}) => {
   try {
-    const response = await api.post('/auth/login', { username, password });
+    const response = await api.post('/auth/login', { username, password, ...captcha });
     if (response.success && response.data.token) {
-      api.setToken(response.data.token);
+      api.setToken(response.data.token, response.data.refreshToken);
       // 保存用户信息
       localStorage.setItem('user', JSON.stringify(response.data.user));
       return response.data;
@@ -62,6 +63,39 @@ const getUserInfo = () => {
   return null;
 };
 
+/**
+ * 更新本地保存的用户信息（例如修改密码后清除 passwordChangeRequired）
+ */
+const updateUserInfo = (changes) => {
+  const user = getUserInfo();
+  if (user) {
+    localStorage.setItem('user', JSON.stringify({ ...user, ...changes }));
+  }
+};
+
+/**
+ * 从服务器重新获取当前用户信息（管理员修改角色权限后，本地保存的权限列表会过期）
+ */
+const refreshUserInfo = async () => {
+  try {
+    const response = await api.get('/auth/me');
+    if (response.success && response.data) {
+      updateUserInfo(response.data);
+    }
+  } catch (error) {
+    console.error('刷新用户信息失败:', error);
+  }
+  return getUserInfo();
+};
+
+/**
+ * 检查用户权限（权限列表在登录时由服务器返回，权限点如 data:approve、prediction:run）
+ */
+const hasPermission = (permission) => {
+  const user = getUserInfo();
+  return !!(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+};
+
 /**
  * 检查用户角色
  */
@@ -106,6 +140,26 @@ const requireAuth = (redirectUrl = null) => {
   return true;
 };
 
+/**
+ * 权限守卫：需要拥有全部所列权限
+ */
+const requirePermission = (permissions, redirectUrl = null) => {
+  if (!checkAuth()) {
+    router.redirectToLogin();
+    return false;
+  }
+
+  if (!permissions.every(hasPermission)) {
+    if (redirectUrl) {
+      window.location.href = redirectUrl;
+    } else {
+      router.redirectToHome();
+    }
+    return false;
+  }
+  return true;
+};
+
 /**
  * 角色守卫
  */
@@ -132,11 +186,15 @@ export default {
   logout,
   checkAuth,
   getUserInfo,
+  updateUserInfo,
+  refreshUserInfo,
+  hasPermission,
   hasRole,
   isAdmin,
   isDecisionUser,
   isNormalUser,
   requireAuth,
+  requirePermission,
   requireRole
 };
 
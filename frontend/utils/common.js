@@ -2,6 +2,8 @@
  * 通用工具函数
  */
 
+import api from './api.js';
+
 /**
  * 日期格式化
  */
@@ -129,20 +131,16 @@ const exportDataFromAPI = async (dataId, defaultFilename = null, onSuccess = nul
 
   try {
     // 获取token
-    const token = localStorage.getItem('token');
+    const token = api.getToken();
     if (!token) {
       const error = new Error('未登录');
       if (onError) onError(error);
       throw error;
     }
 
-    // 使用fetch直接下载文件
-    const API_BASE_URL = 'http://localhost:5000/api';
-    const response = await fetch(`${API_BASE_URL}/data/${dataId}/export`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
+    // 使用fetch直接下载文件（访问令牌过期时自动刷新）
+    const response = await api.fetchWithAuth(`/data/${dataId}/export`, {
+      method: 'GET'
     });
 
     if (!response.ok) {
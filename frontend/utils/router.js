@@ -109,6 +109,36 @@ const navigate = (routeName, params = null) => {
   window.location.href = path;
 };
 
+/**
+ * 当前用户是否必须先修改密码（个人中心页面除外）
+ */
+const mustChangePassword = (routeName) => {
+  const user = auth.getUserInfo();
+  return routeName !== 'profile' && !!(user && user.passwordChangeRequired);
+};
+
+/**
+ * 当前用户是否可以访问路由（角色和权限要求）
+ */
+const canAccess = (route) => {
+  const user = auth.getUserInfo();
+  if (route.requiresRole && (!user || !route.requiresRole.includes(user.role))) {
+    return false;
+  }
+  if (route.requiresPermission && !route.requiresPermission.every(auth.hasPermission)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * 按路由名称检查访问权限（用于隐藏无权访问的入口）
+ */
+const canAccessRoute = (routeName) => {
+  const route = routes[routeName];
+  return !!route && canAccess(route);
+};
+
 /**
  * 路由守卫（全局）
  */
@@ -124,13 +154,16 @@ const beforeEach = (routeName) => {
     return false;
   }
   
-  // 检查角色权限
-  if (route.requiresRole && auth.checkAuth()) {
-    const user = auth.getUserInfo();
-    if (!user || !route.requiresRole.includes(user.role)) {
-      window.location.href = routes.home.path;
-      return false;
-    }
+  // 必须修改密码（初始密码或密码过期）时只能进入个人中心
+  if (route.requiresAuth && mustChangePassword(routeName)) {
+    window.location.href = `${routes.profile.path}${buildQuery({ changePassword: 1 })}`;
+    return false;
+  }
+  
+  // 检查角色和权限
+  if (route.requiresAuth && !canAccess(route)) {
+    window.location.href = routes.home.path;
+    return false;
   }
   
   return true;
@@ -152,13 +185,15 @@ const beforeEnter = (routeName, callback) => {
     return;
   }
   
-  // 检查角色权限
-  if (route.requiresRole && auth.checkAuth()) {
-    const user = auth.getUserInfo();
-    if (!user || !route.requiresRole.includes(user.role)) {
-      navigate('home');
-      return;
-    }
+  if (route.requiresAuth && mustChangePassword(routeName)) {
+    navigate('profile', { changePassword: 1 });
+    return;
+  }
+  
+  // 检查角色和权限
+  if (route.requiresAuth && !canAccess(route)) {
+    navigate('home');
+    return;
   }
   
   // 执行回调
@@ -198,11 +233,22 @@ const getPagePath = (pageName) => {
 };
 
 const redirectToLogin = () => navigate('login');
+
+/**
+ * 后端要求先修改密码时，标记用户并跳转到个人中心
+ */
+const redirectToPasswordChange = (reason) => {
+  auth.updateUserInfo({ passwordChangeRequired: true, passwordChangeReason: reason || null });
+  if (getCurrentRoute() !== 'profile') {
+    navigate('profile', { changePassword: 1 });
+  }
+};
 const redirectToHome = () => navigate('home');
 
 export default {
   // 核心方法
   navigate,
+  canAccessRoute,
   getPath,
   getParams,
   getCurrentRoute,
@@ -218,6 +264,7 @@ export default {
   getHomePath,
   getPagePath,
   redirectToLogin,
+  redirectToPasswordChange,
   redirectToHome,
   
   // 路由配置（只读）